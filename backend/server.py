@@ -1,9 +1,16 @@
-from fastapi import FastAPI, APIRouter
+from fastapi import FastAPI, APIRouter, HTTPException, Query, Request
 from dotenv import load_dotenv
 from starlette.middleware.cors import CORSMiddleware
+from starlette.concurrency import run_in_threadpool
 from motor.motor_asyncio import AsyncIOMotorClient
 import os
 import logging
+import re
+import ipaddress
+import socket
+import certifi
+import urllib3
+from urllib.parse import urljoin, urlparse
 from pathlib import Path
 from pydantic import BaseModel, Field
 from typing import List
@@ -35,6 +42,125 @@ class StatusCheck(BaseModel):
 class StatusCheckCreate(BaseModel):
     client_name: str
 
+class ProxiedPage(BaseModel):
+    url: str
+    status: int
+    content_type: str
+    html: str
+
+
+# Page proxy limits (used by the PWA when CORS blocks a page it wants to extract)
+PROXY_TIMEOUT = 15
+PROXY_MAX_BYTES = 2 * 1024 * 1024
+PROXY_MAX_REDIRECTS = 5
+PROXY_USER_AGENT = 'Mozilla/5.0 (compatible; ContentAutopilot/1.0)'
+# Origins of the app allowed to use the proxy, comma separated (same-origin requests are always allowed)
+PROXY_ALLOWED_ORIGINS = {origin.strip().rstrip('/') for origin in os.environ.get('PROXY_ALLOWED_ORIGINS', '').split(',') if origin.strip()}
+
+
+def check_proxy_origin(headers):
+    """Only the app itself can use the proxy, not any site a browser visits"""
+    if headers.get('sec-fetch-site') == 'same-origin':
+        return
+    if headers.get('origin', '').rstrip('/') in PROXY_ALLOWED_ORIGINS:
+        return
+    raise HTTPException(status_code=403, detail='Origin not allowed to use the proxy')
+
+
+def resolve_public_address(url: str):
+    """Resolve the host of an http(s) URL once and return (parsed URL, address).
+    Every address must be public: the connection is then made to that address,
+    so a second DNS answer cannot point it somewhere else."""
+    parsed = urlparse(url)
+    if parsed.scheme not in ('http', 'https') or not parsed.hostname:
+        raise HTTPException(status_code=400, detail='Only http and https URLs are supported')
+
+    try:
+        infos = socket.getaddrinfo(parsed.hostname, parsed.port or None, proto=socket.IPPROTO_TCP)
+    except (socket.gaierror, UnicodeError, ValueError):
+        raise HTTPException(status_code=502, detail='Host not found')
+
+    addresses = []
+    for info in infos:
+        address = ipaddress.ip_address(info[4][0].split('%')[0])
+        if address.version == 6 and address.ipv4_mapped:
+            address = address.ipv4_mapped
+        if not address.is_global:
+            raise HTTPException(status_code=403, detail='Private addresses cannot be proxied')
+        addresses.append(str(address))
+
+    if not addresses:
+        raise HTTPException(status_code=502, detail='Host not found')
+    return parsed, addresses[0]
+
+
+def open_pinned(parsed, address: str):
+    """GET a URL from a given address, keeping the original host for the
+    Host header, TLS SNI and certificate check"""
+    https = parsed.scheme == 'https'
+    port = parsed.port or (443 if https else 80)
+    timeout = urllib3.Timeout(connect=PROXY_TIMEOUT, read=PROXY_TIMEOUT)
+
+    if https:
+        pool = urllib3.HTTPSConnectionPool(address, port, timeout=timeout, retries=False,
+                                           cert_reqs='CERT_REQUIRED', ca_certs=certifi.where(),
+                                           server_hostname=parsed.hostname, assert_hostname=parsed.hostname)
+    else:
+        pool = urllib3.HTTPConnectionPool(address, port, timeout=timeout, retries=False)
+
+    path = (parsed.path or '/') + (f'?{parsed.query}' if parsed.query else '')
+    return pool.urlopen('GET', path, redirect=False, preload_content=False, headers={
+        'Host': parsed.netloc.rsplit('@', 1)[-1],
+        'User-Agent': PROXY_USER_AGENT
+    })
+
+
+def fetch_page(url: str) -> ProxiedPage:
+    """Fetch an HTML page, checking every redirect target and capping the size"""
+    for _ in range(PROXY_MAX_REDIRECTS + 1):
+        parsed, address = resolve_public_address(url)
+        try:
+            response = open_pinned(parsed, address)
+        except urllib3.exceptions.HTTPError as error:
+            raise HTTPException(status_code=502, detail=f'Fetch failed: {error}')
+
+        if response.status in (301, 302, 303, 307, 308) and response.headers.get('location'):
+            url = urljoin(url, response.headers['location'])
+            response.release_conn()
+            continue
+
+        content_type = response.headers.get('content-type', '')
+        if 'html' not in content_type:
+            response.release_conn()
+            raise HTTPException(status_code=415, detail=f'Not an HTML page: {content_type or "unknown type"}')
+
+        body = b''
+        try:
+            for chunk in response.stream(65536):
+                body += chunk
+                if len(body) > PROXY_MAX_BYTES:
+                    break
+        except urllib3.exceptions.HTTPError as error:
+            raise HTTPException(status_code=502, detail=f'Fetch failed: {error}')
+        finally:
+            response.release_conn()
+
+        # Pages without a charset are read as UTF-8, the most common encoding
+        charset = re.search(r'charset=["\']?([\w-]+)', content_type, re.IGNORECASE)
+        try:
+            html = body[:PROXY_MAX_BYTES].decode(charset.group(1) if charset else 'utf-8', errors='replace')
+        except LookupError:
+            html = body[:PROXY_MAX_BYTES].decode('utf-8', errors='replace')
+
+        return ProxiedPage(
+            url=url,
+            status=response.status,
+            content_type=content_type,
+            html=html
+        )
+
+    raise HTTPException(status_code=502, detail='Too many redirects')
+
 # Add your routes to the router instead of directly to app
 @api_router.get("/")
 async def root():
@@ -52,6 +178,11 @@ async def get_status_checks():
     status_checks = await db.status_checks.find().to_list(1000)
     return [StatusCheck(**status_check) for status_check in status_checks]
 
+@api_router.get("/proxy", response_model=ProxiedPage)
+async def proxy_page(request: Request, url: str = Query(..., description="Page to fetch")):
+    check_proxy_origin(request.headers)
+    return await run_in_threadpool(fetch_page, url)
+
 # Include the router in the main app
 app.include_router(api_router)
 
@@ -13,12 +13,22 @@ class APIManager {
             brave: { remaining: 2000, resetDate: null },
             huggingface: { remaining: 500, resetDate: null }
         };
+        this.textProviders = new Map();
+        this.searchProviders = new Map();
+        this.defaultTextProvider = 'huggingface';
+        this.defaultSearchProviders = ['brave'];
+        this.registerDefaultTextProviders();
+        this.registerDefaultSearchProviders();
         this.isOnline = navigator.onLine;
         this.pendingRequests = new Map();
         
         // Listen for online/offline events
         window.addEventListener('online', () => this.handleOnlineStatus(true));
         window.addEventListener('offline', () => this.handleOnlineStatus(false));
+
+        // Secrets are only readable while the credential vault is unlocked
+        window.addEventListener('vault-unlocked', () => this.init());
+        window.addEventListener('vault-locked', () => this.init());
         
         this.init();
     }
@@ -29,34 +39,126 @@ class APIManager {
         this.updateConnectionStatus();
     }
 
+    /**
+     * Register the built-in text generation providers
+     */
+    registerDefaultTextProviders() {
+        this.registerTextProvider(new HuggingFaceProvider());
+        this.registerTextProvider(new OpenAICompatibleProvider());
+        this.registerTextProvider(new LocalServerProvider());
+    }
+
+    /**
+     * Register the built-in search providers
+     */
+    registerDefaultSearchProviders() {
+        this.registerSearchProvider(new BraveSearchProvider());
+        this.registerSearchProvider(new SearXNGProvider());
+        this.registerSearchProvider(new BingSearchProvider());
+        this.registerSearchProvider(new FeedSearchProvider());
+    }
+
+    /**
+     * Register a text generation provider (see text-providers.js)
+     */
+    registerTextProvider(provider) {
+        this.textProviders.set(provider.id, provider);
+        this.initProviderState(provider);
+    }
+
+    /**
+     * Register a search provider (see search-providers.js)
+     */
+    registerSearchProvider(provider) {
+        this.searchProviders.set(provider.id, provider);
+        this.initProviderState(provider);
+    }
+
+    initProviderState(provider) {
+        if (!(provider.id in this.configs)) {
+            this.configs[provider.id] = null;
+        }
+        if (!this.rateLimits[provider.id]) {
+            this.rateLimits[provider.id] = { remaining: null, resetDate: null };
+        }
+    }
+
+    /**
+     * Get any registered provider by id
+     */
+    getProvider(providerId) {
+        return this.textProviders.get(providerId) || this.searchProviders.get(providerId) || null;
+    }
+
+    /**
+     * Get a text provider by id, or the default one
+     */
+    getTextProvider(providerId = null) {
+        const provider = this.textProviders.get(providerId || this.defaultTextProvider);
+        if (!provider) {
+            throw new Error(`Unknown text provider: ${providerId || this.defaultTextProvider}`);
+        }
+        return provider;
+    }
+
+    /**
+     * Get all registered text providers
+     */
+    getTextProviders() {
+        return Array.from(this.textProviders.values());
+    }
+
+    /**
+     * Get all registered search providers
+     */
+    getSearchProviders() {
+        return Array.from(this.searchProviders.values());
+    }
+
+    /**
+     * Set the text provider used when a project does not choose one
+     */
+    async setDefaultTextProvider(providerId) {
+        this.getTextProvider(providerId);
+        this.defaultTextProvider = providerId;
+        await dbManager.saveSetting('textProvider', providerId);
+    }
+
+    /**
+     * Set the search providers used when a project does not choose them
+     */
+    async setDefaultSearchProviders(providerIds) {
+        const unknown = providerIds.filter(id => !this.searchProviders.has(id));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown search provider: ${unknown.join(', ')}`);
+        }
+        this.defaultSearchProviders = providerIds;
+        await dbManager.saveSetting('searchProviders', providerIds);
+    }
+
     /**
      * Load API configurations from storage
      */
     async loadConfigs() {
         try {
-            const braveConfig = await dbManager.getAPIConfig('brave');
-            const hfConfig = await dbManager.getAPIConfig('huggingface');
-            
-            if (braveConfig) {
-                this.configs.brave = braveConfig;
-            }
-            
-            if (hfConfig) {
-                this.configs.huggingface = hfConfig;
-            }
+            const providers = [...this.searchProviders.keys(), ...this.textProviders.keys()];
 
-            // Load rate limit data
-            const braveLimit = await dbManager.getSetting('brave_rate_limit');
-            const hfLimit = await dbManager.getSetting('hf_rate_limit');
-            
-            if (braveLimit) {
-                this.rateLimits.brave = JSON.parse(braveLimit);
-            }
-            
-            if (hfLimit) {
-                this.rateLimits.huggingface = JSON.parse(hfLimit);
+            for (const provider of providers) {
+                const config = await dbManager.getAPIConfig(provider);
+                if (config) {
+                    this.configs[provider] = config;
+                }
+
+                // Load rate limit data
+                const limit = await dbManager.getSetting(`${provider}_rate_limit`);
+                if (limit) {
+                    this.rateLimits[provider] = JSON.parse(limit);
+                }
             }
 
+            this.defaultTextProvider = await dbManager.getSetting('textProvider', this.defaultTextProvider);
+            this.defaultSearchProviders = await dbManager.getSetting('searchProviders', this.defaultSearchProviders);
+
             console.log('API configurations loaded');
         } catch (error) {
             console.error('Failed to load API configs:', error);
@@ -65,15 +167,20 @@ class APIManager {
 
     /**
      * Save API configuration
+     * Accepts an API key, or an object with the provider's fields
      */
-    async saveAPIConfig(provider, apiKey) {
+    async saveAPIConfig(provider, values) {
         try {
+            const settings = typeof values === 'string' ? { apiKey: values } : values;
+            const adapter = this.getProvider(provider);
+            const existing = this.configs[provider] || {};
+
             const config = {
+                ...(adapter ? adapter.configure({ ...existing, ...settings }) : settings),
                 id: `${provider}_config`,
                 provider: provider,
-                apiKey: apiKey,
                 isActive: true,
-                createdAt: new Date().toISOString()
+                createdAt: existing.createdAt || new Date().toISOString()
             };
 
             await dbManager.saveAPIConfig(config);
@@ -91,7 +198,7 @@ class APIManager {
             return isValid;
         } catch (error) {
             console.error('Failed to save API config:', error);
-            this.showToast('Errore nel salvare la configurazione API', 'error');
+            this.showToast(`Errore nel salvare la configurazione API: ${error.message}`, 'error');
             return false;
         }
     }
@@ -101,14 +208,16 @@ class APIManager {
      */
     async testAPIConfig(provider) {
         try {
-            switch (provider) {
-                case 'brave':
-                    return await this.testBraveAPI();
-                case 'huggingface':
-                    return await this.testHuggingFaceAPI();
-                default:
-                    return false;
+            const adapter = this.getProvider(provider);
+            if (!adapter) {
+                return false;
+            }
+
+            if (!adapter.isConfigured(this.configs[provider])) {
+                throw new Error(`${adapter.label} not configured`);
             }
+
+            return await adapter.test(this.configs[provider]);
         } catch (error) {
             console.error(`API test failed for ${provider}:`, error);
             return false;
@@ -116,168 +225,157 @@ class APIManager {
     }
 
     /**
-     * Test Brave Search API
+     * Search the web with one or more providers (options.providers, or the defaults).
+     * Results from several providers are merged and de-duplicated by URL.
      */
-    async testBraveAPI() {
-        if (!this.configs.brave?.apiKey) {
-            throw new Error('Brave API key not configured');
+    async searchWeb(query, options = {}) {
+        if (!this.isOnline) {
+            throw new Error('No internet connection');
         }
 
-        try {
-            const response = await fetch('https://api.search.brave.com/res/v1/web/search?q=test&count=1', {
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/json',
-                    'X-Subscription-Token': this.configs.brave.apiKey
-                }
-            });
+        const providerIds = (options.providers && options.providers.length > 0) ?
+            options.providers : this.defaultSearchProviders;
 
-            if (response.ok) {
-                this.updateRateLimit('brave', response.headers);
-                return true;
-            } else if (response.status === 401) {
-                throw new Error('Invalid API key');
-            } else if (response.status === 429) {
-                throw new Error('Rate limit exceeded');
+        const providers = providerIds
+            .map(id => this.searchProviders.get(id))
+            .filter(provider => provider && provider.isConfigured(this.configs[provider.id]));
+
+        if (providers.length === 0) {
+            if (providerIds.some(id => this.configs[id]?.secretsLocked)) {
+                throw new Error('Credential vault is locked');
+            }
+            throw new Error('No search provider configured');
+        }
+
+        const settled = await Promise.allSettled(
+            providers.map(provider => this.searchWithProvider(provider, query, options))
+        );
+
+        const responses = [];
+        const errors = [];
+
+        settled.forEach((outcome, index) => {
+            if (outcome.status === 'fulfilled') {
+                responses.push(outcome.value);
             } else {
-                throw new Error(`HTTP ${response.status}`);
+                errors.push({ provider: providers[index].id, error: outcome.reason.message });
             }
-        } catch (error) {
-            console.error('Brave API test failed:', error);
-            throw error;
+        });
+
+        if (responses.length === 0) {
+            throw new Error(errors.map(e => e.error).join('; '));
         }
+
+        const merged = this.mergeSearchResults(query, responses);
+        merged.providers = providers.map(p => p.id).filter(id => !errors.some(e => e.provider === id));
+        merged.errors = errors;
+
+        return merged;
     }
 
     /**
-     * Test Hugging Face API
+     * Run a search with a single provider
      */
-    async testHuggingFaceAPI() {
-        if (!this.configs.huggingface?.apiKey) {
-            throw new Error('Hugging Face token not configured');
+    async searchWithProvider(provider, query, options) {
+        if (this.rateLimits[provider.id].remaining !== null && this.rateLimits[provider.id].remaining <= 0) {
+            throw new Error(`${provider.label} API rate limit exceeded`);
         }
 
         try {
-            const response = await fetch('https://api-inference.huggingface.co/models/gpt2', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.configs.huggingface.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    inputs: "Test",
-                    parameters: { max_length: 10 }
-                })
-            });
+            const { results, rateLimit } = await provider.search(query, options, this.configs[provider.id]);
 
-            if (response.ok || response.status === 503) {
-                // 503 means model is loading, which is still a valid response
-                return true;
-            } else if (response.status === 401) {
-                throw new Error('Invalid token');
-            } else if (response.status === 429) {
-                throw new Error('Rate limit exceeded');
-            } else {
-                throw new Error(`HTTP ${response.status}`);
+            if (rateLimit) {
+                this.setRateLimit(provider.id, rateLimit);
             }
+
+            return results;
         } catch (error) {
-            console.error('Hugging Face API test failed:', error);
+            console.error(`${provider.label} search error:`, error);
             throw error;
         }
     }
 
     /**
-     * Brave Search API methods
+     * Merge normalized results from several providers.
+     * Results are interleaved by rank and de-duplicated by URL.
      */
-    async searchWeb(query, options = {}) {
-        if (!this.configs.brave?.apiKey) {
-            throw new Error('Brave API key not configured');
+    mergeSearchResults(query, responses) {
+        if (responses.length === 1) {
+            return responses[0];
         }
 
-        if (!this.isOnline) {
-            throw new Error('No internet connection');
-        }
+        const dedupe = (lists) => {
+            const seen = new Set();
+            const merged = [];
+            const longest = Math.max(...lists.map(list => list.length));
 
-        if (this.rateLimits.brave.remaining <= 0) {
-            throw new Error('Brave API rate limit exceeded');
-        }
+            for (let rank = 0; rank < longest; rank++) {
+                for (const list of lists) {
+                    const item = list[rank];
+                    if (!item || !item.url) continue;
 
-        const params = new URLSearchParams({
-            q: query,
-            count: options.count || 10,
-            offset: options.offset || 0,
-            mkt: options.market || 'it-IT',
-            safesearch: options.safesearch || 'moderate',
-            textDecorations: false,
-            textFormat: 'Raw',
-            freshness: options.freshness || ''
-        });
+                    const key = this.normalizeResultUrl(item.url);
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        merged.push(item);
+                    }
+                }
+            }
 
+            return merged;
+        };
+
+        return {
+            query: query,
+            totalResults: responses.reduce((sum, r) => sum + (r.totalResults || 0), 0),
+            results: dedupe(responses.map(r => r.results || [])),
+            suggestions: [...new Set(responses.flatMap(r => r.suggestions || []))],
+            news: dedupe(responses.map(r => r.news || []))
+        };
+    }
+
+    /**
+     * Normalize a URL for de-duplication
+     */
+    normalizeResultUrl(url) {
         try {
-            const response = await fetch(`https://api.search.brave.com/res/v1/web/search?${params}`, {
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/json',
-                    'X-Subscription-Token': this.configs.brave.apiKey
-                }
-            });
+            const parsed = new URL(url);
+            const params = new URLSearchParams(parsed.search);
 
-            if (!response.ok) {
-                if (response.status === 401) {
-                    throw new Error('Invalid Brave API key');
-                } else if (response.status === 429) {
-                    throw new Error('Brave API rate limit exceeded');
-                } else {
-                    throw new Error(`Brave API error: ${response.status}`);
+            // Drop tracking parameters
+            for (const key of Array.from(params.keys())) {
+                if (/^(utm_|fbclid|gclid|ref$)/i.test(key)) {
+                    params.delete(key);
                 }
             }
+            params.sort();
 
-            const data = await response.json();
-            this.updateRateLimit('brave', response.headers);
-            
-            return this.formatBraveResults(data);
+            const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+            const path = parsed.pathname.replace(/\/+$/, '');
+            const search = params.toString();
+
+            return `${host}${path}${search ? `?${search}` : ''}`;
         } catch (error) {
-            console.error('Brave Search API error:', error);
-            throw error;
+            return url.toLowerCase();
         }
     }
 
     /**
-     * Format Brave Search results
-     */
-    formatBraveResults(data) {
-        return {
-            query: data.query?.original || '',
-            totalResults: data.web?.totalEstimatedMatches || 0,
-            results: data.web?.results?.map(result => ({
-                title: result.title,
-                url: result.url,
-                description: result.description,
-                displayUrl: result.display_url,
-                datePublished: result.date,
-                snippet: result.description,
-                language: result.language,
-                location: result.location
-            })) || [],
-            suggestions: data.query?.spellcheck || [],
-            news: data.news?.results?.map(news => ({
-                title: news.title,
-                url: news.url,
-                description: news.description,
-                datePublished: news.age,
-                source: news.source
-            })) || []
-        };
-    }
-
-    /**
-     * Hugging Face API methods
+     * Generate text with the project's provider (options.provider) or the default one
      */
     async generateText(prompt, options = {}) {
-        if (!this.configs.huggingface?.apiKey) {
-            throw new Error('Hugging Face token not configured');
+        const provider = this.getTextProvider(options.provider);
+        const config = this.configs[provider.id];
+
+        if (config?.secretsLocked) {
+            throw new Error('Credential vault is locked');
         }
 
-        if (!this.isOnline) {
+        if (!provider.isConfigured(config)) {
+            throw new Error(`${provider.label} not configured`);
+        }
+
+        if (!this.isOnline && provider.requiresInternet) {
             // Check if we have offline fallback
             const offlineResponse = await this.getOfflineContent('text', prompt);
             if (offlineResponse) {
@@ -286,64 +384,25 @@ class APIManager {
             throw new Error('No internet connection and no offline content available');
         }
 
-        const model = options.model || 'microsoft/DialoGPT-large';
-        const maxLength = options.maxLength || 500;
-        const temperature = options.temperature || 0.7;
-
         try {
-            const response = await fetch(`https://api-inference.huggingface.co/models/${model}`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.configs.huggingface.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    inputs: prompt,
-                    parameters: {
-                        max_length: maxLength,
-                        temperature: temperature,
-                        return_full_text: false,
-                        do_sample: true
-                    }
-                })
-            });
+            const result = await provider.generate(prompt, options, config);
 
-            if (response.status === 503) {
-                // Model is loading, try again after a delay
-                await new Promise(resolve => setTimeout(resolve, 20000));
-                return this.generateText(prompt, options);
-            }
-
-            if (!response.ok) {
-                if (response.status === 401) {
-                    throw new Error('Invalid Hugging Face token');
-                } else if (response.status === 429) {
-                    throw new Error('Hugging Face API rate limit exceeded');
-                } else {
-                    throw new Error(`Hugging Face API error: ${response.status}`);
-                }
-            }
-
-            const data = await response.json();
-            let generatedText = '';
-
-            if (Array.isArray(data) && data.length > 0) {
-                generatedText = data[0].generated_text || data[0].text || '';
-            } else if (data.generated_text) {
-                generatedText = data.generated_text;
+            if (result.rateLimit) {
+                this.setRateLimit(provider.id, result.rateLimit);
             }
 
             // Cache the result for offline use
-            await this.cacheOfflineContent('text', prompt, generatedText);
+            await this.cacheOfflineContent('text', prompt, result.text);
 
             return {
-                text: generatedText,
-                model: model,
+                text: result.text,
+                model: result.model,
+                provider: provider.id,
                 prompt: prompt,
                 success: true
             };
         } catch (error) {
-            console.error('Hugging Face text generation error:', error);
+            console.error(`${provider.label} text generation error:`, error);
             throw error;
         }
     }
@@ -410,19 +469,15 @@ class APIManager {
     }
 
     /**
-     * Update rate limit information
+     * Store parsed rate limit information
      */
-    updateRateLimit(provider, headers) {
-        const remaining = headers.get('x-ratelimit-remaining');
-        const reset = headers.get('x-ratelimit-reset');
+    setRateLimit(provider, limit) {
+        const current = this.rateLimits[provider] || { remaining: null, resetDate: null };
 
-        if (remaining !== null) {
-            this.rateLimits[provider].remaining = parseInt(remaining);
-        }
-
-        if (reset !== null) {
-            this.rateLimits[provider].resetDate = new Date(parseInt(reset) * 1000);
-        }
+        this.rateLimits[provider] = {
+            remaining: limit.remaining !== null && limit.remaining !== undefined ? limit.remaining : current.remaining,
+            resetDate: limit.resetDate || current.resetDate
+        };
 
         // Save to storage
         dbManager.saveSetting(`${provider}_rate_limit`, JSON.stringify(this.rateLimits[provider]));
@@ -449,10 +504,7 @@ class APIManager {
     handleOnlineStatus(isOnline) {
         this.isOnline = isOnline;
         this.updateConnectionStatus();
-        
-        if (isOnline) {
-            this.processPendingRequests();
-        }
+        // Queued operations are replayed by the outbox, which listens for 'online' too
     }
 
     /**
@@ -520,51 +572,14 @@ class APIManager {
         }
     }
 
-    /**
-     * Process pending requests when back online
-     */
-    async processPendingRequests() {
-        const pendingOps = await dbManager.getAllPendingOperations();
-        
-        for (const op of pendingOps) {
-            try {
-                switch (op.type) {
-                    case 'search':
-                        await this.searchWeb(op.data.query, op.data.options);
-                        break;
-                    case 'generateText':
-                        await this.generateText(op.data.prompt, op.data.options);
-                        break;
-                    case 'generateImage':
-                        await this.generateImage(op.data.prompt, op.data.options);
-                        break;
-                }
-                
-                await dbManager.deletePendingOperation(op.id);
-            } catch (error) {
-                console.error('Failed to process pending request:', error);
-            }
-        }
-    }
-
-    /**
-     * Queue request for when back online
-     */
-    async queuePendingRequest(type, data) {
-        const operation = {
-            id: dbManager.generateId(),
-            type: type,
-            data: data,
-            createdAt: new Date().toISOString()
-        };
-
-        await dbManager.savePendingOperation(operation);
-    }
-
     /**
      * Check if APIs are configured
      */
     isConfigured(provider) {
+        const textProvider = this.textProviders.get(provider);
+        if (textProvider) {
+            return textProvider.isConfigured(this.configs[provider]);
+        }
         return !!(this.configs[provider]?.apiKey);
     }
 
@@ -583,6 +598,12 @@ class APIManager {
                 remaining: this.rateLimits.huggingface.remaining,
                 resetDate: this.rateLimits.huggingface.resetDate
             },
+            text: {
+                provider: this.defaultTextProvider,
+                configured: this.isConfigured(this.defaultTextProvider),
+                remaining: this.rateLimits[this.defaultTextProvider]?.remaining,
+                resetDate: this.rateLimits[this.defaultTextProvider]?.resetDate
+            },
             online: this.isOnline
         };
     }
@@ -0,0 +1,114 @@
+/**
+ * API Provider base class for Content Autopilot PWA
+ * Shared configuration, error and rate limit handling for provider adapters
+ */
+
+/**
+ * Base provider. Adapters override the methods they need:
+ * - fields: settings form fields, also used as the config schema
+ * - configure(values): validate and normalize a config
+ * - test(config): check the config against the backend
+ * - parseError(response): turn an HTTP error into an Error
+ * - parseRateLimit(headers): return { remaining, resetDate } or null
+ */
+class APIProvider {
+    constructor(id, label) {
+        this.id = id;
+        this.label = label;
+        this.fields = [];
+    }
+
+    /**
+     * Validate and normalize a configuration
+     */
+    configure(values = {}) {
+        const config = {};
+
+        for (const field of this.fields) {
+            let value = values[field.name];
+            if (typeof value === 'string') {
+                value = value.trim();
+            }
+            if (value === undefined || value === null || value === '') {
+                value = field.default !== undefined ? field.default : '';
+            }
+            if (field.required && !value) {
+                throw new Error(`${this.label}: ${field.label} is required`);
+            }
+            config[field.name] = value;
+        }
+
+        if (config.baseUrl) {
+            config.baseUrl = config.baseUrl.replace(/\/+$/, '');
+        }
+
+        return config;
+    }
+
+    /**
+     * Check if a configuration has all required fields
+     */
+    isConfigured(config) {
+        if (!config) return false;
+        return this.fields
+            .filter(field => field.required)
+            .every(field => !!config[field.name]);
+    }
+
+    async test(config) {
+        throw new Error(`${this.label}: test not implemented`);
+    }
+
+    /**
+     * Turn an HTTP error response into an Error
+     */
+    async parseError(response) {
+        let detail = '';
+        try {
+            const data = await response.json();
+            detail = data.error?.message || data.error || data.message || '';
+        } catch (error) {
+            // Body is not JSON
+        }
+
+        switch (response.status) {
+            case 401:
+            case 403:
+                return new Error(`Invalid ${this.label} credentials`);
+            case 429:
+                return new Error(`${this.label} API rate limit exceeded`);
+            default:
+                return new Error(`${this.label} API error: ${response.status}${detail ? ` - ${detail}` : ''}`);
+        }
+    }
+
+    /**
+     * Read rate limit headers, if the backend sends them
+     */
+    parseRateLimit(headers) {
+        const remaining = headers.get('x-ratelimit-remaining');
+        const reset = headers.get('x-ratelimit-reset');
+
+        if (remaining === null && reset === null) {
+            return null;
+        }
+
+        return {
+            remaining: remaining !== null ? parseInt(remaining) : null,
+            resetDate: reset !== null ? new Date(parseInt(reset) * 1000) : null
+        };
+    }
+
+    /**
+     * Fetch helper that throws parsed errors
+     */
+    async request(url, init = {}) {
+        const response = await fetch(url, init);
+        if (!response.ok) {
+            throw await this.parseError(response);
+        }
+        return response;
+    }
+}
+
+window.APIProvider = APIProvider;
\ No newline at end of file
@@ -15,6 +15,9 @@ class ContentAutopilotApp {
         try {
             // Initialize database
             await dbManager.init();
+
+            // Initialize credential vault
+            await credentialVault.init();
             
             // Initialize API manager
             await apiManager.init();
@@ -25,9 +28,28 @@ class ContentAutopilotApp {
             // Initialize components
             this.initEventListeners();
             this.initPWAFeatures();
+            this.updateProviderOptions();
+            this.updateSiteOptions();
+            await this.updateTemplateOptions();
+            await this.updatePromptSetOptions();
+            languages.setDefault(await dbManager.getSetting('defaultLanguage', 'it'));
+            this.updateLanguageOptions();
+            this.updateVaultStatus();
+
+            // Ask for the passphrase before secrets are needed
+            this.showVaultModal();
             
             // Load initial data
             await this.loadDashboardData();
+
+            // Report runs missed while the app was closed
+            await scheduler.ready;
+            if (scheduler.misfireSummary.length > 0) {
+                await this.showMisfireSummary(scheduler.misfireSummary);
+            }
+
+            // Deliver operations queued while offline
+            operationOutbox.process();
             
             console.log('Content Autopilot PWA initialized successfully');
         } catch (error) {
@@ -72,6 +94,28 @@ class ContentAutopilotApp {
             testWpButton.addEventListener('click', () => this.testWordPressConnection());
         }
 
+        // WordPress site switcher
+        const siteSwitcher = document.getElementById('wpSiteSwitcher');
+        if (siteSwitcher) {
+            siteSwitcher.addEventListener('change', () => this.selectWordPressSite(siteSwitcher.value));
+        }
+
+        const deleteSiteButton = document.getElementById('deleteWpSite');
+        if (deleteSiteButton) {
+            deleteSiteButton.addEventListener('click', () => this.deleteWordPressSite());
+        }
+
+        // WordPress posts import
+        const importPostsButton = document.getElementById('importWpPosts');
+        if (importPostsButton) {
+            importPostsButton.addEventListener('click', () => this.importWordPressPosts());
+        }
+
+        const autoSyncSelect = document.getElementById('wpAutoSync');
+        if (autoSyncSelect) {
+            autoSyncSelect.addEventListener('change', () => this.handleWordPressAutoSync(autoSyncSelect.value));
+        }
+
         // App settings form
         const appSettingsForm = document.getElementById('appSettingsForm');
         if (appSettingsForm) {
@@ -82,8 +126,100 @@ class ContentAutopilotApp {
         const scheduleForm = document.getElementById('scheduleForm');
         if (scheduleForm) {
             scheduleForm.addEventListener('submit', (e) => this.handleScheduleConfig(e));
+
+            document.getElementById('scheduleFrequency').addEventListener('change', () => this.updateScheduleFrequencyFields());
+            document.getElementById('scheduleScope').addEventListener('change', (e) => this.loadScheduleForm(e.target.value));
+            ['scheduleCron', 'scheduleInterval', 'scheduleTime', 'scheduleTimezone'].forEach(id => {
+                document.getElementById(id).addEventListener('input', () => this.updateSchedulePreview());
+            });
+
+            const timezones = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+            document.getElementById('timezoneList').innerHTML = timezones
+                .map(timezone => `<option value="${timezone}">`).join('');
+        }
+
+        // Publication queue
+        const queueScope = document.getElementById('queueScope');
+        if (queueScope) {
+            queueScope.addEventListener('change', () => this.loadPublicationQueue());
         }
 
+        // Activity log
+        ['activityType', 'activityOutcome', 'activityPeriod'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.loadActivityLog());
+        });
+        document.getElementById('activityRetention').addEventListener('change', async (e) => {
+            await dbManager.saveSetting('taskRunRetentionDays', parseInt(e.target.value));
+            this.showToast('Conservazione cronologia aggiornata', 'success');
+        });
+
+        // Credential vault
+        this.initVaultListeners();
+
+        // Missed runs summary
+        document.getElementById('closeMisfire').addEventListener('click', () => {
+            document.getElementById('misfireModal').style.display = 'none';
+        });
+        window.addEventListener('scheduler-misfires', (e) => this.showMisfireSummary(e.detail));
+
+        // Scheduler status, live from the tab that runs the scheduler
+        window.addEventListener('scheduler-status', () => {
+            if (this.currentTab !== 'scheduler') return;
+
+            clearTimeout(this.schedulerRefreshTimer);
+            this.schedulerRefreshTimer = setTimeout(() => {
+                this.updateSchedulerStatus(scheduler.getStatus());
+                this.loadActivityLog();
+            }, 500);
+        });
+
+        // Offline operation outbox
+        window.addEventListener('outbox-updated', (e) => this.handleOutboxUpdate(e.detail));
+
+        // Project pipelines
+        window.addEventListener('pipeline-updated', () => {
+            if (this.currentTab === 'dashboard') {
+                this.loadDashboardData();
+            }
+        });
+
+        // Publish conflict resolution
+        document.querySelectorAll('#publishConflict [data-resolution]').forEach(button => {
+            button.addEventListener('click', () => this.resolvePublishConflict(button.dataset.resolution));
+        });
+        document.getElementById('closeConflict').addEventListener('click', () => this.closePublishConflict());
+
+        // Long-form articles
+        document.getElementById('newLongArticle').addEventListener('click', () => this.openOutlineArticle());
+        document.getElementById('generateOutline').addEventListener('click', () => this.generateOutline());
+        document.getElementById('addOutlineSection').addEventListener('click', () => this.addOutlineSection());
+        document.getElementById('saveOutline').addEventListener('click', () => this.saveOutline());
+        document.getElementById('expandOutline').addEventListener('click', () => this.expandOutline());
+        document.querySelectorAll('[data-close-outline]').forEach(button => {
+            button.addEventListener('click', () => this.closeOutline());
+        });
+
+        // Article translation
+        document.getElementById('translateArticleForm').addEventListener('submit', (e) => this.handleTranslateArticle(e));
+        document.getElementById('closeTranslateArticle').addEventListener('click', () => this.closeTranslateArticle());
+
+        // Article scheduling
+        document.getElementById('scheduleArticleForm').addEventListener('submit', (e) => this.handleScheduleArticle(e));
+        document.getElementById('closeScheduleArticle').addEventListener('click', () => this.closeScheduleArticle());
+
+        // Article templates
+        document.getElementById('templateForm').addEventListener('submit', (e) => this.handleSaveTemplate(e));
+        document.getElementById('closeTemplate').addEventListener('click', () => this.closeTemplateEditor());
+        document.getElementById('addTemplateSection').addEventListener('click', () => this.addTemplateSection());
+        document.getElementById('newTemplate').addEventListener('click', () => this.openTemplateEditor());
+        document.getElementById('templateSections').addEventListener('input', () => this.updateTemplateWordCount());
+
+        // Prompt library
+        document.getElementById('promptSetForm').addEventListener('submit', (e) => this.handleSavePromptSet(e));
+        document.getElementById('closePromptSet').addEventListener('click', () => this.closePromptSetEditor());
+        document.getElementById('newPromptSet').addEventListener('click', () => this.openPromptSetEditor());
+        document.getElementById('promptPreviewButton').addEventListener('click', () => this.previewPrompt());
+
         // Data management buttons
         this.initDataManagementButtons();
 
@@ -94,6 +230,204 @@ class ContentAutopilotApp {
         }
     }
 
+    /**
+     * Initialize credential vault listeners
+     */
+    initVaultListeners() {
+        document.getElementById('vaultForm').addEventListener('submit', (e) => this.handleVaultSubmit(e));
+        document.getElementById('vaultSkip').addEventListener('click', () => this.hideVaultModal());
+        document.getElementById('vaultStatus').addEventListener('click', () => {
+            if (credentialVault.isUnlocked()) {
+                credentialVault.lock();
+            } else {
+                this.showVaultModal();
+            }
+        });
+        document.getElementById('lockVault').addEventListener('click', () => credentialVault.lock());
+
+        const autoLockSelect = document.getElementById('vaultAutoLock');
+        autoLockSelect.value = String(credentialVault.autoLockMinutes);
+        autoLockSelect.addEventListener('change', async () => {
+            await credentialVault.setAutoLockMinutes(parseInt(autoLockSelect.value));
+            this.showToast('Blocco automatico aggiornato', 'success');
+        });
+
+        const backgroundToggle = document.getElementById('backgroundPublishing');
+        backgroundToggle.addEventListener('change', () => this.toggleBackgroundPublishing(backgroundToggle.checked));
+
+        window.addEventListener('vault-unlocked', () => this.updateVaultStatus());
+        window.addEventListener('vault-locked', () => {
+            this.updateVaultStatus();
+            if (credentialVault.isInitialized()) {
+                this.showVaultModal();
+            }
+        });
+    }
+
+    /**
+     * Show the vault modal to unlock, or to create the passphrase on first use
+     */
+    showVaultModal() {
+        if (credentialVault.isUnlocked()) return;
+
+        const isSetup = !credentialVault.isInitialized();
+
+        document.getElementById('vaultModalTitle').textContent = isSetup ? 'Proteggi le Credenziali' : 'Sblocca Credenziali';
+        document.getElementById('vaultModalText').textContent = isSetup ?
+            'Scegli una passphrase per cifrare API key e password WordPress salvate su questo dispositivo. Non può essere recuperata: se la dimentichi dovrai reinserire le credenziali.' :
+            'Inserisci la passphrase per usare le API key e la password WordPress.';
+        document.getElementById('vaultConfirmGroup').style.display = isSetup ? 'block' : 'none';
+        document.getElementById('vaultSubmit').textContent = isSetup ? 'Crea Vault' : 'Sblocca';
+        document.getElementById('vaultError').style.display = 'none';
+        document.getElementById('vaultForm').reset();
+
+        document.getElementById('vaultModal').style.display = 'flex';
+        document.getElementById('vaultPassphrase').focus();
+    }
+
+    hideVaultModal() {
+        document.getElementById('vaultModal').style.display = 'none';
+        document.getElementById('vaultForm').reset();
+    }
+
+    /**
+     * Handle vault unlock or setup
+     */
+    async handleVaultSubmit(e) {
+        e.preventDefault();
+
+        const passphrase = document.getElementById('vaultPassphrase').value;
+        const errorElement = document.getElementById('vaultError');
+        const submitButton = document.getElementById('vaultSubmit');
+
+        try {
+            submitButton.disabled = true;
+            errorElement.style.display = 'none';
+
+            if (credentialVault.isInitialized()) {
+                await credentialVault.unlock(passphrase);
+            } else {
+                if (passphrase !== document.getElementById('vaultPassphraseConfirm').value) {
+                    throw new Error('Le passphrase non coincidono');
+                }
+                await credentialVault.setup(passphrase);
+                this.showToast('Vault creato: le credenziali sono ora cifrate', 'success');
+            }
+
+            this.hideVaultModal();
+
+        } catch (error) {
+            console.error('Vault unlock failed:', error);
+            errorElement.textContent = error.message;
+            errorElement.style.display = 'block';
+        } finally {
+            submitButton.disabled = false;
+        }
+    }
+
+    /**
+     * Update vault indicators in header and settings
+     */
+    updateVaultStatus() {
+        const unlocked = credentialVault.isUnlocked();
+        const status = document.getElementById('vaultStatus');
+
+        status.classList.toggle('locked', !unlocked);
+        status.querySelector('span').textContent = unlocked ? 'Sbloccato' :
+            credentialVault.isInitialized() ? 'Bloccato' : 'Non protetto';
+
+        document.getElementById('vaultInfo').textContent = !credentialVault.isInitialized() ?
+            'Nessuna passphrase impostata: crea il vault per salvare le credenziali.' :
+            unlocked ? 'Le credenziali sono cifrate (AES-GCM) e sbloccate per questa sessione.' :
+            'Le credenziali sono cifrate. Sblocca il vault per usarle.';
+        document.getElementById('lockVault').disabled = !unlocked;
+        this.updateBackgroundPublishing();
+    }
+
+    /**
+     * Turn publishing from the service worker on or off
+     */
+    async toggleBackgroundPublishing(enabled) {
+        try {
+            if (enabled) {
+                if (credentialVault.isInitialized()) {
+                    await credentialVault.enableBackgroundAccess();
+                }
+                await dbManager.saveSetting('backgroundPublishing', true);
+                await this.registerBackgroundSync();
+                this.showToast('Pubblicazione in background attivata', 'success');
+            } else {
+                await credentialVault.disableBackgroundAccess();
+                await dbManager.saveSetting('backgroundPublishing', false);
+                await this.unregisterBackgroundSync();
+                this.showToast('Pubblicazione in background disattivata', 'info');
+            }
+        } catch (error) {
+            console.error('Failed to toggle background publishing:', error);
+            this.showToast(error.message, 'error');
+            if (!credentialVault.isUnlocked()) {
+                this.showVaultModal();
+            }
+        }
+
+        await this.updateBackgroundPublishing();
+    }
+
+    /**
+     * Show the background publishing state in the vault card
+     */
+    async updateBackgroundPublishing() {
+        const enabled = await dbManager.getSetting('backgroundPublishing', false);
+        // An import or a new vault drops the stored key
+        const keyMissing = credentialVault.isInitialized() && !await credentialVault.hasBackgroundAccess();
+        const supported = 'serviceWorker' in navigator && 'PeriodicSyncManager' in window;
+
+        document.getElementById('backgroundPublishing').checked = enabled && !keyMissing;
+        document.getElementById('backgroundPublishingInfo').textContent = !supported ?
+            'Il browser non supporta la sincronizzazione periodica: i post programmati partono quando apri l\'app.' :
+            enabled && !keyMissing ?
+                'La chiave del vault resta su questo dispositivo per pubblicare ad app chiusa. Disattiva per rimuoverla.' :
+                'I post programmati vengono pubblicati solo con l\'app aperta.';
+    }
+
+    /**
+     * Register the periodic sync that wakes the service worker for due publish tasks
+     */
+    async registerBackgroundSync() {
+        if (!('serviceWorker' in navigator)) return false;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!('periodicSync' in registration)) return false;
+
+            // Granted by the browser for installed apps with enough engagement
+            const permission = await navigator.permissions.query({ name: 'periodic-background-sync' });
+            if (permission.state !== 'granted') {
+                console.warn('Periodic background sync not granted');
+                return false;
+            }
+
+            await registration.periodicSync.register('background-publish', { minInterval: 15 * 60 * 1000 });
+            return true;
+        } catch (error) {
+            console.error('Failed to register periodic sync:', error);
+            return false;
+        }
+    }
+
+    async unregisterBackgroundSync() {
+        if (!('serviceWorker' in navigator)) return;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if ('periodicSync' in registration) {
+                await registration.periodicSync.unregister('background-publish');
+            }
+        } catch (error) {
+            console.error('Failed to unregister periodic sync:', error);
+        }
+    }
+
     /**
      * Initialize data management buttons
      */
@@ -178,34 +512,40 @@ class ContentAutopilotApp {
             this.showLoading('Creazione progetto...');
 
             const formData = new FormData(e.target);
+            const publishMode = formData.get('pipelinePublishMode');
             const projectData = {
                 name: formData.get('projectName'),
                 topic: formData.get('topic'),
                 keywords: formData.get('keywords'),
+                language: formData.get('language') || languages.defaultCode,
                 articleCount: parseInt(formData.get('articleCount')),
+                textProvider: formData.get('textProvider') || null,
+                searchProviders: formData.getAll('searchProviders'),
+                targetSiteId: formData.get('targetSiteId') || null,
+                template: formData.get('template') || 'blog',
+                promptSetId: formData.get('promptSetId') || null,
+                pipeline: {
+                    generate: { approval: formData.has('pipelineApproveGenerate') },
+                    review: { enabled: formData.has('pipelineReview') },
+                    publish: { enabled: !!publishMode, mode: publishMode || 'queue' }
+                },
                 status: 'created'
             };
 
             // Save project
             const project = await dbManager.saveProject(projectData);
 
-            // Start web search
-            await this.startWebSearch(project);
+            // Search, generation, review and publishing run as pipeline stages
+            await projectPipeline.start(project.id);
 
-            // Generate articles
-            await contentGenerator.generateArticlesFromProject(project.id, {
-                articleCount: project.articleCount,
-                articleLength: await dbManager.getSetting('articleLength', 'medium'),
-                generateImages: await dbManager.getSetting('autoImages', true)
-            });
+            this.showToast('Progetto creato: pipeline avviata', 'success');
 
-            this.showToast('Progetto creato e articoli generati con successo!', 'success');
-            
             // Refresh dashboard
             await this.loadDashboardData();
-            
+
             // Reset form
             e.target.reset();
+            this.updateLanguageOptions();
 
         } catch (error) {
             console.error('Project creation failed:', error);
@@ -215,49 +555,6 @@ class ContentAutopilotApp {
         }
     }
 
-    /**
-     * Start web search for project
-     */
-    async startWebSearch(project) {
-        try {
-            const keywords = Array.isArray(project.keywords) ? 
-                project.keywords : project.keywords.split(',').map(k => k.trim());
-
-            const searchResults = [];
-            
-            for (const keyword of keywords) {
-                const query = `${project.topic} ${keyword}`.trim();
-                
-                try {
-                    const result = await apiManager.searchWeb(query, {
-                        count: 10,
-                        market: 'it-IT',
-                        freshness: 'pm' // Past month
-                    });
-
-                    const searchData = {
-                        id: dbManager.generateId(),
-                        projectId: project.id,
-                        query: query,
-                        results: result.results,
-                        totalResults: result.totalResults,
-                        createdAt: new Date().toISOString()
-                    };
-
-                    await dbManager.saveSearchResults(searchData);
-                    searchResults.push(searchData);
-                } catch (error) {
-                    console.error(`Search failed for keyword: ${keyword}`, error);
-                }
-            }
-
-            return searchResults;
-        } catch (error) {
-            console.error('Web search failed:', error);
-            throw error;
-        }
-    }
-
     /**
      * Handle API configuration
      */
@@ -266,21 +563,22 @@ class ContentAutopilotApp {
 
         try {
             const formData = new FormData(e.target);
-            const braveApiKey = formData.get('braveApiKey');
-            const hfToken = formData.get('hfToken');
+            const textProvider = formData.get('textProvider');
+            const searchProviders = formData.getAll('searchProviders');
 
-            if (braveApiKey) {
-                await apiManager.saveAPIConfig('brave', braveApiKey);
+            if (textProvider) {
+                await apiManager.setDefaultTextProvider(textProvider);
             }
 
-            if (hfToken) {
-                await apiManager.saveAPIConfig('huggingface', hfToken);
+            if (searchProviders.length > 0) {
+                await apiManager.setDefaultSearchProviders(searchProviders);
             }
 
             this.showToast('Configurazione API salvata con successo!', 'success');
             
             // Update API status display
             this.updateAPIStatus();
+            this.updateProviderOptions();
 
         } catch (error) {
             console.error('API configuration failed:', error);
@@ -288,6 +586,41 @@ class ContentAutopilotApp {
         }
     }
 
+    /**
+     * Save and test the configuration of a search or text provider
+     */
+    async handleProviderConfig(providerId) {
+        try {
+            const provider = apiManager.getProvider(providerId);
+            if (!provider) {
+                throw new Error(`Provider sconosciuto: ${providerId}`);
+            }
+
+            const values = {};
+
+            // Empty fields keep the saved value (or the default)
+            for (const field of provider.fields) {
+                const input = document.getElementById(`provider-${providerId}-${field.name}`);
+                const value = input ? input.value.trim() : '';
+                if (value) {
+                    values[field.name] = value;
+                }
+            }
+
+            this.showLoading(`Test ${provider.label}...`);
+            await apiManager.saveAPIConfig(providerId, values);
+
+            this.renderProviderSettings();
+            this.updateProviderOptions();
+
+        } catch (error) {
+            console.error('Provider configuration failed:', error);
+            this.showToast(`Errore nella configurazione del provider: ${error.message}`, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
     /**
      * Handle WordPress configuration
      */
@@ -300,11 +633,16 @@ class ContentAutopilotApp {
             const wpUsername = formData.get('wpUsername');
             const wpPassword = formData.get('wpPassword');
 
-            const result = await wpConnector.saveConfig(wpUrl, wpUsername, wpPassword);
+            const result = await wpConnector.saveConfig(wpUrl, wpUsername, wpPassword, {
+                siteId: formData.get('wpSiteId') || null,
+                name: formData.get('wpSiteName').trim(),
+                makeDefault: formData.get('wpMakeDefault') === 'on',
+                multilingual: formData.get('wpMultilingual') || null
+            });
             
             if (result.success) {
                 this.showToast('Configurazione WordPress salvata con successo!', 'success');
-                await this.loadWordPressData();
+                await this.loadWordPressData(result.siteId);
             }
 
         } catch (error) {
@@ -314,13 +652,20 @@ class ContentAutopilotApp {
     }
 
     /**
-     * Test WordPress connection
+     * Test WordPress connection of the selected site, or of the form values for a new site
      */
     async testWordPressConnection() {
         try {
             this.showLoading('Test connessione WordPress...');
             
-            const result = await wpConnector.testConnection();
+            const siteId = document.getElementById('wpSiteId').value;
+            const result = siteId ?
+                await wpConnector.testConnection(siteId) :
+                await wpConnector.testConnectionWithConfig({
+                    url: wpConnector.normalizeUrl(document.getElementById('wpUrl').value),
+                    username: document.getElementById('wpUsername').value,
+                    password: document.getElementById('wpPassword').value
+                });
             
             if (result.success) {
                 this.showToast('Connessione WordPress riuscita!', 'success');
@@ -346,8 +691,12 @@ class ContentAutopilotApp {
             const formData = new FormData(e.target);
             
             await dbManager.saveSetting('defaultLanguage', formData.get('defaultLanguage'));
+            languages.setDefault(formData.get('defaultLanguage'));
+            this.updateLanguageOptions();
             await dbManager.saveSetting('articleLength', formData.get('articleLength'));
             await dbManager.saveSetting('autoImages', formData.has('autoImages'));
+            await dbManager.saveSetting('extractPages', parseInt(formData.get('extractPages')) || 0);
+            await dbManager.saveSetting('extractProxyUrl', formData.get('extractProxyUrl').trim());
 
             this.showToast('Impostazioni salvate con successo!', 'success');
 
@@ -358,7 +707,7 @@ class ContentAutopilotApp {
     }
 
     /**
-     * Handle schedule configuration
+     * Handle schedule configuration (recurring publishing from the queue of a scope)
      */
     async handleScheduleConfig(e) {
         e.preventDefault();
@@ -366,23 +715,35 @@ class ContentAutopilotApp {
         try {
             const formData = new FormData(e.target);
             const enabled = formData.has('scheduleEnabled');
+            const scope = formData.get('scheduleScope');
             const frequency = formData.get('scheduleFrequency');
             const time = formData.get('scheduleTime');
 
-            await dbManager.saveSetting('scheduleEnabled', enabled);
-            await dbManager.saveSetting('scheduleFrequency', frequency);
-            await dbManager.saveSetting('scheduleTime', time);
+            // Replace only the recurring queue task of this scope, never single-article tasks
+            const existing = await this.getQueuePublishTasks(scope);
+            for (const task of existing) {
+                await scheduler.cancelTask(task.id);
+            }
 
             if (enabled) {
-                // Set up recurring publishing schedule
-                await scheduler.scheduleRecurringPublishing(frequency, time);
+                const intervalMinutes = parseInt(formData.get('scheduleInterval'), 10) || 0;
+                if (frequency === 'custom' && intervalMinutes < 15) {
+                    throw new Error('L\'intervallo deve essere di almeno 15 minuti');
+                }
+
+                await scheduler.scheduleRecurringPublishing(frequency, time, {
+                    ...this.parseQueueScope(scope),
+                    maxPerDay: parseInt(formData.get('scheduleMaxPerDay'), 10) || 0,
+                    lowWatermark: parseInt(formData.get('scheduleLowWatermark'), 10) || 0,
+                    skipIfEmpty: formData.has('scheduleSkipIfEmpty'),
+                    intervalMinutes: frequency === 'custom' ? intervalMinutes : null,
+                    cron: frequency === 'cron' ? formData.get('scheduleCron').trim() : null,
+                    timezone: formData.get('scheduleTimezone').trim() || null,
+                    misfirePolicy: formData.get('scheduleMisfirePolicy'),
+                    misfireGraceMinutes: parseInt(formData.get('scheduleMisfireGrace'), 10) || 0
+                });
                 this.showToast('Pubblicazione automatica attivata!', 'success');
             } else {
-                // Cancel existing schedules
-                const publishTasks = await scheduler.getTasksByType('publish_article');
-                for (const task of publishTasks) {
-                    await scheduler.cancelTask(task.id);
-                }
                 this.showToast('Pubblicazione automatica disattivata', 'info');
             }
 
@@ -393,138 +754,542 @@ class ContentAutopilotApp {
     }
 
     /**
-     * Load dashboard data
+     * Recurring queue publishing tasks of a scope
      */
-    async loadDashboardData() {
-        try {
-            const projects = await dbManager.getAllProjects();
-            const articles = await dbManager.getAllArticles();
-            const stats = await contentGenerator.getGenerationStats();
-            const apiStatus = apiManager.getAPIStatus();
+    async getQueuePublishTasks(scope) {
+        const { projectId, siteId } = this.parseQueueScope(scope);
 
-            // Update recent projects
-            this.updateRecentProjects(projects.slice(0, 5));
+        return (await scheduler.getTasksByType('publish_article'))
+            .filter(task => !task.articleId && task.recurring &&
+                (task.options?.projectId || null) === projectId &&
+                (task.options?.siteId || null) === siteId);
+    }
 
-            // Update statistics
-            document.getElementById('totalProjects').textContent = stats.totalProjects;
-            document.getElementById('totalArticles').textContent = stats.totalArticles;
-            document.getElementById('totalPublished').textContent = 
-                articles.filter(a => a.status === 'published').length;
-            document.getElementById('apiCallsRemaining').textContent = 
-                apiStatus.brave.remaining || '--';
+    /**
+     * Turn a scope select value ('', 'project:<id>', 'site:<id>') into queue options
+     */
+    parseQueueScope(value) {
+        const [type, id] = (value || '').split(/:(.+)/);
+        return {
+            projectId: type === 'project' ? id : null,
+            siteId: type === 'site' ? id : null
+        };
+    }
 
-        } catch (error) {
-            console.error('Failed to load dashboard data:', error);
-        }
+    /**
+     * Fill the schedule form with the recurring task of a scope
+     */
+    async loadScheduleForm(scope) {
+        const task = (await this.getQueuePublishTasks(scope))[0];
+        const options = task?.options || {};
+
+        document.getElementById('scheduleEnabled').checked = !!task;
+        document.getElementById('scheduleFrequency').value = task?.frequency || 'daily';
+        document.getElementById('scheduleCron').value = task?.frequency === 'cron' ? task.cron : '';
+        document.getElementById('scheduleInterval').value = options.intervalMinutes || 240;
+        document.getElementById('scheduleTime').value = task ? this.getTaskStartTime(task) : '09:00';
+        document.getElementById('scheduleTimezone').value = task?.timezone || CronExpression.getLocalTimezone();
+        document.getElementById('scheduleMaxPerDay').value = options.maxPerDay ?? 1;
+        document.getElementById('scheduleLowWatermark').value = options.lowWatermark ?? publicationQueue.defaultLowWatermark;
+        document.getElementById('scheduleSkipIfEmpty').checked = options.skipIfEmpty !== false;
+        document.getElementById('scheduleMisfirePolicy').value = task?.misfirePolicy || scheduler.config.misfirePolicy;
+        document.getElementById('scheduleMisfireGrace').value = task?.misfireGraceMinutes ?? scheduler.config.misfireGraceMinutes;
+
+        this.updateScheduleFrequencyFields();
     }
 
     /**
-     * Update recent projects display
+     * HH:MM of a recurring task, in its own timezone
      */
-    updateRecentProjects(projects) {
-        const container = document.getElementById('recentProjects');
-        
-        if (projects.length === 0) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1">
-                        <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
-                        <polyline points="14,2 14,8 20,8"/>
-                    </svg>
-                    <p>Nessun progetto ancora creato</p>
-                </div>
-            `;
-            return;
+    getTaskStartTime(task) {
+        const [minutes, hours] = (task.cron || '').split(/\s+/);
+        if (task.frequency !== 'cron' && /^\d+$/.test(minutes) && /^\d+$/.test(hours)) {
+            return `${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}`;
         }
+        return new Date(task.scheduledFor).toTimeString().slice(0, 5);
+    }
 
-        const projectsHTML = projects.map(project => `
-            <div class="project-item" data-project-id="${project.id}">
-                <div class="project-info">
-                    <h4>${project.name}</h4>
-                    <p>${project.topic}</p>
-                    <small>Creato il ${new Date(project.createdAt).toLocaleDateString('it-IT')}</small>
-                </div>
-                <div class="project-status">
-                    <span class="status-badge status-${project.status}">${project.status}</span>
-                </div>
-            </div>
-        `).join('');
+    /**
+     * Show the fields used by the selected frequency
+     */
+    updateScheduleFrequencyFields() {
+        const frequency = document.getElementById('scheduleFrequency').value;
 
-        container.innerHTML = projectsHTML;
+        document.getElementById('scheduleCronGroup').style.display = frequency === 'cron' ? 'block' : 'none';
+        document.getElementById('scheduleIntervalGroup').style.display = frequency === 'custom' ? 'block' : 'none';
+        document.getElementById('scheduleTimeGroup').style.display = frequency === 'cron' ? 'none' : 'block';
 
-        // Add click handlers for project items
-        container.querySelectorAll('.project-item').forEach(item => {
-            item.addEventListener('click', () => {
-                const projectId = item.dataset.projectId;
-                this.viewProject(projectId);
-            });
-        });
+        this.updateSchedulePreview();
     }
 
     /**
-     * Load search data
+     * Preview the next run times of the schedule form
      */
-    async loadSearchData() {
+    updateSchedulePreview() {
+        const preview = document.getElementById('schedulePreview');
+        const frequency = document.getElementById('scheduleFrequency').value;
+        const timezone = document.getElementById('scheduleTimezone').value.trim() || CronExpression.getLocalTimezone();
+
         try {
-            const searchResults = await dbManager.getAll('searchResults');
-            this.updateSearchResults(searchResults);
+            const runs = scheduler.previewRecurrence(frequency, document.getElementById('scheduleTime').value || '09:00', {
+                cron: document.getElementById('scheduleCron').value.trim(),
+                timezone: timezone,
+                intervalMinutes: parseInt(document.getElementById('scheduleInterval').value, 10) || 0
+            });
+
+            preview.innerHTML = runs.map(run => `
+                <li>${run.toLocaleString('it-IT', { timeZone: timezone, weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })}</li>
+            `).join('');
         } catch (error) {
-            console.error('Failed to load search data:', error);
+            preview.innerHTML = `<li class="error">${error.message}</li>`;
         }
     }
 
     /**
-     * Update search results display
+     * Fill the queue scope selects with projects and WordPress sites
      */
-    updateSearchResults(searchResults) {
-        const container = document.getElementById('searchResults');
-        
-        if (searchResults.length === 0) {
+    async updateQueueScopeOptions() {
+        const projects = await dbManager.getAllProjects();
+        const sites = wpConnector.getSites();
+
+        document.querySelectorAll('.queue-scope-select').forEach(select => {
+            const current = select.value;
+            const emptyOption = select.options[0];
+
+            select.innerHTML = '';
+            select.appendChild(emptyOption);
+            projects.forEach(project => {
+                select.add(new Option(`Progetto: ${project.name}`, `project:${project.id}`));
+            });
+            sites.forEach(site => {
+                select.add(new Option(`Sito: ${site.name}`, `site:${site.id}`));
+            });
+
+            select.value = current;
+            if (select.value !== current) {
+                select.value = '';
+            }
+        });
+    }
+
+    /**
+     * Render the publication queue of the selected scope
+     */
+    async loadPublicationQueue() {
+        const container = document.getElementById('publicationQueueList');
+        const queue = await publicationQueue.getQueue(this.parseQueueScope(document.getElementById('queueScope').value));
+
+        if (queue.length === 0) {
             container.innerHTML = `
                 <div class="empty-state">
-                    <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1">
-                        <circle cx="11" cy="11" r="8"/>
-                        <path d="21 21l-4.35-4.35"/>
-                    </svg>
-                    <p>Avvia un progetto dalla Dashboard per vedere i risultati della ricerca</p>
+                    <p>Nessun articolo in coda. Usa "Metti in coda" su una bozza per approvarla.</p>
                 </div>
             `;
             return;
         }
 
-        const resultsHTML = searchResults.map(search => `
-            <div class="search-result-group">
-                <h3>Query: "${search.query}"</h3>
-                <p>Trovati ${search.totalResults} risultati</p>
-                <div class="search-results">
-                    ${search.results.slice(0, 5).map(result => `
-                        <div class="search-result-item">
-                            <h4><a href="${result.url}" target="_blank">${result.title}</a></h4>
-                            <p class="result-url">${result.displayUrl}</p>
-                            <p class="result-description">${result.description}</p>
-                        </div>
-                    `).join('')}
+        const sites = new Map(wpConnector.getSites().map(site => [site.id, site.name]));
+
+        container.innerHTML = queue.map(({ article, siteId }, index) => `
+            <div class="queue-item">
+                <span class="queue-position">${index + 1}</span>
+                <div class="queue-info">
+                    <strong>${article.title}</strong>
+                    <span>${sites.get(siteId) || 'Nessun sito'} · ${article.wordCount} parole</span>
+                </div>
+                <div class="queue-actions">
+                    <button class="btn btn-secondary" onclick="app.moveQueueItem('${article.id}', -1)" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="btn btn-secondary" onclick="app.moveQueueItem('${article.id}', 1)" ${index === queue.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button class="btn btn-secondary" onclick="app.dequeueArticle('${article.id}')">Rimuovi</button>
                 </div>
             </div>
         `).join('');
-
-        container.innerHTML = resultsHTML;
     }
 
     /**
-     * Load articles data
+     * Approve a draft for queue publishing
      */
-    async loadArticlesData() {
+    async enqueueArticle(articleId) {
         try {
-            const articles = await dbManager.getAllArticles();
-            this.updateArticlesList(articles);
+            await publicationQueue.enqueue(articleId);
+            this.showToast('Articolo aggiunto alla coda di pubblicazione', 'success');
+            await this.loadTabData(this.currentTab);
         } catch (error) {
-            console.error('Failed to load articles data:', error);
+            console.error('Enqueue failed:', error);
+            this.showToast(`Errore: ${error.message}`, 'error');
         }
     }
 
     /**
-     * Update articles list display
+     * Remove an article from the publication queue
+     */
+    async dequeueArticle(articleId) {
+        try {
+            await publicationQueue.dequeue(articleId);
+            this.showToast('Articolo rimosso dalla coda', 'info');
+            await this.loadTabData(this.currentTab);
+        } catch (error) {
+            console.error('Dequeue failed:', error);
+            this.showToast(`Errore: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Move an article up or down in the publication queue
+     */
+    async moveQueueItem(articleId, direction) {
+        try {
+            await publicationQueue.move(articleId, direction);
+            await this.loadPublicationQueue();
+        } catch (error) {
+            console.error('Queue reorder failed:', error);
+            this.showToast(`Errore: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Render the offline operation outbox
+     */
+    async loadOperationOutbox() {
+        const container = document.getElementById('operationOutboxList');
+        const operations = (await operationOutbox.getOperations()).reverse();
+
+        if (operations.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>Nessuna operazione in attesa di connessione</p>
+                </div>
+            `;
+            return;
+        }
+
+        const items = [];
+        for (const operation of operations) {
+            const article = operation.articleId ? await dbManager.getArticle(operation.articleId) : null;
+            const project = operation.projectId ? await dbManager.getProject(operation.projectId) : null;
+            const subject = article?.title || operation.data?.query || project?.name || '';
+
+            let detail = `Tentativi: ${operation.attempts}/${operation.maxAttempts}`;
+            if (operation.status === 'retry' || operation.status === 'pending') {
+                detail += ` · prossimo tentativo ${new Date(operation.nextAttemptAt).toLocaleString('it-IT')}`;
+            } else if (operation.status === 'done' && operation.completedAt) {
+                detail += ` · completata ${new Date(operation.completedAt).toLocaleString('it-IT')}`;
+            }
+
+            items.push(`
+                <div class="outbox-item ${operation.status}">
+                    <div class="outbox-info">
+                        <strong>${operationOutbox.getLabel(operation.type)}${subject ? `: ${subject}` : ''}</strong>
+                        <span>${operationOutbox.getStatusLabel(operation.status)} · ${detail}</span>
+                        ${operation.lastError ? `<span class="error">${operation.lastError}</span>` : ''}
+                        ${operation.result?.url ? `<a href="${operation.result.url}" target="_blank" rel="noopener">${operation.result.url}</a>` : ''}
+                    </div>
+                    <div class="outbox-actions">
+                        ${operation.status === 'failed' || operation.status === 'retry' ?
+                            `<button class="btn btn-secondary" onclick="app.retryOperation('${operation.id}')">Riprova</button>` : ''}
+                        ${operation.status !== 'running' ?
+                            `<button class="btn btn-secondary" onclick="app.removeOperation('${operation.id}')">Elimina</button>` : ''}
+                    </div>
+                </div>
+            `);
+        }
+
+        container.innerHTML = items.join('');
+    }
+
+    /**
+     * Refresh views and report delivered or failed operations
+     */
+    handleOutboxUpdate(operation) {
+        if (operation.status === 'done') {
+            this.showToast(`${operationOutbox.getLabel(operation.type)} completata dopo il ritorno della connessione`, 'success');
+        } else if (operation.status === 'failed') {
+            this.showToast(`${operationOutbox.getLabel(operation.type)} non riuscita: ${operation.lastError}`, 'error');
+        }
+
+        clearTimeout(this.outboxRefreshTimer);
+        this.outboxRefreshTimer = setTimeout(() => {
+            if (this.currentTab === 'scheduler') {
+                this.loadOperationOutbox();
+            } else if (operation.status === 'done' && ['articles', 'dashboard'].includes(this.currentTab)) {
+                this.loadTabData(this.currentTab);
+            }
+        }, 500);
+    }
+
+    async retryOperation(operationId) {
+        try {
+            await operationOutbox.retry(operationId);
+            await this.loadOperationOutbox();
+        } catch (error) {
+            console.error('Operation retry failed:', error);
+            this.showToast(`Errore: ${error.message}`, 'error');
+        }
+    }
+
+    async removeOperation(operationId) {
+        if (!confirm('Eliminare questa operazione? Non verrà più eseguita.')) return;
+
+        try {
+            await operationOutbox.remove(operationId);
+            await this.loadOperationOutbox();
+        } catch (error) {
+            console.error('Operation removal failed:', error);
+            this.showToast(`Errore: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Load dashboard data
+     */
+    async loadDashboardData() {
+        try {
+            const projects = await dbManager.getAllProjects();
+            const articles = await dbManager.getAllArticles();
+            const stats = await contentGenerator.getGenerationStats();
+            const apiStatus = apiManager.getAPIStatus();
+
+            // Update recent projects
+            await this.updateRecentProjects(projects.slice(0, 5));
+
+            // Update statistics
+            document.getElementById('totalProjects').textContent = stats.totalProjects;
+            document.getElementById('totalArticles').textContent = stats.totalArticles;
+            document.getElementById('totalPublished').textContent = 
+                articles.filter(a => a.status === 'published').length;
+            document.getElementById('apiCallsRemaining').textContent = 
+                apiStatus.brave.remaining || '--';
+
+        } catch (error) {
+            console.error('Failed to load dashboard data:', error);
+        }
+    }
+
+    /**
+     * Update recent projects display
+     */
+    async updateRecentProjects(projects) {
+        const container = document.getElementById('recentProjects');
+        
+        if (projects.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1">
+                        <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+                        <polyline points="14,2 14,8 20,8"/>
+                    </svg>
+                    <p>Nessun progetto ancora creato</p>
+                </div>
+            `;
+            return;
+        }
+
+        const runs = new Map();
+        for (const project of projects) {
+            runs.set(project.id, await projectPipeline.getCurrentRun(project.id));
+        }
+
+        const projectsHTML = projects.map(project => `
+            <div class="project-item" data-project-id="${project.id}">
+                <div class="project-info">
+                    <h4>${project.name}</h4>
+                    <p>${project.topic}</p>
+                    <small>Creato il ${languages.formatDate(project.createdAt, project.language)} · ${languages.get(project.language).label}</small>
+                    ${this.renderPipelineStatus(project, runs.get(project.id))}
+                </div>
+                <div class="project-status">
+                    <span class="status-badge status-${project.status}">${project.status}</span>
+                </div>
+            </div>
+        `).join('');
+
+        container.innerHTML = projectsHTML;
+
+        // Add click handlers for project items
+        container.querySelectorAll('.project-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const projectId = item.dataset.projectId;
+                this.viewProject(projectId);
+            });
+        });
+    }
+
+    /**
+     * Load search data
+     */
+    async loadSearchData() {
+        try {
+            const searchResults = await dbManager.getAll('searchResults');
+            this.updateSearchResults(searchResults);
+        } catch (error) {
+            console.error('Failed to load search data:', error);
+        }
+    }
+
+    /**
+     * Update search results display
+     */
+    updateSearchResults(searchResults) {
+        const container = document.getElementById('searchResults');
+        
+        if (searchResults.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1">
+                        <circle cx="11" cy="11" r="8"/>
+                        <path d="21 21l-4.35-4.35"/>
+                    </svg>
+                    <p>Avvia un progetto dalla Dashboard per vedere i risultati della ricerca</p>
+                </div>
+            `;
+            return;
+        }
+
+        const resultsHTML = searchResults.map(search => `
+            <div class="search-result-group">
+                <h3>Query: "${htmlUtils.escape(search.query)}"</h3>
+                <p>Trovati ${search.totalResults} risultati</p>
+                <div class="search-results">
+                    ${search.results.slice(0, 5).map((result, index) => `
+                        <div class="search-result-item">
+                            <h4><a href="${htmlUtils.escapeUrl(result.url)}" target="_blank" rel="noopener">${htmlUtils.escape(htmlUtils.toText(result.title))}</a></h4>
+                            <p class="result-url">${htmlUtils.escape(result.displayUrl)}</p>
+                            <p class="result-description">${htmlUtils.escape(htmlUtils.toText(result.description))}</p>
+                            <div class="result-extraction">
+                                ${result.extracted ? `
+                                    <span>Testo estratto: ${result.extracted.wordCount} parole${result.extracted.author ? ` · ${htmlUtils.escape(result.extracted.author)}` : ''}${result.extracted.publishedAt ? ` · ${languages.formatDate(result.extracted.publishedAt)}` : ''}</span>
+                                ` : result.extractError ? `
+                                    <span class="text-muted" title="${htmlUtils.escape(result.extractError)}">Estrazione non riuscita</span>
+                                ` : ''}
+                                <button class="btn btn-secondary" onclick="app.extractSearchResult('${search.id}', ${index})">${result.extracted ? 'Estrai di nuovo' : 'Estrai testo'}</button>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+
+        container.innerHTML = resultsHTML;
+    }
+
+    /**
+     * Extract the full text of a search result page
+     */
+    async extractSearchResult(searchId, index) {
+        try {
+            this.showLoading('Estrazione del testo della pagina...');
+            const extracted = await pageExtractor.extractSavedResult(searchId, index);
+            this.showToast(`Testo estratto: ${extracted.wordCount} parole`, 'success');
+
+        } catch (error) {
+            console.error('Page extraction failed:', error);
+            this.showToast(`Errore nell'estrazione: ${error.message}`, 'error');
+        } finally {
+            this.hideLoading();
+            await this.loadSearchData();
+        }
+    }
+
+    /**
+     * Render the pipeline stages of a project and the actions of its current run
+     */
+    renderPipelineStatus(project, run) {
+        if (!run) {
+            return `
+                <div class="pipeline-actions">
+                    <button class="btn btn-secondary" onclick="event.stopPropagation(); app.startPipeline('${project.id}')">Avvia pipeline</button>
+                </div>
+            `;
+        }
+
+        const statusLabels = {
+            pending: 'in attesa',
+            scheduled: 'programmata',
+            running: 'in corso',
+            retry: 'nuovo tentativo',
+            awaiting_approval: 'da approvare',
+            completed: 'completata',
+            failed: 'non riuscita',
+            skipped: 'saltata',
+            cancelled: 'annullata'
+        };
+
+        const steps = run.stages.map(stage => `
+            <li class="pipeline-step ${stage.status}" title="${stage.error || stage.result || ''}">
+                <span>${projectPipeline.getStageLabel(stage.id)}</span>
+                <small>${statusLabels[stage.status] || stage.status}</small>
+            </li>
+        `).join('');
+
+        const waiting = run.stages.find(stage => stage.status === 'awaiting_approval');
+        let actions = '';
+        if (waiting) {
+            actions = `
+                ${waiting.id === 'review' ? `<button class="btn btn-secondary" onclick="event.stopPropagation(); app.switchTab('articles')">Rivedi articoli</button>` : ''}
+                <button class="btn btn-primary" onclick="event.stopPropagation(); app.approvePipeline('${run.id}')">Approva ${projectPipeline.getStageLabel(waiting.id)}</button>
+                <button class="btn btn-secondary" onclick="event.stopPropagation(); app.cancelPipeline('${run.id}')">Annulla</button>
+            `;
+        } else if (run.status === 'failed') {
+            actions = `
+                <button class="btn btn-primary" onclick="event.stopPropagation(); app.retryPipeline('${run.id}')">Riprova</button>
+                <button class="btn btn-secondary" onclick="event.stopPropagation(); app.cancelPipeline('${run.id}')">Annulla</button>
+            `;
+        } else if (run.status === 'running') {
+            actions = `<button class="btn btn-secondary" onclick="event.stopPropagation(); app.cancelPipeline('${run.id}')">Annulla</button>`;
+        } else {
+            actions = `<button class="btn btn-secondary" onclick="event.stopPropagation(); app.startPipeline('${project.id}')">Nuova esecuzione</button>`;
+        }
+
+        return `
+            <ol class="pipeline-steps">${steps}</ol>
+            <div class="pipeline-actions">${actions}</div>
+        `;
+    }
+
+    /**
+     * Pipeline actions
+     */
+    async startPipeline(projectId) {
+        await this.runPipelineAction(() => projectPipeline.start(projectId), 'Pipeline avviata');
+    }
+
+    async approvePipeline(runId) {
+        await this.runPipelineAction(() => projectPipeline.approve(runId), 'Fase approvata');
+    }
+
+    async retryPipeline(runId) {
+        await this.runPipelineAction(() => projectPipeline.retry(runId), 'Nuovo tentativo avviato');
+    }
+
+    async cancelPipeline(runId) {
+        if (!confirm('Annullare la pipeline in corso?')) return;
+        await this.runPipelineAction(() => projectPipeline.cancel(runId), 'Pipeline annullata');
+    }
+
+    async runPipelineAction(action, successMessage) {
+        try {
+            await action();
+            this.showToast(successMessage, 'success');
+        } catch (error) {
+            console.error('Pipeline action failed:', error);
+            this.showToast(`Errore nella pipeline: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Load articles data
+     */
+    async loadArticlesData() {
+        try {
+            const articles = await dbManager.getAllArticles();
+            this.updateArticlesList(articles);
+        } catch (error) {
+            console.error('Failed to load articles data:', error);
+        }
+    }
+
+    /**
+     * Update articles list display
      */
     updateArticlesList(articles) {
         const container = document.getElementById('articlesContainer');
@@ -532,80 +1297,909 @@ class ContentAutopilotApp {
         if (articles.length === 0) {
             container.innerHTML = `
                 <div class="empty-state">
-                    <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1">
-                        <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
-                        <polyline points="14,2 14,8 20,8"/>
-                    </svg>
-                    <p>Nessun articolo ancora generato</p>
+                    <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1">
+                        <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+                        <polyline points="14,2 14,8 20,8"/>
+                    </svg>
+                    <p>Nessun articolo ancora generato</p>
+                </div>
+            `;
+            return;
+        }
+
+        // Languages of the other variants of each translation group
+        const variantLanguages = (article) => articles
+            .filter(other => other.id !== article.id && article.translationGroup && other.translationGroup === article.translationGroup)
+            .map(other => languages.get(other.language).label);
+
+        const articlesHTML = articles.map(article => article.status === 'outline' ? `
+            <div class="article-card" data-article-id="${article.id}">
+                <div class="article-header">
+                    <h3>${article.title}</h3>
+                    <span class="status-badge status-${article.status}">${article.status}</span>
+                </div>
+                <div class="article-info">
+                    <div class="article-meta">
+                        <span>Scaletta: ${article.outline.sections.filter(section => section.status === 'done').length}/${article.outline.sections.length} sezioni scritte</span>
+                        ${article.outline.sections.some(section => section.status === 'failed') ? '<span>Una sezione non è riuscita: riprendi dalla scaletta</span>' : ''}
+                        <span>Creato: ${languages.formatDate(article.createdAt, article.language)}</span>
+                        <span>${languages.get(article.language).label}</span>
+                    </div>
+                </div>
+                <div class="article-actions">
+                    <button class="btn btn-primary" onclick="app.openOutlineArticle('${article.id}')">Apri scaletta</button>
+                </div>
+            </div>
+        ` : `
+            <div class="article-card" data-article-id="${article.id}">
+                <div class="article-header">
+                    <h3>${article.title}</h3>
+                    <span class="status-badge status-${article.status}">${article.status}</span>
+                </div>
+                <div class="article-info">
+                    <p class="article-excerpt">${article.excerpt}</p>
+                    <div class="article-meta">
+                        <span>${article.wordCount} parole</span>
+                        <span>${article.readingTime}</span>
+                        <span>Creato: ${languages.formatDate(article.createdAt, article.language)}</span>
+                        <span>${languages.get(article.language).label}${variantLanguages(article).length > 0 ? ` · Traduzioni: ${variantLanguages(article).join(', ')}` : ''}</span>
+                        ${article.status === 'scheduled' && article.scheduledFor ? `
+                            <span>Programmato: ${languages.formatDateTime(article.scheduledFor, article.language)} (${article.scheduleMode === 'native' ? 'WordPress' : 'App'})</span>
+                        ` : ''}
+                    </div>
+                </div>
+                <div class="article-actions">
+                    <button class="btn btn-secondary" onclick="app.editArticle('${article.id}')">Modifica</button>
+                    <button class="btn btn-secondary" onclick="app.openTranslateArticle('${article.id}')">Traduci</button>
+                    ${article.status === 'scheduled' ? `
+                        <button class="btn btn-secondary" onclick="app.openScheduleArticle('${article.id}', true)">Riprogramma</button>
+                        <button class="btn btn-secondary" onclick="app.unscheduleArticle('${article.id}')">Annulla programmazione</button>
+                    ` : article.status !== 'published' ? `
+                        <button class="btn btn-secondary" onclick="app.openScheduleArticle('${article.id}')">Programma</button>
+                        ${article.status === 'queued' ? `
+                            <button class="btn btn-secondary" onclick="app.dequeueArticle('${article.id}')">Rimuovi dalla coda</button>
+                        ` : `
+                            <button class="btn btn-secondary" onclick="app.enqueueArticle('${article.id}')">Metti in coda</button>
+                        `}
+                    ` : ''}
+                    <button class="btn btn-primary" onclick="app.publishArticle('${article.id}')">${article.wordpressId ? 'Aggiorna' : 'Pubblica'}</button>
+                </div>
+            </div>
+        `).join('');
+
+        container.innerHTML = articlesHTML;
+    }
+
+    /**
+     * Load WordPress data
+     */
+    async loadWordPressData(selectedSiteId = null) {
+        try {
+            const wpStatus = wpConnector.getConnectionStatus();
+            this.updateWordPressStatus(wpStatus, selectedSiteId);
+        } catch (error) {
+            console.error('Failed to load WordPress data:', error);
+        }
+    }
+
+    /**
+     * Update WordPress status display
+     */
+    updateWordPressStatus(status, selectedSiteId = null) {
+        const switcher = document.getElementById('wpSiteSwitcher');
+        const list = document.getElementById('wpSiteList');
+        if (!switcher || !list) return;
+
+        const selected = selectedSiteId || switcher.value || status.activeSiteId || '';
+
+        switcher.innerHTML = `
+            ${status.sites.map(site => `
+                <option value="${site.id}">${site.name}${site.isActive ? ' (predefinito)' : ''}</option>
+            `).join('')}
+            <option value="">+ Nuovo sito</option>
+        `;
+        switcher.value = status.sites.some(site => site.id === selected) ? selected : '';
+
+        list.innerHTML = status.sites.length === 0 ?
+            '<p class="text-muted">Nessun sito configurato</p>' :
+            status.sites.map(site => `
+                <div class="wp-site-item">
+                    <div class="wp-site-info">
+                        <strong>${site.name}</strong>
+                        <span class="text-muted">${site.url}</span>
+                        <span class="text-muted">${this.getSiteStatusLabel(site)}</span>
+                    </div>
+                    <div class="wp-site-actions">
+                        ${site.isActive ? '<span class="status-badge">Predefinito</span>' : `
+                            <button class="btn btn-secondary" onclick="app.setDefaultWordPressSite('${site.id}')">Predefinito</button>
+                        `}
+                        <button class="btn btn-secondary" onclick="app.selectWordPressSite('${site.id}')">Modifica</button>
+                    </div>
+                </div>
+            `).join('');
+
+        this.selectWordPressSite(switcher.value);
+        this.updateSiteOptions();
+    }
+
+    /**
+     * Show a site in the WordPress form (empty id: new site)
+     */
+    selectWordPressSite(siteId) {
+        const site = wpConnector.getSites().find(item => item.id === siteId);
+        const form = document.getElementById('wpConfigForm');
+
+        form.reset();
+        document.getElementById('wpSiteSwitcher').value = site ? site.id : '';
+        document.getElementById('wpSiteId').value = site ? site.id : '';
+        document.getElementById('wpSiteName').value = site ? site.name : '';
+        document.getElementById('wpUrl').value = site ? site.url : '';
+        document.getElementById('wpUsername').value = site ? site.username : '';
+        document.getElementById('wpMakeDefault').checked = site ? site.isActive : false;
+        document.getElementById('wpMultilingual').value = site?.multilingual || '';
+
+        // Existing sites keep their saved password unless a new one is typed
+        const password = document.getElementById('wpPassword');
+        password.required = !site;
+        password.placeholder = site ? 'Lascia vuoto per mantenere la password salvata' : '';
+
+        document.getElementById('deleteWpSite').style.display = site ? 'inline-flex' : 'none';
+        document.getElementById('wpSiteStatus').textContent = site ? this.getSiteStatusLabel(site) : '';
+
+        this.updateImportStatus(site);
+    }
+
+    /**
+     * Update the import card for the selected site
+     */
+    async updateImportStatus(site) {
+        document.getElementById('wpImportCard').style.display = site ? 'block' : 'none';
+        if (!site) return;
+
+        const lastImport = await dbManager.getSetting(`wp_import_${site.id}`);
+        document.getElementById('wpImportStatus').textContent = lastImport ?
+            `Ultima modifica sincronizzata: ${new Date(lastImport).toLocaleString('it-IT')}` :
+            'Nessuna importazione eseguita per questo sito';
+
+        const syncTask = (await scheduler.getTasksByType('sync_wordpress'))
+            .find(task => task.options?.siteId === site.id);
+        document.getElementById('wpAutoSync').value = syncTask ? syncTask.frequency : '';
+    }
+
+    /**
+     * Import or sync posts of the selected site
+     */
+    async importWordPressPosts() {
+        const siteId = document.getElementById('wpSiteId').value;
+        if (!siteId) return;
+
+        try {
+            this.showLoading('Importazione articoli da WordPress...');
+
+            const stats = await wpConnector.importPosts(siteId, {
+                full: document.getElementById('wpImportFull').checked,
+                onProgress: (progress) => {
+                    this.showLoading(`Importazione articoli... pagina ${progress.page} di ${progress.totalPages}`);
+                }
+            });
+
+            const skipped = stats.skipped > 0 ? `, ${stats.skipped} con modifiche locali non sovrascritti` : '';
+            this.showToast(`${stats.created} articoli importati, ${stats.updated} aggiornati${skipped}`, 'success');
+
+            document.getElementById('wpImportFull').checked = false;
+            await this.updateImportStatus(wpConnector.getSites().find(site => site.id === siteId));
+
+        } catch (error) {
+            console.error('WordPress import failed:', error);
+            this.showToast(`Errore nell'importazione: ${error.message}`, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Enable, change or disable automatic sync for the selected site
+     */
+    async handleWordPressAutoSync(frequency) {
+        const siteId = document.getElementById('wpSiteId').value;
+        if (!siteId) return;
+
+        try {
+            const existing = (await scheduler.getTasksByType('sync_wordpress'))
+                .filter(task => task.options?.siteId === siteId);
+            for (const task of existing) {
+                await scheduler.cancelTask(task.id);
+            }
+
+            if (frequency) {
+                await scheduler.scheduleWordPressSync(siteId, frequency, '06:00');
+                this.showToast('Sincronizzazione automatica attivata', 'success');
+            } else {
+                this.showToast('Sincronizzazione automatica disattivata', 'info');
+            }
+        } catch (error) {
+            console.error('Auto sync update failed:', error);
+            this.showToast(`Errore nella sincronizzazione automatica: ${error.message}`, 'error');
+        }
+    }
+
+    getSiteStatusLabel(site) {
+        if (site.isLocked) return 'Vault bloccato';
+        if (!site.isConnected) return 'Non connesso';
+        return `Connesso · ${site.categoriesCount} categorie · ${site.tagsCount} tag`;
+    }
+
+    /**
+     * Make a site the default publishing target
+     */
+    async setDefaultWordPressSite(siteId) {
+        try {
+            await wpConnector.setActiveSite(siteId);
+            this.showToast('Sito predefinito aggiornato', 'success');
+            await this.loadWordPressData(siteId);
+        } catch (error) {
+            console.error('Default site update failed:', error);
+            this.showToast(`Errore nell'aggiornamento del sito: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Delete the site shown in the WordPress form
+     */
+    async deleteWordPressSite() {
+        const siteId = document.getElementById('wpSiteId').value;
+        const site = wpConnector.getSites().find(item => item.id === siteId);
+        if (!site || !confirm(`Eliminare il sito "${site.name}"? I progetti che lo usano pubblicheranno sul sito predefinito.`)) {
+            return;
+        }
+
+        try {
+            await wpConnector.deleteConfig(siteId);
+            this.showToast('Sito eliminato', 'info');
+            await this.loadWordPressData();
+        } catch (error) {
+            console.error('Site deletion failed:', error);
+            this.showToast(`Errore nell'eliminazione del sito: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * List built-in and custom article templates in settings
+     */
+    async loadContentTemplates() {
+        const list = document.getElementById('contentTemplateList');
+        if (!list) return;
+
+        try {
+            const templates = await contentGenerator.getTemplates();
+
+            list.innerHTML = templates.map(template => `
+                <div class="template-item">
+                    <div class="template-info">
+                        <strong>${template.name}</strong>
+                        <span class="text-muted">${template.description || template.sections.map(section => section.title).join(' · ')}</span>
+                        <span class="text-muted">${template.sections.length} sezioni · circa ${contentGenerator.getTemplateWordCount(template)} parole</span>
+                    </div>
+                    <div class="template-actions">
+                        ${template.builtIn ? `
+                            <span class="status-badge">Predefinito</span>
+                            <button class="btn btn-secondary" onclick="app.openTemplateEditor('${template.id}', true)">Duplica</button>
+                        ` : `
+                            <button class="btn btn-secondary" onclick="app.openTemplateEditor('${template.id}')">Modifica</button>
+                            <button class="btn btn-danger" onclick="app.deleteContentTemplate('${template.id}')">Elimina</button>
+                        `}
+                    </div>
+                </div>
+            `).join('');
+
+            await this.updateTemplateOptions(templates);
+        } catch (error) {
+            console.error('Failed to load content templates:', error);
+        }
+    }
+
+    /**
+     * Fill the language selects (default language and new project)
+     */
+    updateLanguageOptions() {
+        const options = languages.getAll().map(language => `
+            <option value="${language.code}">${language.label}</option>
+        `).join('');
+
+        for (const id of ['defaultLanguage', 'projectLanguage']) {
+            const select = document.getElementById(id);
+            if (!select) continue;
+
+            select.innerHTML = options;
+            select.value = languages.defaultCode;
+        }
+    }
+
+    /**
+     * Fill the project template select
+     */
+    async updateTemplateOptions(templates = null) {
+        const select = document.getElementById('projectTemplate');
+        if (!select) return;
+
+        const current = select.value || 'blog';
+        templates = templates || await contentGenerator.getTemplates();
+
+        select.innerHTML = templates.map(template => `
+            <option value="${template.id}">${template.name}</option>
+        `).join('');
+        select.value = templates.some(template => template.id === current) ? current : 'blog';
+    }
+
+    /**
+     * Open the template editor (no id: new template, duplicate: copy of the template)
+     */
+    async openTemplateEditor(templateId = null, duplicate = false) {
+        const template = templateId ? await contentGenerator.getTemplate(templateId) : null;
+
+        this.editingTemplateId = template && !duplicate ? template.id : null;
+        document.getElementById('templateModalTitle').textContent = this.editingTemplateId ? 'Modifica Modello' : 'Nuovo Modello';
+        document.getElementById('templateName').value = template ? `${template.name}${duplicate ? ' (copia)' : ''}` : '';
+        document.getElementById('templateDescription').value = template?.description || '';
+        document.getElementById('templateSections').innerHTML = '';
+
+        const sections = template ? template.sections : [{ title: 'Introduzione', words: 120, heading: false }];
+        sections.forEach(section => this.addTemplateSection(section));
+
+        document.getElementById('templateModal').style.display = 'flex';
+    }
+
+    closeTemplateEditor() {
+        document.getElementById('templateModal').style.display = 'none';
+        this.editingTemplateId = null;
+    }
+
+    /**
+     * Add a section row to the template editor
+     */
+    addTemplateSection(section = {}) {
+        const row = document.createElement('div');
+        row.className = 'template-section';
+        row.innerHTML = `
+            <div class="template-section-row">
+                <input type="text" class="form-control" data-field="title" placeholder="Titolo sezione" required>
+                <input type="number" class="form-control" data-field="words" min="30" step="10" title="Parole (lunghezza media)">
+                <label><input type="checkbox" data-field="heading"> Sottotitolo H2</label>
+                <button type="button" class="btn btn-secondary">Rimuovi</button>
+            </div>
+            <textarea class="form-control" data-field="instructions" rows="2" placeholder="Istruzioni per questa sezione"></textarea>
+        `;
+
+        // Values are set as properties, free text never goes through the markup
+        row.querySelector('[data-field="title"]').value = section.title || '';
+        row.querySelector('[data-field="words"]').value = section.words || 150;
+        row.querySelector('[data-field="heading"]').checked = section.heading !== false;
+        row.querySelector('[data-field="instructions"]').value = section.instructions || '';
+        row.querySelector('button').addEventListener('click', () => {
+            row.remove();
+            this.updateTemplateWordCount();
+        });
+
+        document.getElementById('templateSections').appendChild(row);
+        this.updateTemplateWordCount();
+    }
+
+    /**
+     * Sections currently in the template editor
+     */
+    getEditedTemplateSections() {
+        return Array.from(document.querySelectorAll('#templateSections .template-section')).map(row => ({
+            title: row.querySelector('[data-field="title"]').value,
+            words: parseInt(row.querySelector('[data-field="words"]').value) || 0,
+            heading: row.querySelector('[data-field="heading"]').checked,
+            instructions: row.querySelector('[data-field="instructions"]').value
+        }));
+    }
+
+    updateTemplateWordCount() {
+        const sections = this.getEditedTemplateSections();
+        const total = sections.reduce((sum, section) => sum + section.words, 0);
+        document.getElementById('templateWordCount').textContent =
+            `${sections.length} sezioni · circa ${total} parole per un articolo medio`;
+    }
+
+    /**
+     * Save the template in the editor
+     */
+    async handleSaveTemplate(e) {
+        e.preventDefault();
+
+        try {
+            const template = {
+                name: document.getElementById('templateName').value,
+                description: document.getElementById('templateDescription').value,
+                sections: this.getEditedTemplateSections()
+            };
+            if (this.editingTemplateId) {
+                const existing = await dbManager.getContentTemplate(this.editingTemplateId);
+                Object.assign(template, { id: existing.id, createdAt: existing.createdAt });
+            }
+
+            await contentGenerator.saveTemplate(template);
+            this.closeTemplateEditor();
+            this.showToast('Modello salvato', 'success');
+            await this.loadContentTemplates();
+            await this.loadPromptSets();
+
+        } catch (error) {
+            console.error('Template save failed:', error);
+            this.showToast(`Errore nel salvataggio del modello: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Delete a custom template
+     */
+    async deleteContentTemplate(templateId) {
+        if (!confirm('Eliminare questo modello? I progetti che lo usano torneranno al modello blog.')) {
+            return;
+        }
+
+        try {
+            await dbManager.deleteContentTemplate(templateId);
+            this.showToast('Modello eliminato', 'info');
+            await this.loadContentTemplates();
+        } catch (error) {
+            console.error('Template deletion failed:', error);
+            this.showToast(`Errore nell'eliminazione del modello: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * List the prompt sets in settings
+     */
+    async loadPromptSets() {
+        const list = document.getElementById('promptSetList');
+        if (!list) return;
+
+        try {
+            const sets = await promptLibrary.getSets();
+            const projects = await dbManager.getAll('projects');
+
+            list.innerHTML = sets.map(set => {
+                const count = projects.filter(project => (project.promptSetId || promptLibrary.defaultSet.id) === set.id).length;
+                return `
+                    <div class="template-item">
+                        <div class="template-info">
+                            <strong>${set.name}</strong>
+                            <span class="text-muted">Versione ${set.version}${set.note ? ` · ${set.note}` : ''}</span>
+                            <span class="text-muted">${count} progetti</span>
+                        </div>
+                        <div class="template-actions">
+                            ${set.builtIn ? `
+                                <span class="status-badge">Predefinito</span>
+                                <button class="btn btn-secondary" onclick="app.openPromptSetEditor('${set.id}', true)">Duplica</button>
+                            ` : `
+                                <button class="btn btn-secondary" onclick="app.openPromptSetEditor('${set.id}')">Modifica</button>
+                                <button class="btn btn-danger" onclick="app.deletePromptSet('${set.id}')">Elimina</button>
+                            `}
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+            await this.updatePromptSetOptions(sets);
+        } catch (error) {
+            console.error('Failed to load prompt sets:', error);
+        }
+    }
+
+    /**
+     * Fill the project prompt set select
+     */
+    async updatePromptSetOptions(sets = null) {
+        const select = document.getElementById('projectPromptSet');
+        if (!select) return;
+
+        const current = select.value;
+        sets = sets || await promptLibrary.getSets();
+
+        select.innerHTML = sets.map(set => `
+            <option value="${set.builtIn ? '' : set.id}">${set.name}</option>
+        `).join('');
+        select.value = sets.some(set => set.id === current) ? current : '';
+    }
+
+    /**
+     * Open the prompt set editor (no id: new set, duplicate: copy of the set)
+     */
+    async openPromptSetEditor(setId = null, duplicate = false) {
+        const set = setId ? await promptLibrary.getSet(setId) : null;
+        const prompts = set ? set.prompts : promptLibrary.defaultSet.prompts;
+        const projects = await dbManager.getAll('projects');
+
+        this.editingPromptSetId = set && !duplicate ? set.id : null;
+        document.getElementById('promptSetModalTitle').textContent = this.editingPromptSetId ?
+            `Modifica Set di Prompt (versione ${set.version})` : 'Nuovo Set di Prompt';
+        document.getElementById('promptSetName').value = set ? `${set.name}${duplicate ? ' (copia)' : ''}` : '';
+        document.getElementById('promptTitle').value = prompts.title || '';
+        document.getElementById('promptContent').value = prompts.content || '';
+        document.getElementById('promptImage').value = prompts.image || '';
+        document.getElementById('promptOutline').value = prompts.outline || '';
+        document.getElementById('promptTranslateLines').value = prompts.translateLines || '';
+        document.getElementById('promptTranslate').value = prompts.translate || '';
+        document.getElementById('promptSetNote').value = '';
+        document.getElementById('promptPreview').style.display = 'none';
+
+        document.getElementById('promptVariables').innerHTML = promptLibrary.variables.map(variable => `
+            <li><code>{{${variable.name}}}</code> ${variable.description}</li>
+        `).join('') + '<li><code>{{context.summary|500}}</code> Solo i primi 500 caratteri</li>';
+
+        document.getElementById('promptSetProjects').innerHTML = projects.length === 0 ?
+            '<small class="form-text">Nessun progetto</small>' :
+            projects.map(project => `
+                <label><input type="checkbox" value="${project.id}" ${this.editingPromptSetId && project.promptSetId === this.editingPromptSetId ? 'checked' : ''}> ${project.name}</label>
+            `).join('');
+
+        document.getElementById('promptPreviewProject').innerHTML = projects.map(project => `
+            <option value="${project.id}">${project.name}</option>
+        `).join('');
+        document.getElementById('promptPreviewButton').disabled = projects.length === 0;
+
+        const versions = this.editingPromptSetId ? [...set.versions].reverse() : [];
+        document.getElementById('promptSetVersionsGroup').style.display = versions.length > 0 ? 'block' : 'none';
+        document.getElementById('promptSetVersions').innerHTML = versions.map(version => `
+            <div class="template-item">
+                <div class="template-info">
+                    <strong>Versione ${version.version}</strong>
+                    <span class="text-muted">${new Date(version.savedAt).toLocaleString('it-IT')}${version.note ? ` · ${version.note}` : ''}</span>
+                </div>
+                <div class="template-actions">
+                    <button type="button" class="btn btn-secondary" onclick="app.restorePromptVersion(${version.version})">Ripristina</button>
+                </div>
+            </div>
+        `).join('');
+
+        document.getElementById('promptSetModal').style.display = 'flex';
+    }
+
+    closePromptSetEditor() {
+        document.getElementById('promptSetModal').style.display = 'none';
+        this.editingPromptSetId = null;
+    }
+
+    /**
+     * Prompts currently in the editor
+     */
+    getEditedPrompts() {
+        return {
+            title: document.getElementById('promptTitle').value,
+            content: document.getElementById('promptContent').value,
+            image: document.getElementById('promptImage').value,
+            outline: document.getElementById('promptOutline').value,
+            translateLines: document.getElementById('promptTranslateLines').value,
+            translate: document.getElementById('promptTranslate').value
+        };
+    }
+
+    /**
+     * Render the edited prompt with the data of the selected project
+     */
+    async previewPrompt() {
+        const kind = document.getElementById('promptPreviewKind').value;
+        const projectId = document.getElementById('promptPreviewProject').value;
+        const preview = document.getElementById('promptPreview');
+        const prompt = this.getEditedPrompts()[kind];
+
+        try {
+            const unknown = promptLibrary.findUnknownVariables(prompt);
+            preview.textContent = await promptLibrary.preview(prompt, kind, projectId);
+            if (unknown.length > 0) {
+                this.showToast(`Variabili sconosciute: ${unknown.join(', ')}`, 'warning');
+            }
+            preview.style.display = 'block';
+        } catch (error) {
+            console.error('Prompt preview failed:', error);
+            this.showToast(`Errore nell'anteprima: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Save the edited set as a new version and update the projects assigned to it
+     */
+    async handleSavePromptSet(e) {
+        e.preventDefault();
+
+        try {
+            const set = await promptLibrary.saveSet({
+                id: this.editingPromptSetId || undefined,
+                name: document.getElementById('promptSetName').value,
+                prompts: this.getEditedPrompts()
+            }, document.getElementById('promptSetNote').value);
+
+            const assigned = Array.from(document.querySelectorAll('#promptSetProjects input:checked')).map(input => input.value);
+            const projects = await dbManager.getAll('projects');
+            for (const project of projects) {
+                const promptSetId = assigned.includes(project.id) ? set.id :
+                    (project.promptSetId === set.id ? null : project.promptSetId);
+                if (promptSetId !== (project.promptSetId || null)) {
+                    project.promptSetId = promptSetId;
+                    await dbManager.saveProject(project);
+                }
+            }
+
+            this.closePromptSetEditor();
+            this.showToast(`Set di prompt salvato (versione ${set.version})`, 'success');
+            await this.loadPromptSets();
+
+        } catch (error) {
+            console.error('Prompt set save failed:', error);
+            this.showToast(`Errore nel salvataggio del set: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Make an older version of the edited set current again
+     */
+    async restorePromptVersion(version) {
+        const setId = this.editingPromptSetId;
+        if (!setId || !confirm(`Ripristinare la versione ${version}? Verrà salvata come nuova versione.`)) {
+            return;
+        }
+
+        try {
+            const set = await promptLibrary.restoreVersion(setId, version);
+            this.showToast(`Versione ${version} ripristinata come versione ${set.version}`, 'success');
+            await this.openPromptSetEditor(setId);
+            await this.loadPromptSets();
+        } catch (error) {
+            console.error('Prompt version restore failed:', error);
+            this.showToast(`Errore nel ripristino: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Delete a custom prompt set
+     */
+    async deletePromptSet(setId) {
+        if (!confirm('Eliminare questo set di prompt? I progetti che lo usano torneranno ai prompt predefiniti.')) {
+            return;
+        }
+
+        try {
+            await promptLibrary.deleteSet(setId);
+            this.showToast('Set di prompt eliminato', 'info');
+            await this.loadPromptSets();
+        } catch (error) {
+            console.error('Prompt set deletion failed:', error);
+            this.showToast(`Errore nell'eliminazione del set: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Fill WordPress site selects (project target and article override)
+     */
+    updateSiteOptions() {
+        const sites = wpConnector.getSites();
+
+        document.querySelectorAll('.wp-site-select').forEach(select => {
+            const current = select.value;
+            const emptyOption = select.options[0];
+
+            select.innerHTML = '';
+            select.appendChild(emptyOption);
+            sites.forEach(site => {
+                select.add(new Option(site.name, site.id));
+            });
+
+            select.value = current;
+            if (select.value !== current) {
+                select.value = '';
+            }
+        });
+    }
+
+    /**
+     * Load scheduler data
+     */
+    async loadSchedulerData() {
+        try {
+            this.updateSchedulerStatus(scheduler.getStatus());
+
+            await this.updateQueueScopeOptions();
+            await this.loadScheduleForm(document.getElementById('scheduleScope').value);
+            await this.loadPublicationQueue();
+            await this.loadOperationOutbox();
+            await this.loadActivityLog();
+
+            document.getElementById('activityRetention').value =
+                String(await dbManager.getSetting('taskRunRetentionDays', 90));
+        } catch (error) {
+            console.error('Failed to load scheduler data:', error);
+        }
+    }
+
+    /**
+     * Render the task run history with the selected filters
+     */
+    async loadActivityLog() {
+        const container = document.getElementById('activityLog');
+        const period = document.getElementById('activityPeriod').value;
+
+        const runs = await dbManager.getTaskRuns({
+            type: document.getElementById('activityType').value || null,
+            outcome: document.getElementById('activityOutcome').value || null,
+            since: period ? new Date(Date.now() - parseInt(period) * 86400000).toISOString() : null,
+            limit: 200
+        });
+
+        if (runs.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>Nessuna attività nel periodo selezionato</p>
                 </div>
             `;
             return;
         }
 
-        const articlesHTML = articles.map(article => `
-            <div class="article-card" data-article-id="${article.id}">
-                <div class="article-header">
-                    <h3>${article.title}</h3>
-                    <span class="status-badge status-${article.status}">${article.status}</span>
-                </div>
-                <div class="article-info">
-                    <p class="article-excerpt">${article.excerpt}</p>
-                    <div class="article-meta">
-                        <span>${article.wordCount} parole</span>
-                        <span>${article.readingTime}</span>
-                        <span>Creato: ${new Date(article.createdAt).toLocaleDateString('it-IT')}</span>
+        const outcomeLabels = {
+            success: 'completato',
+            skipped: 'saltato',
+            failed: 'fallito',
+            running: 'in corso o interrotto'
+        };
+
+        const articles = new Map();
+        for (const run of runs) {
+            for (const articleId of run.artefacts?.articleIds || []) {
+                if (!articles.has(articleId)) {
+                    articles.set(articleId, await dbManager.getArticle(articleId));
+                }
+            }
+        }
+
+        container.innerHTML = runs.map(run => {
+            const articleTitles = (run.artefacts?.articleIds || [])
+                .map(articleId => articles.get(articleId)?.title || 'Articolo eliminato');
+            const posts = (run.artefacts?.wordpressPosts || []).filter(post => post.postId);
+            const searches = run.artefacts?.searchResultIds?.length || 0;
+
+            return `
+                <div class="activity-item ${run.outcome}">
+                    <span class="activity-time">${new Date(run.startedAt).toLocaleString('it-IT')}</span>
+                    <div class="activity-details">
+                        <strong>${this.getTaskTypeLabel(run.type)} &middot; ${outcomeLabels[run.outcome] || run.outcome}${run.attempt > 1 ? ` (tentativo ${run.attempt})` : ''}</strong>
+                        ${run.summary ? `<span>${run.summary}</span>` : ''}
+                        ${run.error ? `<span class="error">${run.error}</span>` : ''}
+                        ${articleTitles.length > 0 ? `<span>Articoli: ${articleTitles.join(', ')}</span>` : ''}
+                        ${posts.length > 0 ? `<span>Post WordPress: ${posts.map(post => post.url ?
+                            `<a href="${post.url}" target="_blank" rel="noopener">#${post.postId}</a>` : `#${post.postId}`).join(', ')}</span>` : ''}
+                        ${searches > 0 ? `<span>${searches} ricerche salvate</span>` : ''}
                     </div>
+                    <span class="activity-duration">${run.durationMs !== null ? this.formatDuration(run.durationMs) : ''}</span>
                 </div>
-                <div class="article-actions">
-                    <button class="btn btn-secondary" onclick="app.editArticle('${article.id}')">Modifica</button>
-                    <button class="btn btn-primary" onclick="app.publishArticle('${article.id}')">Pubblica</button>
-                </div>
-            </div>
-        `).join('');
-
-        container.innerHTML = articlesHTML;
+            `;
+        }).join('');
     }
 
     /**
-     * Load WordPress data
+     * Italian label of a task type
      */
-    async loadWordPressData() {
-        try {
-            const wpStatus = wpConnector.getConnectionStatus();
-            this.updateWordPressStatus(wpStatus);
-        } catch (error) {
-            console.error('Failed to load WordPress data:', error);
-        }
+    getTaskTypeLabel(type) {
+        const labels = {
+            publish_article: 'Pubblicazione',
+            generate_content: 'Generazione',
+            search_topics: 'Ricerca',
+            pipeline_stage: 'Pipeline',
+            sync_wordpress: 'Sincronizzazione WordPress',
+            backup_data: 'Backup',
+            cleanup_old_data: 'Pulizia dati'
+        };
+        return labels[type] || type;
     }
 
     /**
-     * Update WordPress status display
+     * Show what the scheduler missed while the app was closed and what it decided
      */
-    updateWordPressStatus(status) {
-        // This would update the WordPress connection status in the UI
-        console.log('WordPress Status:', status);
+    async showMisfireSummary(entries) {
+        const items = [];
+
+        for (const entry of entries) {
+            const article = entry.articleId ? await dbManager.getArticle(entry.articleId) : null;
+            const project = entry.projectId ? await dbManager.getProject(entry.projectId) : null;
+            const subject = article?.title || project?.name || '';
+
+            let decision;
+            switch (entry.decision) {
+                case 'skip':
+                    decision = entry.nextRun ?
+                        `Saltato: prossima esecuzione ${new Date(entry.nextRun).toLocaleString('it-IT')}` :
+                        'Saltato: task annullato';
+                    break;
+                case 'run_all':
+                    decision = `Recupero di ${entry.catchUpRuns} esecuzioni`;
+                    break;
+                case 'ask':
+                    decision = 'In attesa della tua scelta';
+                    break;
+                default:
+                    decision = 'Eseguito una volta';
+            }
+
+            items.push(`
+                <div class="misfire-item" data-task-id="${entry.taskId}">
+                    <div class="misfire-info">
+                        <strong>${this.getTaskTypeLabel(entry.type)}${subject ? `: ${subject}` : ''}</strong>
+                        <span>${entry.missedCount} ${entry.missedCount === 1 ? 'esecuzione persa' : 'esecuzioni perse'} dal ${new Date(entry.firstMissed).toLocaleString('it-IT')}</span>
+                        <span class="misfire-decision">${decision}</span>
+                    </div>
+                    ${entry.decision === 'ask' ? `
+                        <div class="misfire-actions">
+                            <button class="btn btn-primary" onclick="app.resolveMisfire('${entry.taskId}', 'run')">Esegui ora</button>
+                            <button class="btn btn-secondary" onclick="app.resolveMisfire('${entry.taskId}', 'skip')">Salta</button>
+                        </div>
+                    ` : ''}
+                </div>
+            `);
+        }
+
+        document.getElementById('misfireList').innerHTML = items.join('');
+        document.getElementById('misfireModal').style.display = 'flex';
     }
 
     /**
-     * Load scheduler data
+     * Run or skip a missed task that waits for the user
      */
-    async loadSchedulerData() {
+    async resolveMisfire(taskId, decision) {
+        const item = document.querySelector(`.misfire-item[data-task-id="${taskId}"]`);
+
         try {
-            const schedulerStatus = scheduler.getStatus();
-            const scheduledTasks = await scheduler.getAllTasks();
-            this.updateSchedulerStatus(schedulerStatus, scheduledTasks);
+            if (item) {
+                item.querySelector('.misfire-actions').remove();
+                item.querySelector('.misfire-decision').textContent = decision === 'run' ? 'Esecuzione in corso...' : 'Saltato';
+            }
+
+            await scheduler.resolveMisfire(taskId, decision);
+
+            if (item && decision === 'run') {
+                item.querySelector('.misfire-decision').textContent = scheduler.isLeader ?
+                    'Eseguito' : 'Esecuzione avviata nella scheda che esegue lo scheduler';
+            }
         } catch (error) {
-            console.error('Failed to load scheduler data:', error);
+            console.error('Missed run resolution failed:', error);
+            this.showToast(`Errore: ${error.message}`, 'error');
         }
     }
 
+    /**
+     * Human readable duration
+     */
+    formatDuration(ms) {
+        if (ms < 1000) return `${ms} ms`;
+        if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+        return `${Math.floor(ms / 60000)} min ${Math.round((ms % 60000) / 1000)} s`;
+    }
+
     /**
      * Update scheduler status display
      */
-    updateSchedulerStatus(status, tasks) {
-        // This would update the scheduler status and tasks list in the UI
-        console.log('Scheduler Status:', status);
-        console.log('Scheduled Tasks:', tasks);
+    updateSchedulerStatus(status) {
+        const container = document.getElementById('schedulerStatus');
+        const running = status.runningTasks || [];
+
+        container.innerHTML = `
+            <p>
+                <span class="status-dot ${status.isRunning ? '' : 'offline'}"></span>
+                ${status.isLeader ?
+                    'Questa scheda esegue i task programmati' :
+                    (status.isRunning ? 'I task vengono eseguiti da un\'altra scheda aperta' : 'In attesa della scheda che esegue i task')}
+            </p>
+            <div class="scheduler-stats">
+                <span><strong>${status.activeTasks}</strong> task attivi</span>
+                <span><strong>${status.failedTasks}</strong> falliti</span>
+                <span>Prossimo: ${status.nextTask ?
+                    `${this.getTaskTypeLabel(status.nextTask.type)}, ${new Date(status.nextTask.nextRun).toLocaleString('it-IT')}` :
+                    'nessuno'}</span>
+            </div>
+            ${running.length > 0 ? `
+                <p class="text-muted">In esecuzione: ${running.map(task => this.getTaskTypeLabel(task.type)).join(', ')}</p>
+            ` : ''}
+        `;
     }
 
     /**
@@ -621,24 +2215,141 @@ class ContentAutopilotApp {
             document.getElementById('defaultLanguage').value = defaultLanguage;
             document.getElementById('articleLength').value = articleLength;
             document.getElementById('autoImages').checked = autoImages;
+            document.getElementById('extractPages').value = await dbManager.getSetting('extractPages', pageExtractor.defaultCount);
+            document.getElementById('extractProxyUrl').value = await dbManager.getSetting('extractProxyUrl', '');
 
-            // Load API keys (masked)
-            const braveConfig = await dbManager.getAPIConfig('brave');
-            const hfConfig = await dbManager.getAPIConfig('huggingface');
+            // Load provider settings (secrets masked)
+            this.renderProviderSettings();
 
-            if (braveConfig) {
-                document.getElementById('braveApiKey').placeholder = '••••••••••••••••';
-            }
-            
-            if (hfConfig) {
-                document.getElementById('hfToken').placeholder = '••••••••••••••••';
-            }
+            await this.loadContentTemplates();
 
         } catch (error) {
             console.error('Failed to load settings data:', error);
         }
     }
 
+    /**
+     * Render settings for every registered search and text provider
+     */
+    renderProviderSettings() {
+        const textSelect = document.getElementById('textProvider');
+        const searchDefaults = document.getElementById('searchProviderDefaults');
+        if (!textSelect || !searchDefaults) return;
+
+        const textProviders = apiManager.getTextProviders();
+        const searchProviders = apiManager.getSearchProviders();
+
+        textSelect.innerHTML = textProviders.map(provider => `
+            <option value="${provider.id}">${provider.label}</option>
+        `).join('');
+        textSelect.value = apiManager.defaultTextProvider;
+
+        searchDefaults.innerHTML = searchProviders.map(provider => `
+            <label>
+                <input type="checkbox" name="searchProviders" value="${provider.id}"
+                    ${apiManager.defaultSearchProviders.includes(provider.id) ? 'checked' : ''}>
+                ${provider.label}
+            </label>
+        `).join('');
+
+        document.getElementById('searchProviderSettings').innerHTML = this.renderProviderFields(searchProviders);
+        document.getElementById('textProviderSettings').innerHTML = this.renderProviderFields(textProviders);
+
+        document.querySelectorAll('[data-save-provider]').forEach(button => {
+            button.addEventListener('click', () => this.handleProviderConfig(button.dataset.saveProvider));
+        });
+    }
+
+    /**
+     * Render the configuration fields of a list of providers
+     */
+    renderProviderFields(providers) {
+        return providers.map(provider => {
+            const config = apiManager.configs[provider.id] || {};
+            const configured = apiManager.isConfigured(provider.id);
+
+            const fieldsHTML = provider.fields.map(field => {
+                const id = `provider-${provider.id}-${field.name}`;
+                const value = field.secret ? '' : (config[field.name] || '');
+                const placeholder = field.secret && config[field.name] ?
+                    '••••••••••••••••' : (field.placeholder || field.default || '');
+
+                let input;
+                if (field.type === 'select') {
+                    input = `
+                        <select id="${id}" class="form-control">
+                            ${field.options.map(option => `
+                                <option value="${option.value}" ${option.value === (value || field.default) ? 'selected' : ''}>${option.label}</option>
+                            `).join('')}
+                        </select>
+                    `;
+                } else if (field.type === 'textarea') {
+                    input = `<textarea id="${id}" class="form-control" rows="4" placeholder="${placeholder}">${value}</textarea>`;
+                } else {
+                    input = `<input type="${field.type}" id="${id}" class="form-control" value="${value}" placeholder="${placeholder}">`;
+                }
+
+                return `
+                    <div class="form-group">
+                        <label for="${id}">${field.label}</label>
+                        ${input}
+                        ${field.help ? `<small class="form-text">${field.help}</small>` : ''}
+                    </div>
+                `;
+            }).join('');
+
+            return `
+                <details class="provider-fields">
+                    <summary>
+                        ${provider.label}
+                        <span class="status-badge ${configured ? 'status-completed' : ''}">${configured ? 'Configurato' : 'Non configurato'}</span>
+                    </summary>
+                    ${fieldsHTML}
+                    <button type="button" class="btn btn-secondary" data-save-provider="${provider.id}">
+                        Salva e Testa
+                    </button>
+                </details>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Update the provider choices of the new project form
+     */
+    updateProviderOptions() {
+        const select = document.getElementById('projectTextProvider');
+        const searchContainer = document.getElementById('projectSearchProviders');
+        if (!select || !searchContainer) return;
+
+        const current = select.value;
+        const defaultProvider = apiManager.textProviders.get(apiManager.defaultTextProvider);
+
+        select.innerHTML = `
+            <option value="">Predefinito (${defaultProvider ? defaultProvider.label : '--'})</option>
+            ${apiManager.getTextProviders()
+                .filter(provider => apiManager.isConfigured(provider.id))
+                .map(provider => `<option value="${provider.id}">${provider.label}</option>`)
+                .join('')}
+        `;
+
+        if (Array.from(select.options).some(option => option.value === current)) {
+            select.value = current;
+        }
+
+        const checked = Array.from(searchContainer.querySelectorAll('input:checked')).map(input => input.value);
+        const configuredSearch = apiManager.getSearchProviders()
+            .filter(provider => apiManager.isConfigured(provider.id));
+
+        searchContainer.innerHTML = configuredSearch.length === 0 ?
+            '<small class="form-text">Nessun provider di ricerca configurato</small>' :
+            configuredSearch.map(provider => `
+                <label>
+                    <input type="checkbox" name="searchProviders" value="${provider.id}" ${checked.includes(provider.id) ? 'checked' : ''}>
+                    ${provider.label}
+                </label>
+            `).join('');
+    }
+
     /**
      * Update API status display
      */
@@ -655,7 +2366,7 @@ class ContentAutopilotApp {
     /**
      * Publish article
      */
-    async publishArticle(articleId) {
+    async publishArticle(articleId, resolution = null) {
         try {
             this.showLoading('Pubblicazione articolo...');
             
@@ -664,12 +2375,33 @@ class ContentAutopilotApp {
                 throw new Error('Articolo non trovato');
             }
 
+            // Updating a post scheduled on WordPress keeps its publish date
+            const keepSchedule = article.status === 'scheduled' && article.scheduleMode === 'native';
+
+            if (!navigator.onLine && !resolution) {
+                await operationOutbox.enqueuePublish(article, {
+                    status: keepSchedule ? 'future' : 'publish',
+                    dateGmt: keepSchedule ? wpConnector.formatDateGmt(article.scheduledFor) : null
+                });
+                this.showToast(`Offline: "${article.title}" verrà pubblicato al ritorno della connessione`, 'info');
+                return;
+            }
+
             const result = await wpConnector.publishArticle(article, {
-                status: 'publish'
+                status: keepSchedule ? 'future' : 'publish',
+                dateGmt: keepSchedule ? wpConnector.formatDateGmt(article.scheduledFor) : null,
+                resolution: resolution
             });
 
+            if (result.conflict) {
+                this.showPublishConflict(article, result.conflict);
+                return;
+            }
+
             if (result.success) {
-                this.showToast(`Articolo "${article.title}" pubblicato con successo!`, 'success');
+                const site = wpConnector.getSites().find(item => item.id === result.siteId);
+                const action = result.updated ? 'aggiornato' : 'pubblicato';
+                this.showToast(`Articolo "${article.title}" ${action} con successo${site ? ` su ${site.name}` : ''}!`, 'success');
                 await this.loadArticlesData(); // Refresh articles list
             }
 
@@ -681,6 +2413,406 @@ class ContentAutopilotApp {
         }
     }
 
+    /**
+     * Open the long-form dialog: a new outline, or an existing one to edit and expand
+     */
+    async openOutlineArticle(articleId = null) {
+        const article = articleId ? await dbManager.getArticle(articleId) : null;
+        this.outlineArticleId = article ? article.id : null;
+
+        if (article) {
+            this.renderOutline(article);
+        } else {
+            const projects = await dbManager.getAll('projects');
+            if (projects.length === 0) {
+                this.showToast('Crea prima un progetto', 'warning');
+                return;
+            }
+
+            document.getElementById('outlineProject').innerHTML = projects.map(project => `
+                <option value="${project.id}">${project.name}</option>
+            `).join('');
+            document.getElementById('outlineSetup').style.display = 'block';
+            document.getElementById('outlineEditor').style.display = 'none';
+        }
+
+        document.getElementById('outlineModal').style.display = 'flex';
+    }
+
+    closeOutline() {
+        document.getElementById('outlineModal').style.display = 'none';
+        this.outlineArticleId = null;
+    }
+
+    /**
+     * Generate the title and outline for the selected project
+     */
+    async generateOutline() {
+        const projectId = document.getElementById('outlineProject').value;
+        const wordCount = parseInt(document.getElementById('outlineWordCount').value);
+
+        try {
+            this.showLoading('Generazione scaletta...');
+            const article = await contentGenerator.generateOutline(projectId, { wordCount });
+            this.outlineArticleId = article.id;
+            this.renderOutline(article);
+            await this.loadArticlesData();
+
+        } catch (error) {
+            console.error('Outline generation failed:', error);
+            this.showToast(`Errore nella generazione della scaletta: ${error.message}`, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Show the outline editor for an article
+     */
+    renderOutline(article) {
+        document.getElementById('outlineSetup').style.display = 'none';
+        document.getElementById('outlineEditor').style.display = 'block';
+        document.getElementById('outlineTitle').value = article.title;
+        document.getElementById('outlineSections').innerHTML = '';
+        article.outline.sections.forEach(section => this.addOutlineSection(section));
+
+        const failed = article.outline.sections.some(section => section.status === 'failed');
+        document.getElementById('expandOutline').textContent = failed ? 'Riprendi la scrittura' : 'Scrivi le sezioni';
+    }
+
+    /**
+     * Add a section row to the outline editor
+     */
+    addOutlineSection(section = { status: 'pending' }) {
+        const statusLabels = { pending: 'Da scrivere', done: 'Scritta', failed: 'Non riuscita' };
+        const row = document.createElement('div');
+        row.className = 'template-section';
+        row.dataset.intro = section.intro ? 'true' : '';
+        row.innerHTML = `
+            <div class="template-section-row">
+                <input type="text" class="form-control" data-field="title" placeholder="Titolo H2" required>
+                <input type="number" class="form-control" data-field="words" min="50" step="50" title="Parole">
+                <span class="outline-status outline-status-${section.status}">${statusLabels[section.status]}</span>
+                <button type="button" class="btn btn-secondary">Rimuovi</button>
+            </div>
+            <textarea class="form-control" data-field="subheadings" rows="2" placeholder="Sottotitoli H3, uno per riga"></textarea>
+        `;
+
+        // Values are set as properties, free text never goes through the markup
+        row.querySelector('[data-field="title"]').value = section.title || '';
+        row.querySelector('[data-field="words"]').value = section.words || 250;
+        row.querySelector('[data-field="subheadings"]').value = (section.subheadings || []).join('\n');
+        row.querySelector('[data-field="subheadings"]').style.display = section.intro ? 'none' : '';
+        if (section.error) {
+            row.querySelector('.outline-status').title = section.error;
+        }
+        row.querySelector('button').addEventListener('click', () => {
+            row.remove();
+            this.updateOutlineSummary();
+        });
+        row.querySelectorAll('input, textarea').forEach(input => {
+            input.addEventListener('input', () => this.updateOutlineSummary());
+        });
+
+        document.getElementById('outlineSections').appendChild(row);
+        this.updateOutlineSummary();
+    }
+
+    /**
+     * Outline currently in the editor
+     */
+    getEditedOutline() {
+        return {
+            title: document.getElementById('outlineTitle').value,
+            sections: Array.from(document.querySelectorAll('#outlineSections .template-section')).map(row => ({
+                title: row.querySelector('[data-field="title"]').value,
+                words: parseInt(row.querySelector('[data-field="words"]').value) || 0,
+                intro: row.dataset.intro === 'true',
+                subheadings: row.querySelector('[data-field="subheadings"]').value.split('\n')
+            }))
+        };
+    }
+
+    updateOutlineSummary() {
+        const sections = this.getEditedOutline().sections;
+        const total = sections.reduce((sum, section) => sum + section.words, 0);
+        document.getElementById('outlineSummary').textContent =
+            `${sections.length} sezioni · circa ${total} parole. Le sezioni già scritte restano se non le modifichi.`;
+    }
+
+    /**
+     * Save the edited outline
+     */
+    async saveOutline(notify = true) {
+        try {
+            const article = await contentGenerator.updateOutline(this.outlineArticleId, this.getEditedOutline());
+            if (notify) {
+                this.renderOutline(article);
+                this.showToast('Scaletta salvata', 'success');
+            }
+            await this.loadArticlesData();
+            return true;
+
+        } catch (error) {
+            console.error('Outline save failed:', error);
+            this.showToast(`Errore nel salvataggio della scaletta: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Save the outline and write the sections not written yet
+     */
+    async expandOutline() {
+        const articleId = this.outlineArticleId;
+        if (!articleId || !(await this.saveOutline(false))) return;
+
+        this.closeOutline();
+
+        try {
+            this.showLoading('Scrittura delle sezioni...');
+            const autoImages = await dbManager.getSetting('autoImages', true);
+            await contentGenerator.expandOutline(articleId, { generateImage: autoImages });
+            this.showToast('Articolo lungo completato', 'success');
+
+        } catch (error) {
+            console.error('Outline expansion failed:', error);
+            this.showToast(`${error.message}. Riapri la scaletta per riprendere.`, 'error');
+        } finally {
+            this.hideLoading();
+            await this.loadArticlesData();
+        }
+    }
+
+    /**
+     * Open the translate dialog for an article
+     */
+    async openTranslateArticle(articleId) {
+        const article = await dbManager.getArticle(articleId);
+        if (!article) return;
+
+        const source = languages.get(article.language);
+        const variants = article.translationGroup ?
+            await dbManager.getArticlesByTranslationGroup(article.translationGroup) : [];
+
+        this.translatingArticleId = articleId;
+        document.getElementById('translateArticleTitle').textContent = `${article.title} (${source.label})`;
+        document.getElementById('translateLanguages').innerHTML = languages.getAll()
+            .filter(language => language.code !== source.code)
+            .map(language => {
+                const exists = variants.some(variant => variant.id !== article.id && variant.language === language.code);
+                return `
+                    <label><input type="checkbox" name="translateLanguage" value="${language.code}"> ${language.label}${exists ? ' (aggiorna la traduzione esistente)' : ''}</label>
+                `;
+            }).join('');
+
+        document.getElementById('translateArticleModal').style.display = 'flex';
+    }
+
+    closeTranslateArticle() {
+        document.getElementById('translateArticleModal').style.display = 'none';
+        this.translatingArticleId = null;
+    }
+
+    /**
+     * Translate the article in the dialog into the selected languages
+     */
+    async handleTranslateArticle(e) {
+        e.preventDefault();
+
+        const articleId = this.translatingArticleId;
+        const targets = new FormData(e.target).getAll('translateLanguage');
+        if (!articleId || targets.length === 0) {
+            this.showToast('Seleziona almeno una lingua', 'warning');
+            return;
+        }
+
+        this.closeTranslateArticle();
+        let done = 0;
+
+        try {
+            for (const code of targets) {
+                this.showLoading(`Traduzione in ${languages.get(code).label}...`);
+                await contentGenerator.translateArticle(articleId, code);
+                done++;
+            }
+            this.showToast(`${done} traduzioni create`, 'success');
+
+        } catch (error) {
+            console.error('Article translation failed:', error);
+            this.showToast(`Errore nella traduzione${done > 0 ? ` (${done} completate)` : ''}: ${error.message}`, 'error');
+        } finally {
+            this.hideLoading();
+            await this.loadArticlesData();
+        }
+    }
+
+    /**
+     * Open the schedule dialog for an article
+     */
+    async openScheduleArticle(articleId, reschedule = false) {
+        const article = await dbManager.getArticle(articleId);
+        if (!article) return;
+
+        // Default: tomorrow at 09:00, or the current schedule
+        const date = article.scheduledFor ? new Date(article.scheduledFor) : new Date();
+        if (!article.scheduledFor) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(9, 0, 0, 0);
+        }
+        const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+        this.schedulingArticle = { id: articleId, reschedule };
+        document.getElementById('scheduleArticleTitle').textContent = article.title;
+        document.getElementById('scheduleArticleDate').value = local;
+        document.getElementById('scheduleArticleModeGroup').style.display = reschedule ? 'none' : 'block';
+        document.getElementById('scheduleArticleModal').style.display = 'flex';
+    }
+
+    closeScheduleArticle() {
+        document.getElementById('scheduleArticleModal').style.display = 'none';
+        this.schedulingArticle = null;
+    }
+
+    /**
+     * Schedule or reschedule the article in the dialog
+     */
+    async handleScheduleArticle(e) {
+        e.preventDefault();
+
+        const pending = this.schedulingArticle;
+        if (!pending) return;
+
+        const publishDate = new Date(document.getElementById('scheduleArticleDate').value).toISOString();
+        const mode = document.getElementById('scheduleArticleMode').value;
+
+        try {
+            this.showLoading('Programmazione articolo...');
+            this.closeScheduleArticle();
+
+            if (pending.reschedule) {
+                await wpConnector.rescheduleArticle(pending.id, publishDate);
+                this.showToast('Programmazione aggiornata', 'success');
+            } else {
+                const result = await wpConnector.scheduleArticle(pending.id, publishDate, { mode });
+                if (result.conflict) {
+                    this.showPublishConflict(result.article, result.conflict);
+                    return;
+                }
+                this.showToast(mode === 'native' ?
+                    'Articolo programmato su WordPress' : 'Articolo programmato nell\'app', 'success');
+            }
+
+            await this.loadArticlesData();
+
+        } catch (error) {
+            console.error('Article scheduling failed:', error);
+            this.showToast(`Errore nella programmazione: ${error.message}`, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Cancel the schedule of an article
+     */
+    async unscheduleArticle(articleId) {
+        if (!confirm('Annullare la programmazione? Su WordPress il post tornerà in bozza.')) {
+            return;
+        }
+
+        try {
+            this.showLoading('Annullamento programmazione...');
+            await wpConnector.unscheduleArticle(articleId);
+            this.showToast('Programmazione annullata', 'info');
+            await this.loadArticlesData();
+        } catch (error) {
+            console.error('Article unscheduling failed:', error);
+            this.showToast(`Errore nell'annullamento: ${error.message}`, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Show the conflict between a local article and its WordPress post
+     */
+    showPublishConflict(article, conflict) {
+        this.pendingConflict = { article, conflict };
+
+        const messages = {
+            modified: 'Il post è stato modificato su WordPress dopo l\'ultima sincronizzazione.',
+            trashed: 'Il post è stato spostato nel cestino su WordPress.',
+            deleted: 'Il post è stato eliminato definitivamente da WordPress.'
+        };
+        document.getElementById('conflictMessage').textContent = messages[conflict.type];
+
+        // Available resolutions depend on what happened remotely
+        const available = {
+            modified: ['overwrite', 'pull'],
+            trashed: ['overwrite', 'recreate'],
+            deleted: ['recreate']
+        }[conflict.type];
+        document.querySelectorAll('#publishConflict [data-resolution]').forEach(button => {
+            button.style.display = available.includes(button.dataset.resolution) ? 'inline-flex' : 'none';
+        });
+
+        const diff = document.getElementById('conflictDiff');
+        if (conflict.type === 'modified') {
+            const parts = articleHistory.diffText(
+                articleHistory.htmlToText(conflict.remotePost.content?.raw || ''),
+                articleHistory.htmlToText(article.content)
+            );
+            diff.innerHTML = `
+                <div class="diff-column">
+                    <h4>WordPress · ${new Date(`${conflict.remotePost.modified_gmt}Z`).toLocaleString('it-IT')}</h4>
+                    <div class="diff-body">${articleHistory.renderSide(parts, 'delete')}</div>
+                </div>
+                <div class="diff-column">
+                    <h4>Locale</h4>
+                    <div class="diff-body">${articleHistory.renderSide(parts, 'insert')}</div>
+                </div>
+            `;
+            diff.style.display = 'grid';
+        } else {
+            diff.innerHTML = '';
+            diff.style.display = 'none';
+        }
+
+        document.getElementById('publishConflict').style.display = 'flex';
+    }
+
+    /**
+     * Apply the chosen conflict resolution
+     */
+    async resolvePublishConflict(resolution) {
+        const pending = this.pendingConflict;
+        this.closePublishConflict();
+        if (!pending) return;
+
+        if (resolution !== 'pull') {
+            await this.publishArticle(pending.article.id, resolution);
+            return;
+        }
+
+        try {
+            this.showLoading('Importazione da WordPress...');
+            await wpConnector.pullRemotePost(pending.article, pending.conflict.remotePost);
+            this.showToast('Articolo aggiornato con la versione di WordPress', 'success');
+            await this.loadArticlesData();
+        } catch (error) {
+            console.error('Remote post import failed:', error);
+            this.showToast(`Errore nell'importazione: ${error.message}`, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    closePublishConflict() {
+        document.getElementById('publishConflict').style.display = 'none';
+        this.pendingConflict = null;
+    }
+
     /**
      * Export data
      */
@@ -688,7 +2820,8 @@ class ContentAutopilotApp {
         try {
             this.showLoading('Esportazione dati...');
             
-            const exportData = await dbManager.exportData();
+            const includeSecrets = document.getElementById('exportIncludeSecrets').checked;
+            const exportData = await dbManager.exportData({ includeSecrets });
             const blob = new Blob([JSON.stringify(exportData, null, 2)], {
                 type: 'application/json'
             });
@@ -731,6 +2864,9 @@ class ContentAutopilotApp {
             const importData = JSON.parse(text);
             
             await dbManager.importData(importData);
+
+            // The import may bring its own vault, or none
+            await credentialVault.reload();
             
             this.showToast('Dati importati con successo!', 'success');
             
@@ -758,6 +2894,7 @@ class ContentAutopilotApp {
             this.showLoading('Cancellazione dati...');
             
             await dbManager.clearAllData();
+            await credentialVault.reload();
             
             this.showToast('Tutti i dati sono stati cancellati', 'info');
             
@@ -803,6 +2940,13 @@ class ContentAutopilotApp {
         });
 
         this.deferredPrompt = deferredPrompt;
+
+        // Keep the periodic sync registered while background publishing is on
+        dbManager.getSetting('backgroundPublishing', false).then(enabled => {
+            if (enabled) {
+                this.registerBackgroundSync();
+            }
+        });
     }
 
     /**
@@ -893,9 +3037,14 @@ class ContentAutopilotApp {
      * Edit article
      */
     async editArticle(articleId) {
-        // This would open an article editor
-        console.log('Editing article:', articleId);
-        // Implementation depends on UI design
+        try {
+            await articleEditor.open(articleId, {
+                onClose: () => this.loadArticlesData()
+            });
+        } catch (error) {
+            console.error('Failed to open article editor:', error);
+            this.showToast(`Errore nell'apertura dell'editor: ${error.message}`, 'error');
+        }
     }
 }
 
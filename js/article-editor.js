@@ -0,0 +1,405 @@
+/**
+ * Article Editor for Content Autopilot PWA
+ * Handles in-app editing of generated articles with autosave
+ */
+
+class ArticleEditor {
+    constructor() {
+        this.article = null;
+        this.isOpen = false;
+        this.isDirty = false;
+        this.changeCount = 0;
+        this.savePromise = null;
+        this.mode = 'visual'; // visual, html
+        this.autosaveDelay = 2000;
+        this.autosaveTimer = null;
+        this.listenersReady = false;
+        this.onClose = null;
+    }
+
+    /**
+     * Open the editor for an article
+     */
+    async open(articleId, options = {}) {
+        const article = await dbManager.getArticle(articleId);
+        if (!article) {
+            throw new Error('Articolo non trovato');
+        }
+
+        if (this.isOpen) {
+            await this.close();
+        }
+
+        this.initEventListeners();
+
+        // Keep the pre-edit version in history
+        await articleHistory.ensureBaseline(article);
+
+        this.onClose = options.onClose || null;
+        this.load(article);
+
+        document.getElementById('articleEditor').style.display = 'flex';
+        document.getElementById('editorTitle').focus();
+        this.isOpen = true;
+    }
+
+    /**
+     * Load an article into the editor, discarding unsaved changes
+     */
+    load(article) {
+        if (this.autosaveTimer) {
+            clearTimeout(this.autosaveTimer);
+            this.autosaveTimer = null;
+        }
+
+        this.article = article;
+        this.isDirty = false;
+
+        this.setMode('visual');
+        this.populate();
+        this.updateStats();
+        this.setSaveStatus('');
+    }
+
+    /**
+     * Close the editor, saving pending changes first
+     */
+    async close() {
+        if (!this.isOpen) return;
+
+        await this.flush();
+
+        document.getElementById('articleEditor').style.display = 'none';
+        this.isOpen = false;
+
+        const article = this.article;
+        this.article = null;
+
+        if (this.onClose) {
+            await this.onClose(article);
+            this.onClose = null;
+        }
+    }
+
+    /**
+     * Initialize editor event listeners (once)
+     */
+    initEventListeners() {
+        if (this.listenersReady) return;
+
+        const editor = document.getElementById('articleEditor');
+
+        // Any field change triggers autosave
+        editor.querySelectorAll('[data-field]').forEach(field => {
+            field.addEventListener('input', () => this.handleChange());
+        });
+
+        document.getElementById('editorContent').addEventListener('input', () => this.handleChange());
+        document.getElementById('editorSource').addEventListener('input', () => this.handleChange());
+
+        // Formatting toolbar
+        editor.querySelectorAll('[data-command]').forEach(button => {
+            button.addEventListener('mousedown', (e) => e.preventDefault()); // Keep selection
+            button.addEventListener('click', () => {
+                this.execCommand(button.dataset.command, button.dataset.value);
+            });
+        });
+
+        document.getElementById('editorToggleSource').addEventListener('click', () => {
+            this.setMode(this.mode === 'visual' ? 'html' : 'visual');
+        });
+
+        document.getElementById('editorSave').addEventListener('click', () => this.save());
+        document.getElementById('editorHistory').addEventListener('click', () => this.openHistory());
+        document.getElementById('closeEditor').addEventListener('click', () => this.close());
+
+        document.addEventListener('keydown', (e) => {
+            if (!this.isOpen) return;
+
+            if (e.key === 'Escape') {
+                this.close();
+            } else if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+                e.preventDefault();
+                this.save();
+            }
+        });
+
+        this.listenersReady = true;
+    }
+
+    /**
+     * Fill form fields from the article
+     */
+    populate() {
+        const editor = document.getElementById('articleEditor');
+
+        editor.querySelectorAll('[data-field]').forEach(field => {
+            const value = this.getFieldValue(this.article, field.dataset.field);
+            field.value = Array.isArray(value) ? value.join(', ') : (value || '');
+        });
+
+        document.getElementById('editorContent').innerHTML = this.article.content || '';
+        document.getElementById('editorSource').value = this.article.content || '';
+        this.populateSources();
+    }
+
+    /**
+     * List the search results the article was written from, to verify its claims
+     */
+    populateSources() {
+        const list = document.getElementById('editorSources');
+        const sources = this.article.sources || [];
+        list.innerHTML = '';
+
+        if (sources.length === 0) {
+            list.innerHTML = '<li class="text-muted">Nessuna fonte registrata</li>';
+            return;
+        }
+
+        for (const source of sources) {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = source.url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = source.title || source.url;
+            item.appendChild(link);
+
+            const note = document.createElement('small');
+            note.className = 'text-muted';
+            note.textContent = ` ${source.source}${source.cited ? '' : ' · non citata nel testo'}`;
+            item.appendChild(note);
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Read form fields back into the article
+     */
+    collectChanges() {
+        const editor = document.getElementById('articleEditor');
+
+        editor.querySelectorAll('[data-field]').forEach(field => {
+            const value = field.dataset.list !== undefined ?
+                this.parseList(field.value) : field.value.trim();
+            this.setFieldValue(this.article, field.dataset.field, value);
+        });
+
+        this.article.content = this.getContent();
+        this.article.wordCount = contentGenerator.countWords(this.article.content);
+        this.article.readingTime = contentGenerator.calculateReadingTime(this.article.content, this.article.language);
+    }
+
+    /**
+     * Get current content from the active editing mode
+     */
+    getContent() {
+        if (this.mode === 'html') {
+            return document.getElementById('editorSource').value.trim();
+        }
+        return document.getElementById('editorContent').innerHTML.trim();
+    }
+
+    /**
+     * Switch between visual and HTML source editing
+     */
+    setMode(mode) {
+        const visual = document.getElementById('editorContent');
+        const source = document.getElementById('editorSource');
+        const toolbar = document.getElementById('editorToolbar');
+        const toggle = document.getElementById('editorToggleSource');
+
+        if (this.article) {
+            // Carry content over to the other mode
+            if (mode === 'html' && this.mode === 'visual') {
+                source.value = visual.innerHTML.trim();
+            } else if (mode === 'visual' && this.mode === 'html') {
+                visual.innerHTML = source.value.trim();
+            }
+        }
+
+        this.mode = mode;
+        visual.style.display = mode === 'visual' ? 'block' : 'none';
+        source.style.display = mode === 'html' ? 'block' : 'none';
+        toolbar.classList.toggle('disabled', mode === 'html');
+        toggle.textContent = mode === 'visual' ? 'HTML' : 'Visuale';
+    }
+
+    /**
+     * Apply a formatting command to the visual editor
+     */
+    execCommand(command, value = null) {
+        if (this.mode !== 'visual') return;
+
+        document.getElementById('editorContent').focus();
+
+        if (command === 'createLink') {
+            value = prompt('URL del link:', 'https://');
+            if (!value) return;
+        }
+
+        document.execCommand(command, false, value);
+        this.handleChange();
+    }
+
+    /**
+     * Handle any change in the editor
+     */
+    handleChange() {
+        this.isDirty = true;
+        this.changeCount++;
+        this.setSaveStatus('Modifiche non salvate');
+        this.updateStats();
+        this.scheduleAutosave();
+    }
+
+    /**
+     * Debounce autosave after edits
+     */
+    scheduleAutosave() {
+        if (this.autosaveTimer) {
+            clearTimeout(this.autosaveTimer);
+        }
+
+        this.autosaveTimer = setTimeout(() => {
+            this.autosaveTimer = null;
+            this.save();
+        }, this.autosaveDelay);
+    }
+
+    /**
+     * Save pending changes immediately
+     */
+    async flush() {
+        // Wait for a save already running: edits made meanwhile are saved below
+        while (this.savePromise) {
+            await this.savePromise;
+        }
+
+        if (this.autosaveTimer) {
+            clearTimeout(this.autosaveTimer);
+            this.autosaveTimer = null;
+        }
+
+        if (this.isDirty) {
+            await this.save();
+        }
+    }
+
+    /**
+     * Save the article to IndexedDB. While another save is running
+     * the autosave is scheduled again instead.
+     */
+    async save() {
+        if (!this.article) return false;
+        if (this.savePromise) {
+            this.scheduleAutosave();
+            return false;
+        }
+
+        this.savePromise = this.writeChanges();
+        try {
+            return await this.savePromise;
+        } finally {
+            this.savePromise = null;
+        }
+    }
+
+    async writeChanges() {
+        try {
+            this.setSaveStatus('Salvataggio...');
+
+            const changeCount = this.changeCount;
+            this.collectChanges();
+            this.article.editedAt = new Date().toISOString();
+
+            await dbManager.saveArticle(this.article);
+            await articleHistory.recordRevision(this.article, 'edit');
+
+            // Edits typed during the save are not in it: the autosave they scheduled picks them up
+            if (this.changeCount !== changeCount) {
+                this.setSaveStatus('Modifiche non salvate');
+                return true;
+            }
+
+            this.isDirty = false;
+            this.setSaveStatus(`Salvato alle ${new Date().toLocaleTimeString('it-IT', { hour: '2-digit', minute: '2-digit' })}`);
+            return true;
+
+        } catch (error) {
+            console.error('Article save failed:', error);
+            this.setSaveStatus('Errore nel salvataggio');
+            this.showToast(`Errore nel salvataggio: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Save pending changes and open the revision history
+     */
+    async openHistory() {
+        if (!this.article) return;
+
+        await this.flush();
+        await articleHistory.open(this.article.id);
+    }
+
+    /**
+     * Update live word count and reading time
+     */
+    updateStats() {
+        const content = this.getContent();
+
+        document.getElementById('editorWordCount').textContent =
+            `${contentGenerator.countWords(content)} parole`;
+        document.getElementById('editorReadingTime').textContent =
+            contentGenerator.calculateReadingTime(content, this.article?.language);
+    }
+
+    /**
+     * Update save status label
+     */
+    setSaveStatus(text) {
+        const element = document.getElementById('editorSaveStatus');
+        if (element) {
+            element.textContent = text;
+        }
+    }
+
+    /**
+     * Utility methods
+     */
+    getFieldValue(obj, path) {
+        return path.split('.').reduce((value, key) => value?.[key], obj);
+    }
+
+    setFieldValue(obj, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((current, key) => {
+            if (!current[key] || typeof current[key] !== 'object') {
+                current[key] = {};
+            }
+            return current[key];
+        }, obj);
+        target[last] = value;
+    }
+
+    parseList(value) {
+        return [...new Set(value.split(',').map(item => item.trim()).filter(item => item.length > 0))];
+    }
+
+    /**
+     * Show toast notification
+     */
+    showToast(message, type = 'info') {
+        if (window.app && window.app.showToast) {
+            window.app.showToast(message, type);
+        } else {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+        }
+    }
+}
+
+// Create global instance
+window.articleEditor = new ArticleEditor();
\ No newline at end of file
@@ -0,0 +1,378 @@
+/**
+ * Article History for Content Autopilot PWA
+ * Handles article revision snapshots, word-level diffs and restore
+ */
+
+class ArticleHistory {
+    constructor() {
+        this.articleId = null;
+        this.revisions = [];
+        this.listenersReady = false;
+        this.editSessionWindow = 10 * 60 * 1000; // Merge manual edits within 10 minutes
+        this.maxDiffCells = 2000000; // Above this, fall back to a full replace diff
+        this.sourceLabels = {
+            original: 'Versione iniziale',
+            generated: 'Generazione',
+            regenerated: 'Rigenerazione',
+            edit: 'Modifica manuale',
+            restore: 'Ripristino',
+            translated: 'Traduzione',
+            remote: 'Versione WordPress'
+        };
+    }
+
+    /**
+     * Record a revision snapshot of an article
+     */
+    async recordRevision(article, source, details = {}) {
+        const revisions = await dbManager.getArticleRevisions(article.id);
+        const latest = revisions[0];
+
+        // Autosave produces many saves: keep one revision per editing session
+        if (source === 'edit' && latest && latest.source === 'edit' &&
+            Date.now() - new Date(latest.updatedAt).getTime() < this.editSessionWindow) {
+            latest.snapshot = this.createSnapshot(article);
+            latest.wordCount = article.wordCount || contentGenerator.countWords(article.content || '');
+            return dbManager.saveArticleRevision(latest);
+        }
+
+        return dbManager.saveArticleRevision({
+            articleId: article.id,
+            revision: latest ? latest.revision + 1 : 1,
+            source: source,
+            snapshot: this.createSnapshot(article),
+            wordCount: article.wordCount || contentGenerator.countWords(article.content || ''),
+            ...details
+        });
+    }
+
+    /**
+     * Make sure an article has at least one revision before it is changed
+     */
+    async ensureBaseline(article) {
+        const count = await dbManager.count('articleRevisions', 'articleId', article.id);
+        if (count === 0) {
+            return this.recordRevision(article, article.generatedWith ? 'generated' : 'original');
+        }
+        return null;
+    }
+
+    /**
+     * Restore an article from a revision.
+     * The restore is recorded as a new revision, history is never rewritten.
+     */
+    async restoreRevision(revisionId) {
+        const revision = await dbManager.get('articleRevisions', revisionId);
+        if (!revision) {
+            throw new Error('Revisione non trovata');
+        }
+
+        const article = await dbManager.getArticle(revision.articleId);
+        if (!article) {
+            throw new Error('Articolo non trovato');
+        }
+
+        Object.assign(article, JSON.parse(JSON.stringify(revision.snapshot)));
+        article.wordCount = contentGenerator.countWords(article.content || '');
+        article.readingTime = contentGenerator.calculateReadingTime(article.content || '', article.language);
+        article.restoredAt = new Date().toISOString();
+
+        await dbManager.saveArticle(article);
+        await this.recordRevision(article, 'restore', { restoredFrom: revision.revision });
+
+        return article;
+    }
+
+    /**
+     * Create a snapshot of the editable article fields
+     */
+    createSnapshot(article) {
+        return JSON.parse(JSON.stringify({
+            title: article.title || '',
+            content: article.content || '',
+            excerpt: article.excerpt || '',
+            seo: article.seo || {},
+            tags: article.tags || [],
+            categories: article.categories || [],
+            featuredImage: article.featuredImage || null
+        }));
+    }
+
+    /**
+     * Open the history view for an article
+     */
+    async open(articleId) {
+        this.initEventListeners();
+
+        this.articleId = articleId;
+
+        const article = await dbManager.getArticle(articleId);
+        if (article) {
+            await this.ensureBaseline(article);
+        }
+
+        await this.loadRevisions();
+        document.getElementById('articleHistory').style.display = 'flex';
+    }
+
+    /**
+     * Close the history view
+     */
+    close() {
+        document.getElementById('articleHistory').style.display = 'none';
+        this.articleId = null;
+        this.revisions = [];
+    }
+
+    /**
+     * Initialize history view event listeners (once)
+     */
+    initEventListeners() {
+        if (this.listenersReady) return;
+
+        document.getElementById('closeHistory').addEventListener('click', () => this.close());
+        document.getElementById('historyFrom').addEventListener('change', () => this.renderDiff());
+        document.getElementById('historyTo').addEventListener('change', () => this.renderDiff());
+
+        this.listenersReady = true;
+    }
+
+    /**
+     * Load revisions and refresh the view
+     */
+    async loadRevisions() {
+        this.revisions = await dbManager.getArticleRevisions(this.articleId);
+
+        const options = this.revisions.map(rev => `
+            <option value="${rev.id}">#${rev.revision} · ${this.getSourceLabel(rev.source)} · ${this.formatDate(rev.updatedAt)}</option>
+        `).join('');
+
+        const fromSelect = document.getElementById('historyFrom');
+        const toSelect = document.getElementById('historyTo');
+        fromSelect.innerHTML = options;
+        toSelect.innerHTML = options;
+
+        // Default: previous revision against the latest one
+        if (this.revisions.length > 0) {
+            toSelect.value = this.revisions[0].id;
+            fromSelect.value = (this.revisions[1] || this.revisions[0]).id;
+        }
+
+        this.renderList();
+        this.renderDiff();
+    }
+
+    /**
+     * Render revisions list
+     */
+    renderList() {
+        const container = document.getElementById('historyList');
+
+        container.innerHTML = this.revisions.map((rev, index) => `
+            <div class="history-item">
+                <div class="history-info">
+                    <strong>#${rev.revision}</strong>
+                    <span>${this.getSourceLabel(rev.source)}${rev.restoredFrom ? ` da #${rev.restoredFrom}` : ''}</span>
+                    <span class="text-muted">${this.formatDate(rev.updatedAt)} · ${rev.wordCount || 0} parole</span>
+                </div>
+                ${index === 0 ? '<span class="status-badge">Attuale</span>' : `
+                    <button class="btn btn-secondary" onclick="articleHistory.handleRestore('${rev.id}')">Ripristina</button>
+                `}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render side-by-side diff of the selected revisions
+     */
+    renderDiff() {
+        const container = document.getElementById('historyDiff');
+        const from = this.revisions.find(rev => rev.id === document.getElementById('historyFrom').value);
+        const to = this.revisions.find(rev => rev.id === document.getElementById('historyTo').value);
+
+        if (!from || !to) {
+            container.innerHTML = '<p class="text-muted">Nessuna revisione disponibile</p>';
+            return;
+        }
+
+        const titleDiff = this.diffText(from.snapshot.title, to.snapshot.title);
+        const contentDiff = this.diffText(
+            this.htmlToText(from.snapshot.content),
+            this.htmlToText(to.snapshot.content)
+        );
+
+        container.innerHTML = `
+            <div class="diff-column">
+                <h4>#${from.revision} · ${this.getSourceLabel(from.source)}</h4>
+                <div class="diff-title">${this.renderSide(titleDiff, 'delete')}</div>
+                <div class="diff-body">${this.renderSide(contentDiff, 'delete')}</div>
+            </div>
+            <div class="diff-column">
+                <h4>#${to.revision} · ${this.getSourceLabel(to.source)}</h4>
+                <div class="diff-title">${this.renderSide(titleDiff, 'insert')}</div>
+                <div class="diff-body">${this.renderSide(contentDiff, 'insert')}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one side of a diff, hiding the changes of the other side
+     */
+    renderSide(parts, changeType) {
+        return parts
+            .filter(part => part.type === 'equal' || part.type === changeType)
+            .map(part => {
+                const text = htmlUtils.escape(part.value);
+                if (part.type === 'equal') return text;
+                return changeType === 'delete' ?
+                    `<del class="diff-del">${text}</del>` : `<ins class="diff-ins">${text}</ins>`;
+            })
+            .join('');
+    }
+
+    /**
+     * Handle restore button click
+     */
+    async handleRestore(revisionId) {
+        const revision = this.revisions.find(rev => rev.id === revisionId);
+        if (!revision || !confirm(`Ripristinare la revisione #${revision.revision}? Verrà creata una nuova revisione.`)) {
+            return;
+        }
+
+        try {
+            const article = await this.restoreRevision(revisionId);
+
+            // Keep an open editor in sync with the restored content
+            if (articleEditor.isOpen && articleEditor.article?.id === article.id) {
+                articleEditor.load(article);
+            }
+
+            await this.loadRevisions();
+            this.showToast(`Revisione #${revision.revision} ripristinata`, 'success');
+        } catch (error) {
+            console.error('Revision restore failed:', error);
+            this.showToast(`Errore nel ripristino: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Word-level diff between two texts
+     */
+    diffText(oldText, newText) {
+        const tokenize = (text) => (text || '').match(/\S+|\s+/g) || [];
+        return this.diffTokens(tokenize(oldText), tokenize(newText));
+    }
+
+    /**
+     * Diff two token lists using longest common subsequence
+     */
+    diffTokens(oldTokens, newTokens) {
+        // Trim common prefix and suffix to keep the LCS table small
+        let start = 0;
+        while (start < oldTokens.length && start < newTokens.length && oldTokens[start] === newTokens[start]) {
+            start++;
+        }
+
+        let oldEnd = oldTokens.length;
+        let newEnd = newTokens.length;
+        while (oldEnd > start && newEnd > start && oldTokens[oldEnd - 1] === newTokens[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
+
+        const a = oldTokens.slice(start, oldEnd);
+        const b = newTokens.slice(start, newEnd);
+        const parts = [];
+
+        const push = (type, value) => {
+            const last = parts[parts.length - 1];
+            if (last && last.type === type) {
+                last.value += value;
+            } else {
+                parts.push({ type, value });
+            }
+        };
+
+        oldTokens.slice(0, start).forEach(token => push('equal', token));
+
+        const n = a.length;
+        const m = b.length;
+
+        if ((n + 1) * (m + 1) > this.maxDiffCells) {
+            a.forEach(token => push('delete', token));
+            b.forEach(token => push('insert', token));
+        } else {
+            const width = m + 1;
+            const table = new Uint32Array((n + 1) * width);
+
+            for (let i = n - 1; i >= 0; i--) {
+                for (let j = m - 1; j >= 0; j--) {
+                    table[i * width + j] = a[i] === b[j] ?
+                        table[(i + 1) * width + j + 1] + 1 :
+                        Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+                }
+            }
+
+            let i = 0;
+            let j = 0;
+            while (i < n && j < m) {
+                if (a[i] === b[j]) {
+                    push('equal', a[i]);
+                    i++;
+                    j++;
+                } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+                    push('delete', a[i]);
+                    i++;
+                } else {
+                    push('insert', b[j]);
+                    j++;
+                }
+            }
+            while (i < n) push('delete', a[i++]);
+            while (j < m) push('insert', b[j++]);
+        }
+
+        oldTokens.slice(oldEnd).forEach(token => push('equal', token));
+
+        return parts;
+    }
+
+    /**
+     * Utility methods
+     */
+    htmlToText(html) {
+        const withBreaks = (html || '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|h[1-6]|li|div|blockquote)>/gi, '\n\n');
+        const doc = new DOMParser().parseFromString(withBreaks, 'text/html');
+        return doc.body.textContent.replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    getSourceLabel(source) {
+        return this.sourceLabels[source] || source;
+    }
+
+    formatDate(date) {
+        return new Date(date).toLocaleString('it-IT', {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Show toast notification
+     */
+    showToast(message, type = 'info') {
+        if (window.app && window.app.showToast) {
+            window.app.showToast(message, type);
+        } else {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+        }
+    }
+}
+
+// Create global instance
+window.articleHistory = new ArticleHistory();
\ No newline at end of file
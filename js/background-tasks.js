@@ -0,0 +1,570 @@
+/**
+ * Background Tasks for Content Autopilot PWA
+ * Runs due publish tasks from the service worker when no tab is open.
+ * Loaded with importScripts after languages.js: no DOM and no other app globals.
+ */
+
+/**
+ * Minimal WordPress REST client usable from a worker
+ */
+class WorkerWordPressClient {
+    constructor(config, password) {
+        this.url = config.url;
+        this.authToken = btoa(`${config.username}:${password}`);
+    }
+
+    async request(path, options = {}) {
+        const headers = { 'Authorization': `Basic ${this.authToken}` };
+        if (!(options.body instanceof FormData)) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const response = await fetch(`${this.url}/wp-json/wp/v2/${path}`, {
+            ...options,
+            headers: headers
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(`WordPress request failed: ${errorData.message || response.statusText}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Create a post from an article (same fields as the app connector)
+     */
+    async createPost(article, options = {}) {
+        const postData = {
+            title: article.title,
+            content: article.content,
+            excerpt: article.excerpt || '',
+            status: options.status || 'publish',
+            slug: article.seo?.slug || this.generateSlug(article.title, article.language),
+            categories: await this.processTerms(article.categories || [], 'categories'),
+            tags: await this.processTerms(article.tags || [], 'tags'),
+            meta: {
+                _yoast_wpseo_title: article.seo?.metaTitle || article.title,
+                _yoast_wpseo_metadesc: article.seo?.metaDescription || article.excerpt,
+                _yoast_wpseo_focuskw: article.seo?.focusKeyword || ''
+            }
+        };
+
+        if (options.dateGmt) {
+            postData.date_gmt = options.dateGmt;
+        }
+
+        if (article.generatedWith) {
+            postData.meta.content_autopilot_generated = true;
+            postData.meta.content_autopilot_model = article.generatedWith.model;
+            postData.meta.content_autopilot_created = article.createdAt;
+        }
+
+        let post = await this.request('posts', {
+            method: 'POST',
+            body: JSON.stringify(postData)
+        });
+
+        if (article.featuredImage) {
+            try {
+                const mediaId = await this.uploadFeaturedImage(article.featuredImage, post.id);
+                if (mediaId) {
+                    post = await this.request(`posts/${post.id}`, {
+                        method: 'POST',
+                        body: JSON.stringify({ featured_media: mediaId })
+                    });
+                    article.wordpressMediaId = mediaId;
+                    article.wordpressMediaSource = article.featuredImage.url;
+                }
+            } catch (error) {
+                console.error('Background: featured image upload failed:', error);
+                // Continue without featured image
+            }
+        }
+
+        return post;
+    }
+
+    /**
+     * Find or create categories and tags by name
+     */
+    async processTerms(names, type) {
+        const ids = [];
+
+        for (const name of names) {
+            try {
+                const found = await this.request(`${type}?search=${encodeURIComponent(name)}`);
+                let term = found.find(item => item.name.toLowerCase() === name.toLowerCase());
+
+                if (!term) {
+                    term = await this.request(type, {
+                        method: 'POST',
+                        body: JSON.stringify({ name: name, slug: this.generateSlug(name) })
+                    });
+                }
+
+                if (term?.id) {
+                    ids.push(term.id);
+                }
+            } catch (error) {
+                console.error(`Background: failed to process ${type} item "${name}":`, error);
+            }
+        }
+
+        return ids;
+    }
+
+    /**
+     * Upload a featured image. Blob URLs belong to a closed tab, so only
+     * stored blobs and remote URLs can be used here.
+     */
+    async uploadFeaturedImage(featuredImage, postId) {
+        let blob = featuredImage.blob || null;
+        if (!blob && /^https?:/.test(featuredImage.url || '')) {
+            const response = await fetch(featuredImage.url);
+            blob = response.ok ? await response.blob() : null;
+        }
+        if (!blob) return null;
+
+        const formData = new FormData();
+        formData.append('file', blob, 'featured-image.png');
+        formData.append('title', featuredImage.alt || 'Featured Image');
+        formData.append('alt_text', featuredImage.alt || '');
+        formData.append('post', postId);
+
+        const media = await this.request('media', { method: 'POST', body: formData });
+        return media.id;
+    }
+
+    generateSlug(text, language = null) {
+        return languages.slugify(text, language);
+    }
+}
+
+class BackgroundTaskRunner {
+    constructor() {
+        // Must match the scheduler and credential vault settings of the app
+        this.config = {
+            maxRetries: 3,
+            retryDelay: 300000, // 5 minutes
+            operationBaseDelay: 30000, // Outbox backoff: 30 seconds doubled per attempt
+            operationMaxDelay: 3600000,
+            leaderLockName: 'content-autopilot-scheduler-leader',
+            channelName: 'content-autopilot-scheduler',
+            backgroundKeySetting: 'vaultBackgroundKey'
+        };
+    }
+
+    /**
+     * Run due work unless a tab is already running the scheduler
+     */
+    async run() {
+        if (self.navigator.locks) {
+            return self.navigator.locks.request(this.config.leaderLockName, { ifAvailable: true }, lock => {
+                if (!lock) {
+                    console.log('Background: a tab is running the scheduler');
+                    return null;
+                }
+                return this.runDueWork();
+            });
+        }
+
+        const windows = await self.clients.matchAll({ type: 'window' });
+        if (windows.length > 0) {
+            console.log('Background: a tab is open, leaving tasks to the app');
+            return null;
+        }
+        return this.runDueWork();
+    }
+
+    /**
+     * Publish due one-time publish tasks and deliver WordPress outbox operations
+     */
+    async runDueWork() {
+        const db = await openDB();
+        // Let the app upgrade the schema while a run is in progress
+        db.onversionchange = () => db.close();
+
+        try {
+            const enabled = await getFromStore(db, 'appSettings', 'backgroundPublishing');
+            if (!enabled?.value) {
+                console.log('Background: background publishing is disabled');
+                return;
+            }
+
+            // Slugs of articles without a language follow the app setting
+            const defaultLanguage = await getFromStore(db, 'appSettings', 'defaultLanguage');
+            languages.setDefault(defaultLanguage?.value);
+
+            const context = {
+                db: db,
+                key: await this.getBackgroundKey(db),
+                sites: await getAllFromStore(db, 'wpConfigs'),
+                changed: false
+            };
+
+            const now = new Date();
+            const tasks = await getAllFromStore(db, 'scheduledTasks');
+            for (const task of tasks.filter(item => this.isDue(item, now))) {
+                await this.runTask(task, context);
+            }
+
+            const operations = (await getAllFromStore(db, 'pendingOperations'))
+                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+            const byId = new Map(operations.map(operation => [operation.id, operation]));
+            for (const operation of operations) {
+                if (this.isOperationDue(operation, byId, now)) {
+                    await this.runOperation(operation, context);
+                }
+            }
+
+            if (context.changed) {
+                this.notifyTabs();
+            }
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Only one-time article publishing runs here: queue and recurring tasks
+     * need the app (queue order, cron) and wait for the next open tab
+     */
+    isDue(task, now) {
+        return task.isActive &&
+            task.type === 'publish_article' &&
+            !!task.articleId &&
+            !task.recurring &&
+            task.status !== 'awaiting_decision' &&
+            new Date(task.nextRun) <= now;
+    }
+
+    /**
+     * Execute a scheduled publish task
+     */
+    async runTask(task, context) {
+        const job = await this.preparePublish(task.articleId, task.options?.siteId, context);
+        if (job.deferred) {
+            console.log(`Background: task ${task.id} left to the app: ${job.deferred}`);
+            return;
+        }
+
+        const taskRun = await this.startTaskRun(task, context);
+        context.changed = true;
+
+        try {
+            const post = await this.publish(job, { status: 'publish', ...task.options }, context);
+
+            taskRun.artefacts = {
+                articleIds: [job.article.id],
+                wordpressPosts: [{ siteId: job.config.id, postId: post.id, url: post.link }]
+            };
+            await this.finishTaskRun(taskRun, 'success', null, context);
+
+            task.lastRun = new Date().toISOString();
+            task.status = 'completed';
+            task.retryCount = 0;
+            task.isActive = false;
+            await this.save(context.db, 'scheduledTasks', task);
+
+            await this.notify('Articolo Pubblicato', `"${job.article.title}" è stato pubblicato su WordPress`, {
+                articleId: job.article.id,
+                url: post.link
+            });
+        } catch (error) {
+            console.error(`Background: task ${task.id} failed:`, error);
+            await this.finishTaskRun(taskRun, 'failed', error.message, context);
+            await this.handleTaskFailure(task, error.message, context);
+        }
+    }
+
+    /**
+     * Outbox operations the worker can deliver (see OperationOutbox): publishes
+     * and category/tag lookups whose prerequisites are done
+     */
+    isOperationDue(operation, byId, now) {
+        return ['publish', 'wpTerms'].includes(operation.type) &&
+            (operation.status === 'pending' || operation.status === 'retry') &&
+            new Date(operation.nextAttemptAt) <= now &&
+            (operation.dependsOn || []).every(id => !byId.has(id) || byId.get(id).status === 'done');
+    }
+
+    /**
+     * Execute an outbox operation and record its status like the app does
+     */
+    async runOperation(operation, context) {
+        const { siteId, taxonomy, names, status, dateGmt } = operation.data;
+
+        let job;
+        if (operation.type === 'publish' && operation.attempts > 0) {
+            // A previous attempt may have created the post: the app looks for it before retrying
+            job = { deferred: 'earlier attempt may have reached WordPress' };
+        } else if (operation.type === 'publish') {
+            job = await this.preparePublish(operation.articleId, siteId, context);
+        } else {
+            job = await this.prepareSite(context.sites.find(site => site.id === siteId), context);
+        }
+        if (job.deferred) {
+            console.log(`Background: operation ${operation.id} left to the app: ${job.deferred}`);
+            return;
+        }
+
+        operation.status = 'running';
+        operation.startedAt = new Date().toISOString();
+        operation.attempts++;
+        await this.save(context.db, 'pendingOperations', operation);
+        context.changed = true;
+
+        try {
+            if (operation.type === 'publish') {
+                const post = await this.publish(job, { status, dateGmt }, context);
+                operation.result = { siteId: job.config.id, postId: post.id, url: post.link };
+            } else {
+                const ids = await job.client.processTerms(names, taxonomy);
+                if (ids.length < names.length) {
+                    throw new Error(`${names.length - ids.length} ${taxonomy} could not be created`);
+                }
+                operation.result = { ids };
+            }
+
+            operation.status = 'done';
+            operation.completedAt = new Date().toISOString();
+            operation.lastError = null;
+        } catch (error) {
+            console.error(`Background: operation ${operation.id} failed:`, error);
+            operation.lastError = error.message;
+
+            if (operation.attempts >= operation.maxAttempts) {
+                operation.status = 'failed';
+            } else {
+                const delay = Math.min(
+                    this.config.operationBaseDelay * Math.pow(2, operation.attempts - 1),
+                    this.config.operationMaxDelay
+                );
+                operation.status = 'retry';
+                operation.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            }
+        }
+
+        await this.save(context.db, 'pendingOperations', operation);
+    }
+
+    /**
+     * Load the article, its site and credentials. Returns { deferred } when
+     * the work has to wait for the app.
+     */
+    async preparePublish(articleId, siteId, context) {
+        const article = articleId ? await getFromStore(context.db, 'articles', articleId) : null;
+        if (!article) {
+            return { deferred: 'article not found' };
+        }
+        // Updates need the conflict check and its resolution UI
+        if (article.wordpressId) {
+            return { deferred: 'article already on WordPress' };
+        }
+
+        const config = await this.resolveSite(article, siteId, context);
+        // Translation links need the other variants of the article
+        if (article.translationGroup && config?.multilingual) {
+            return { deferred: 'article is part of a translation group' };
+        }
+
+        const job = await this.prepareSite(config, context);
+        return { ...job, article };
+    }
+
+    /**
+     * Client for a site, when its credentials can be read
+     */
+    async prepareSite(config, context) {
+        if (!config) {
+            return { deferred: 'no WordPress site configured' };
+        }
+
+        const password = await this.revealSecret(config.password, context.key);
+        if (!password) {
+            return { deferred: 'credential vault is locked' };
+        }
+
+        return { config, client: new WorkerWordPressClient(config, password) };
+    }
+
+    /**
+     * Create the post and record it on the article
+     */
+    async publish(job, options, context) {
+        const { article, config, client } = job;
+        const post = await client.createPost(article, options);
+
+        article.status = post.status === 'future' ? 'scheduled' : 'published';
+        article.publishedAt = new Date().toISOString();
+        article.wordpressId = post.id;
+        article.wordpressUrl = post.link;
+        article.wordpressSiteId = config.id;
+        article.wordpressStatus = post.status;
+        article.wordpressModifiedGmt = post.modified_gmt;
+        article.syncedAt = new Date().toISOString();
+        await this.save(context.db, 'articles', article);
+
+        return post;
+    }
+
+    /**
+     * Target site: explicit, article override, project, then default site
+     */
+    async resolveSite(article, siteId, context) {
+        const findSite = id => context.sites.find(site => site.id === id);
+
+        if (siteId && findSite(siteId)) return findSite(siteId);
+        if (article.targetSiteId && findSite(article.targetSiteId)) return findSite(article.targetSiteId);
+
+        const project = article.projectId ? await getFromStore(context.db, 'projects', article.projectId) : null;
+        if (project?.targetSiteId && findSite(project.targetSiteId)) return findSite(project.targetSiteId);
+
+        return context.sites.find(site => site.isActive) || context.sites[0] || null;
+    }
+
+    /**
+     * Vault key the app stored for background use (see CredentialVault.enableBackgroundAccess)
+     */
+    async getBackgroundKey(db) {
+        const setting = await getFromStore(db, 'appSettings', this.config.backgroundKeySetting);
+        return setting?.value instanceof CryptoKey ? setting.value : null;
+    }
+
+    /**
+     * Decrypt a vault value ({ vault, iv, data }); plaintext values pass through
+     */
+    async revealSecret(value, key) {
+        if (!value || typeof value !== 'object' || value.vault !== 1) {
+            return value || null;
+        }
+        if (!key) return null;
+
+        try {
+            const data = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.fromBase64(value.iv) },
+                key,
+                this.fromBase64(value.data)
+            );
+            return new TextDecoder().decode(data);
+        } catch (error) {
+            console.error('Background: failed to decrypt credentials:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Retry with backoff like the app scheduler, then give up and notify
+     */
+    async handleTaskFailure(task, errorMessage, context) {
+        task.lastRun = new Date().toISOString();
+        task.lastError = errorMessage;
+        task.retryCount = (task.retryCount || 0) + 1;
+
+        if (task.retryCount >= this.config.maxRetries) {
+            task.status = 'failed';
+            task.isActive = false;
+
+            await this.notify(
+                'Task Failed',
+                `Task "${task.type}" failed after ${this.config.maxRetries} attempts`,
+                { error: errorMessage }
+            );
+        } else {
+            task.nextRun = new Date(Date.now() + this.config.retryDelay * task.retryCount).toISOString();
+            task.status = 'retry';
+        }
+
+        await this.save(context.db, 'scheduledTasks', task);
+    }
+
+    /**
+     * Task run history (same records as the app scheduler)
+     */
+    async startTaskRun(task, context) {
+        const taskRun = {
+            id: this.generateId(),
+            taskId: task.id,
+            type: task.type,
+            projectId: task.projectId || task.options?.projectId || null,
+            articleId: task.articleId || null,
+            attempt: (task.retryCount || 0) + 1,
+            startedAt: new Date().toISOString(),
+            endedAt: null,
+            durationMs: null,
+            outcome: 'running',
+            error: null,
+            summary: 'Eseguito in background',
+            artefacts: {}
+        };
+
+        await this.saveTaskRun(taskRun, context);
+        return taskRun;
+    }
+
+    async finishTaskRun(taskRun, outcome, error, context) {
+        taskRun.endedAt = new Date().toISOString();
+        taskRun.durationMs = new Date(taskRun.endedAt) - new Date(taskRun.startedAt);
+        taskRun.outcome = outcome;
+        taskRun.error = error;
+
+        await this.saveTaskRun(taskRun, context);
+    }
+
+    async saveTaskRun(taskRun, context) {
+        if (!context.db.objectStoreNames.contains('taskRuns')) return;
+
+        try {
+            await this.save(context.db, 'taskRuns', taskRun);
+        } catch (error) {
+            console.error('Background: failed to record task run:', error);
+        }
+    }
+
+    /**
+     * Save a record with the timestamps DBManager adds
+     */
+    save(db, storeName, record) {
+        if (!record.createdAt) {
+            record.createdAt = new Date().toISOString();
+        }
+        record.updatedAt = new Date().toISOString();
+        return putInStore(db, storeName, record);
+    }
+
+    /**
+     * Let tabs opened meanwhile reload their tasks
+     */
+    notifyTabs() {
+        if (!('BroadcastChannel' in self)) return;
+
+        const channel = new BroadcastChannel(this.config.channelName);
+        channel.postMessage({ type: 'tasks-changed' });
+        channel.close();
+    }
+
+    async notify(title, body, data = {}) {
+        if (self.Notification?.permission !== 'granted') return;
+
+        await self.registration.showNotification(title, {
+            body: body,
+            icon: '/assets/icons/icon-192.png',
+            badge: '/assets/icons/icon-96.png',
+            data: data,
+            tag: 'content-autopilot-notification'
+        });
+    }
+
+    generateId() {
+        return 'id_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    fromBase64(value) {
+        return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+    }
+}
+
+// Create global instance (service worker scope)
+self.backgroundTasks = new BackgroundTaskRunner();
\ No newline at end of file
@@ -7,20 +7,153 @@ class ContentGenerator {
     constructor() {
         this.isGenerating = false;
         this.generationQueue = [];
+        // Built-in article templates. Section word budgets are for the medium
+        // length and scaled by lengthFactors; heading: false sections are written
+        // without their own H2 (introductions and news leads).
         this.templates = {
             blog: {
-                structure: ['introduction', 'main_content', 'conclusion'],
-                wordCounts: { short: 400, medium: 700, long: 1200 }
+                name: 'Articolo di blog',
+                description: 'Introduzione, corpo con sottosezioni e conclusione',
+                sections: [
+                    { title: 'Introduzione', words: 120, heading: false, instructions: 'Apri con un gancio che catturi l\'attenzione, presenta il tema e cosa imparerà il lettore.' },
+                    { title: 'Approfondimento', words: 460, heading: true, instructions: 'Sviluppa il tema in 2-3 sottosezioni, ognuna con un sottotitolo su una riga che inizia con "### ", includendo esempi pratici.' },
+                    { title: 'Conclusione', words: 120, heading: true, instructions: 'Riassumi i punti chiave e chiudi con una call-to-action.' }
+                ]
             },
             news: {
-                structure: ['headline', 'lead', 'body', 'summary'],
-                wordCounts: { short: 300, medium: 500, long: 800 }
+                name: 'Notizia',
+                description: 'Attacco, sviluppo a piramide rovesciata e riepilogo',
+                sections: [
+                    { title: 'Attacco', words: 80, heading: false, instructions: 'In un solo paragrafo rispondi a chi, cosa, quando, dove e perché.' },
+                    { title: 'I dettagli', words: 320, heading: true, instructions: 'Riporta dettagli, contesto e dichiarazioni dal più al meno importante (piramide rovesciata).' },
+                    { title: 'Cosa succede ora', words: 100, heading: true, instructions: 'Spiega cosa significa la notizia per il lettore e cosa aspettarsi nei prossimi sviluppi.' }
+                ]
             },
             tutorial: {
-                structure: ['introduction', 'prerequisites', 'steps', 'conclusion'],
-                wordCounts: { short: 600, medium: 1000, long: 1500 }
+                name: 'Tutorial',
+                description: 'Introduzione, prerequisiti, passaggi numerati e conclusione',
+                sections: [
+                    { title: 'Introduzione', words: 120, heading: false, instructions: 'Spiega cosa si otterrà alla fine della guida e a chi è rivolta.' },
+                    { title: 'Prerequisiti', words: 130, heading: true, instructions: 'Elenca strumenti, conoscenze e materiali necessari, una voce per riga con "- ".' },
+                    { title: 'Procedura passo passo', words: 630, heading: true, instructions: 'Descrivi i passaggi in ordine, ognuno con un sottotitolo su una riga che inizia con "### Passo N:" seguito da istruzioni concrete.' },
+                    { title: 'Conclusione', words: 120, heading: true, instructions: 'Riepiloga il risultato ottenuto e suggerisci i passi successivi.' }
+                ]
             }
         };
+        // Names and section texts of the built-in templates for projects not in Italian
+        this.internationalTemplates = {
+            blog: {
+                name: 'Blog article',
+                sections: [
+                    { title: 'Introduction', instructions: 'Open with a hook that grabs attention, introduce the topic and what the reader will learn.' },
+                    { title: 'In depth', instructions: 'Develop the topic in 2-3 subsections, each with a subheading on a line starting with "### ", including practical examples.' },
+                    { title: 'Conclusion', instructions: 'Sum up the key points and close with a call to action.' }
+                ]
+            },
+            news: {
+                name: 'News',
+                sections: [
+                    { title: 'Lead', instructions: 'In a single paragraph answer who, what, when, where and why.' },
+                    { title: 'The details', instructions: 'Report details, context and quotes from the most to the least important (inverted pyramid).' },
+                    { title: 'What happens next', instructions: 'Explain what the news means for the reader and what to expect next.' }
+                ]
+            },
+            tutorial: {
+                name: 'Tutorial',
+                sections: [
+                    { title: 'Introduction', instructions: 'Explain what the reader will achieve by the end of the guide and who it is for.' },
+                    { title: 'Prerequisites', instructions: 'List the tools, knowledge and materials needed, one item per line starting with "- ".' },
+                    { title: 'Step by step', instructions: 'Describe the steps in order, each with a subheading on a line starting with "### Step N:" followed by concrete instructions.' },
+                    { title: 'Conclusion', instructions: 'Recap the result and suggest next steps.' }
+                ]
+            }
+        };
+        this.lengthFactors = { short: 0.6, medium: 1, long: 1.7 };
+        this.outlineDefaults = { wordCount: 2000, introShare: 0.1, minSectionWords: 50 };
+        // Characters of source text (extracted pages or snippets) given to the section prompts
+        this.sourceBudget = 6000;
+    }
+
+    /**
+     * Built-in templates followed by the custom ones
+     */
+    async getTemplates() {
+        const builtIn = Object.keys(this.templates).map(id => this.getBuiltInTemplate(id));
+        const custom = await dbManager.getAllContentTemplates();
+        return [...builtIn, ...custom.sort((a, b) => a.name.localeCompare(b.name))];
+    }
+
+    /**
+     * Template by id, falling back to the blog template
+     */
+    async getTemplate(templateId, language = 'it') {
+        if (this.templates[templateId]) {
+            return this.getBuiltInTemplate(templateId, language);
+        }
+
+        const custom = templateId ? await dbManager.getContentTemplate(templateId) : null;
+        return custom || this.getBuiltInTemplate('blog', language);
+    }
+
+    /**
+     * Built-in template, with section titles and instructions in English for other languages
+     */
+    getBuiltInTemplate(templateId, language = 'it') {
+        const template = { id: templateId, builtIn: true, ...this.templates[templateId] };
+        if (language === 'it') {
+            return template;
+        }
+
+        const international = this.internationalTemplates[templateId];
+        return {
+            ...template,
+            name: international.name,
+            sections: template.sections.map((section, index) => ({ ...section, ...international.sections[index] }))
+        };
+    }
+
+    /**
+     * Validate and store a custom template
+     */
+    async saveTemplate(template) {
+        if (this.templates[template.id]) {
+            throw new Error('I modelli predefiniti non possono essere modificati');
+        }
+        if (!template.name?.trim()) {
+            throw new Error('Il nome del modello è obbligatorio');
+        }
+
+        const sections = (template.sections || []).filter(section => section.title?.trim());
+        if (sections.length === 0) {
+            throw new Error('Il modello deve avere almeno una sezione');
+        }
+
+        return dbManager.saveContentTemplate({
+            ...template,
+            name: template.name.trim(),
+            description: template.description?.trim() || '',
+            builtIn: false,
+            sections: sections.map(section => ({
+                title: section.title.trim(),
+                instructions: section.instructions?.trim() || '',
+                words: Math.max(parseInt(section.words) || 0, 30),
+                heading: section.heading !== false
+            }))
+        });
+    }
+
+    /**
+     * Word budget of a section for an article length
+     */
+    getSectionWords(section, length = 'medium') {
+        return Math.round(section.words * (this.lengthFactors[length] || 1));
+    }
+
+    /**
+     * Total word budget of a template for an article length
+     */
+    getTemplateWordCount(template, length = 'medium') {
+        return template.sections.reduce((total, section) => total + this.getSectionWords(section, length), 0);
     }
 
     /**
@@ -49,6 +182,19 @@ class ContentGenerator {
             const articleLength = options.articleLength || project.articleLength || 'medium';
             const generateImages = options.generateImages !== false;
 
+            // Offline: leave the articles to the outbox, generated when the connection returns
+            if (options.queueOffline && !apiManager.isOnline) {
+                for (let i = 0; i < articleCount; i++) {
+                    await operationOutbox.enqueue('generate', {
+                        articleId: dbManager.generateId(),
+                        options: { index: i, total: articleCount, length: articleLength, generateImage: generateImages }
+                    }, { projectId: projectId });
+                }
+
+                this.updateGenerationStatus('Offline: generazione in coda');
+                return { success: true, articles: [], count: 0, queued: articleCount };
+            }
+
             for (let i = 0; i < articleCount; i++) {
                 this.updateGenerationStatus(`Generazione articolo ${i + 1} di ${articleCount}...`);
                 
@@ -62,7 +208,7 @@ class ContentGenerator {
                     
                     if (article) {
                         articles.push(article);
-                        await dbManager.saveArticle(article);
+                        await this.saveGeneratedArticle(article);
                     }
                 } catch (error) {
                     console.error(`Failed to generate article ${i + 1}:`, error);
@@ -103,77 +249,34 @@ class ContentGenerator {
             // Prepare context from search results
             const context = this.prepareContentContext(searchResults, options.index);
             
-            // Generate article title
-            const titlePrompt = this.createTitlePrompt(project.topic, project.keywords, context);
-            const titleResult = await apiManager.generateText(titlePrompt, {
-                maxLength: 100,
-                temperature: 0.8
-            });
-            
-            const title = this.extractTitle(titleResult.text);
-
-            // Generate article content
-            const contentPrompt = this.createContentPrompt(
-                title, 
-                project.topic, 
-                project.keywords, 
-                context, 
-                options.length
-            );
-            
-            const contentResult = await apiManager.generateText(contentPrompt, {
-                maxLength: this.getMaxLength(options.length),
-                temperature: 0.7
-            });
+            // Prompts of the project's prompt set
+            const promptSet = await promptLibrary.getProjectPrompts(project);
+            const variables = this.getPromptVariables(project, context);
 
-            const content = this.formatArticleContent(contentResult.text);
-
-            // Generate excerpt
-            const excerpt = this.generateExcerpt(content);
+            // Generate article title
+            variables.title = await this.generateTitle(project, promptSet.prompts, variables);
 
-            // Generate image if requested
-            let featuredImage = null;
-            if (options.generateImage) {
-                try {
-                    const imagePrompt = this.createImagePrompt(title, project.topic);
-                    const imageResult = await apiManager.generateImage(imagePrompt);
-                    featuredImage = {
-                        url: imageResult.imageUrl,
-                        alt: title,
-                        prompt: imagePrompt
-                    };
-                } catch (error) {
-                    console.error('Failed to generate image:', error);
-                    // Continue without image
-                }
+            // Generate the article one template section at a time
+            const template = await this.getTemplate(project.template, variables.language.code);
+            const sections = [];
+            for (const section of template.sections) {
+                const words = this.getSectionWords(section, options.length);
+                sections.push(await this.generateSection(project, promptSet.prompts, variables, template, section, words, sections));
             }
 
-            // Generate SEO metadata
-            const seoData = this.generateSEOMetadata(title, content, project.keywords);
-
-            // Create article object
-            const article = {
-                id: dbManager.generateId(),
-                projectId: project.id,
-                title: title,
-                content: content,
-                excerpt: excerpt,
-                featuredImage: featuredImage,
-                seo: seoData,
-                status: 'draft',
-                wordCount: this.countWords(content),
-                readingTime: this.calculateReadingTime(content),
-                tags: this.extractTags(project.keywords, content),
-                categories: this.suggestCategories(project.topic, content),
-                createdAt: new Date().toISOString(),
+            return this.buildArticle(project, {
+                id: options.articleId,
+                content: sections.map(part => this.formatSection(part)).join(''),
+                variables: variables,
+                promptSet: promptSet,
+                generateImage: options.generateImage,
                 generatedWith: {
-                    model: 'huggingface',
-                    prompt: contentPrompt,
-                    searchContext: context.summary
+                    provider: sections[sections.length - 1].result.provider,
+                    model: sections[sections.length - 1].result.model,
+                    template: template.id,
+                    prompt: sections.map(part => part.prompt).join('\n\n---\n\n')
                 }
-            };
-
-            return article;
+            });
 
         } catch (error) {
             console.error('Single article generation failed:', error);
@@ -181,85 +284,525 @@ class ContentGenerator {
         }
     }
 
+    /**
+     * Generate an article title with the title prompt
+     */
+    async generateTitle(project, prompts, variables) {
+        const titleResult = await apiManager.generateText(promptLibrary.render(prompts.title, variables), {
+            provider: project.textProvider,
+            maxLength: 100,
+            temperature: 0.8
+        });
+
+        return this.extractTitle(titleResult.text);
+    }
+
+    /**
+     * Generate one section with the content prompt.
+     * previous: sections already written, to keep the article coherent.
+     */
+    async generateSection(project, prompts, variables, template, section, words, previous = []) {
+        const prompt = promptLibrary.render(prompts.content,
+            this.getSectionVariables(variables, template, section, words, previous));
+
+        const result = await apiManager.generateText(prompt, {
+            provider: project.textProvider,
+            maxLength: this.getSectionMaxLength(words),
+            temperature: 0.7
+        });
+
+        return { section, prompt, result, ...this.parseSection(section, result.text) };
+    }
+
+    /**
+     * Article object around generated content: excerpt, image, SEO fields, tags and categories
+     */
+    async buildArticle(project, { id, content, variables, promptSet, generateImage, generatedWith }) {
+        const title = variables.title;
+        const language = variables.language.code;
+
+        // Generate image if requested
+        let featuredImage = null;
+        let pendingImagePrompt = null;
+        if (generateImage) {
+            const imagePrompt = promptLibrary.render(promptSet.prompts.image, variables);
+            try {
+                const imageResult = await apiManager.generateImage(imagePrompt);
+                featuredImage = {
+                    url: imageResult.imageUrl,
+                    blob: imageResult.blob,
+                    alt: title,
+                    prompt: imagePrompt
+                };
+            } catch (error) {
+                console.error('Failed to generate image:', error);
+                // Continue without image, retried from the outbox once the article is saved
+                if (apiManager.isConfigured('huggingface')) {
+                    pendingImagePrompt = imagePrompt;
+                }
+            }
+        }
+
+        // Inline citations and the references list; the other fields use the plain text
+        const cited = this.applyCitations(content, variables.context.references || [], language);
+        const text = this.stripCitations(content);
+
+        return {
+            id: id || dbManager.generateId(),
+            projectId: project.id,
+            title: title,
+            content: cited.content,
+            sources: cited.sources,
+            excerpt: this.generateExcerpt(text),
+            featuredImage: featuredImage,
+            pendingImagePrompt: pendingImagePrompt,
+            seo: this.generateSEOMetadata(title, text, project.keywords, language),
+            status: 'draft',
+            language: language,
+            wordCount: this.countWords(text),
+            readingTime: this.calculateReadingTime(text, language),
+            tags: this.extractTags(project.keywords, text),
+            categories: this.suggestCategories(project.topic, text, language),
+            createdAt: new Date().toISOString(),
+            generatedWith: {
+                ...generatedWith,
+                promptSet: { id: promptSet.setId, version: promptSet.version },
+                searchContext: variables.context.summary
+            }
+        };
+    }
+
+    /**
+     * Long-form phase one: title and an editable H2/H3 outline,
+     * saved as an article with status 'outline'
+     */
+    async generateOutline(projectId, options = {}) {
+        const project = await dbManager.getProject(projectId);
+        if (!project) {
+            throw new Error('Progetto non trovato');
+        }
+
+        const searchResults = await dbManager.getSearchResultsByProject(projectId);
+        if (searchResults.length === 0) {
+            throw new Error('Nessun risultato di ricerca disponibile per questo progetto');
+        }
+
+        const wordCount = options.wordCount || this.outlineDefaults.wordCount;
+        const context = this.prepareContentContext(searchResults, options.index);
+        const promptSet = await promptLibrary.getProjectPrompts(project);
+        const variables = this.getPromptVariables(project, context);
+        variables.title = await this.generateTitle(project, promptSet.prompts, variables);
+
+        const result = await apiManager.generateText(promptLibrary.render(promptSet.prompts.outline, { ...variables, wordCount }), {
+            provider: project.textProvider,
+            maxLength: 600,
+            temperature: 0.7
+        });
+
+        const headings = this.parseOutline(result.text);
+        if (headings.length === 0) {
+            throw new Error('Il modello non ha restituito una scaletta valida');
+        }
+
+        const article = {
+            id: dbManager.generateId(),
+            projectId: project.id,
+            title: variables.title,
+            content: '',
+            excerpt: '',
+            status: 'outline',
+            language: variables.language.code,
+            outline: {
+                context: context,
+                sections: this.createOutlineSections(headings, wordCount, variables.language.code)
+            },
+            createdAt: new Date().toISOString()
+        };
+
+        await dbManager.saveArticle(article);
+        return article;
+    }
+
+    /**
+     * Read "## " (or numbered) lines as sections and "### " (or bulleted) lines as their subheadings
+     */
+    parseOutline(generatedText) {
+        const headings = [];
+
+        for (const rawLine of generatedText.split('\n')) {
+            const line = rawLine.replace(/\*\*/g, '').trim();
+            const subheading = line.match(/^(?:#{3,4}\s+|[-*•]\s+)(.+)/);
+            const heading = line.match(/^(?:#{1,2}\s+|\d+[.)]\s+)(.+)/);
+
+            if (subheading && headings.length > 0) {
+                headings[headings.length - 1].subheadings.push(subheading[1].trim());
+            } else if (heading) {
+                headings.push({ title: heading[1].trim(), subheadings: [] });
+            }
+        }
+
+        return headings;
+    }
+
+    /**
+     * Outline sections with an introduction first and the word budget split between them
+     */
+    createOutlineSections(headings, wordCount, language) {
+        const text = promptLibrary.getSectionText(language);
+        const introWords = Math.round(wordCount * this.outlineDefaults.introShare);
+        const sectionWords = Math.max(
+            Math.round((wordCount - introWords) / headings.length),
+            this.outlineDefaults.minSectionWords
+        );
+
+        return [
+            { title: text.introduction, intro: true, subheadings: [], words: introWords, status: 'pending' },
+            ...headings.map(heading => ({ ...heading, intro: false, words: sectionWords, status: 'pending' }))
+        ];
+    }
+
+    /**
+     * Edit the outline of an article not expanded yet. Written sections
+     * keep their text unless their heading, subheadings or length changed.
+     */
+    async updateOutline(articleId, { title, sections }) {
+        const article = await dbManager.getArticle(articleId);
+        if (!article?.outline) {
+            throw new Error('Scaletta non trovata');
+        }
+
+        const edited = sections
+            .filter(section => section.title?.trim())
+            .map(section => ({
+                title: section.title.trim(),
+                intro: !!section.intro,
+                subheadings: (section.subheadings || []).map(item => item.trim()).filter(Boolean),
+                words: Math.max(parseInt(section.words) || 0, this.outlineDefaults.minSectionWords)
+            }));
+        if (edited.length === 0) {
+            throw new Error('La scaletta deve avere almeno una sezione');
+        }
+
+        const written = new Map(article.outline.sections
+            .filter(section => section.status === 'done')
+            .map(section => [this.getOutlineKey(section), section]));
+
+        article.title = title?.trim() || article.title;
+        article.outline.sections = edited.map(section =>
+            written.get(this.getOutlineKey(section)) || { ...section, status: 'pending' }
+        );
+
+        await dbManager.saveArticle(article);
+        return article;
+    }
+
+    getOutlineKey(section) {
+        return JSON.stringify([section.title, section.subheadings, section.words, !!section.intro]);
+    }
+
+    /**
+     * Long-form phase two: write each section not done yet with its own call.
+     * The article is saved after every section, so a failed one can be
+     * resumed without writing the others again.
+     */
+    async expandOutline(articleId, options = {}) {
+        const article = await dbManager.getArticle(articleId);
+        if (!article?.outline) {
+            throw new Error('Scaletta non trovata');
+        }
+
+        const project = await dbManager.getProject(article.projectId);
+        if (!project) {
+            throw new Error('Progetto non trovato');
+        }
+
+        const promptSet = await promptLibrary.getProjectPrompts(project);
+        const variables = this.getPromptVariables(project, article.outline.context, article.title);
+        const text = promptLibrary.getSectionText(variables.language.code);
+        const sections = article.outline.sections;
+
+        // The outline acts as the template: headings are fixed, subheadings become instructions
+        const template = {
+            name: article.title,
+            sections: sections.map(section => ({
+                title: section.title,
+                words: section.words,
+                heading: false,
+                headingFixed: !section.intro,
+                instructions: section.intro ? text.introInstructions :
+                    (section.subheadings.length > 0 ? `${text.subheadings} ${section.subheadings.join('; ')}` : '')
+            }))
+        };
+
+        for (const [index, section] of sections.entries()) {
+            if (section.status === 'done') continue;
+
+            this.updateGenerationStatus(`Sezione ${index + 1} di ${sections.length}: ${section.title}`);
+            const previous = sections.slice(0, index).filter(item => item.status === 'done');
+
+            try {
+                const part = await this.generateSection(project, promptSet.prompts, variables, template,
+                    template.sections[index], section.words, previous);
+
+                Object.assign(section, {
+                    status: 'done',
+                    text: part.text,
+                    prompt: part.prompt,
+                    provider: part.result.provider,
+                    model: part.result.model,
+                    error: null
+                });
+            } catch (error) {
+                section.status = 'failed';
+                section.error = error.message;
+                await dbManager.saveArticle(article);
+                throw new Error(`Sezione "${section.title}" non riuscita: ${error.message}`);
+            }
+
+            await dbManager.saveArticle(article);
+        }
+
+        const last = sections[sections.length - 1];
+        const completed = await this.buildArticle(project, {
+            id: article.id,
+            content: sections.map(section => this.formatSection({
+                heading: section.intro ? null : section.title,
+                text: section.text
+            })).join(''),
+            variables: variables,
+            promptSet: promptSet,
+            generateImage: options.generateImage,
+            generatedWith: {
+                provider: last.provider,
+                model: last.model,
+                outline: sections.map(section => ({ title: section.title, subheadings: section.subheadings })),
+                prompt: sections.map(section => section.prompt).join('\n\n---\n\n')
+            }
+        });
+        completed.createdAt = article.createdAt;
+
+        await this.saveGeneratedArticle(completed);
+        return completed;
+    }
+
+    /**
+     * Save a new article, record its first revision and queue a failed image
+     */
+    async saveGeneratedArticle(article) {
+        await dbManager.saveArticle(article);
+        await articleHistory.recordRevision(article, 'generated');
+
+        if (article.pendingImagePrompt) {
+            await operationOutbox.enqueue('image', { prompt: article.pendingImagePrompt }, {
+                projectId: article.projectId,
+                articleId: article.id,
+                idempotencyKey: `image:${article.id}`
+            });
+        }
+    }
+
     /**
      * Prepare content context from search results
      */
     prepareContentContext(searchResults, index = 0) {
-        const allResults = searchResults.flatMap(sr => sr.results || []);
+        // Each result remembers the search record it came from, for the article's sources
+        const allResults = searchResults.flatMap(sr => (sr.results || []).map((result, resultIndex) => ({
+            ...result,
+            searchResultId: sr.id,
+            resultIndex: resultIndex
+        })));
         
         // Rotate through results to get variety
         const startIndex = index * 3;
         const relevantResults = allResults.slice(startIndex, startIndex + 5);
+
+        // Extracted page text where available, shared within the source budget
+        const sourceTexts = this.budgetTexts(
+            relevantResults.map(r => r.extracted?.text || r.snippet || r.description || ''),
+            this.sourceBudget
+        );
         
         const context = {
             summary: relevantResults.map(r => r.snippet || r.description).join(' '),
             titles: relevantResults.map(r => r.title),
             urls: relevantResults.map(r => r.url),
-            sources: relevantResults.map(r => r.displayUrl || r.url)
+            sources: relevantResults.map(r => r.displayUrl || r.url),
+            // Numbered results the prompts cite as [1], [2]...
+            sourceList: relevantResults.map((r, i) => {
+                const details = [r.displayUrl || r.url, r.extracted?.author, r.extracted?.publishedAt?.slice(0, 10)].filter(Boolean);
+                return `[${i + 1}] ${r.title} (${details.join(', ')}):\n${sourceTexts[i]}`;
+            }).join('\n\n'),
+            references: relevantResults.map((r, i) => ({
+                number: i + 1,
+                title: r.title,
+                url: r.url,
+                source: r.displayUrl || r.url,
+                searchResultId: r.searchResultId,
+                resultIndex: r.resultIndex
+            }))
         };
 
         return context;
     }
 
     /**
-     * Create title generation prompt
+     * Cut texts to fit a total length. Shorter texts go first and leave
+     * what they do not use to the longer ones.
      */
-    createTitlePrompt(topic, keywords, context) {
-        const keywordList = Array.isArray(keywords) ? keywords.join(', ') : keywords;
-        
-        return `Scrivi un titolo accattivante e SEO-friendly per un articolo di blog in italiano su: "${topic}".
-        
-Keywords da includere: ${keywordList}
+    budgetTexts(texts, budget) {
+        const budgeted = new Array(texts.length);
+        const order = texts.map((text, index) => index).sort((a, b) => texts[a].length - texts[b].length);
+        let remaining = budget;
 
-Contesto dalle ricerche web:
-${context.summary.substring(0, 500)}
+        order.forEach((index, position) => {
+            const share = Math.floor(remaining / (order.length - position));
+            budgeted[index] = this.truncateText(texts[index], share);
+            remaining -= budgeted[index].length;
+        });
+
+        return budgeted;
+    }
+
+    /**
+     * Text cut at the last sentence (or word) that fits
+     */
+    truncateText(text, maxLength) {
+        if (text.length <= maxLength) return text;
 
-Il titolo deve essere:
-- Massimo 60 caratteri
-- Coinvolgente e cliccabile
-- Ottimizzato per i motori di ricerca
-- In lingua italiana
+        const cut = text.substring(0, maxLength - 1);
+        const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('.\n'));
+        if (sentenceEnd > maxLength / 2) {
+            return cut.substring(0, sentenceEnd + 1);
+        }
 
-Titolo:`;
+        const lastSpace = cut.lastIndexOf(' ');
+        return `${lastSpace > 0 ? cut.substring(0, lastSpace) : cut}…`;
     }
 
     /**
-     * Create content generation prompt
+     * Turn [n] citations into links to a references list appended to the content.
+     * Sources are renumbered in order of first citation; numbers that match no
+     * search result are dropped. An article citing nothing lists every result
+     * it was given, marked as not cited.
      */
-    createContentPrompt(title, topic, keywords, context, length = 'medium') {
-        const keywordList = Array.isArray(keywords) ? keywords.join(', ') : keywords;
-        const wordCount = this.templates.blog.wordCounts[length];
-        
-        return `Scrivi un articolo di blog completo in italiano di circa ${wordCount} parole.
+    applyCitations(content, references, language = null) {
+        const byNumber = new Map(references.map(reference => [reference.number, reference]));
+        const cited = [];
+
+        const linked = content.replace(/\s*\[(\d+(?:\s*,\s*\d+)*)\]/g, (match, list) => list
+            .split(',')
+            .map(number => parseInt(number))
+            .filter(number => byNumber.has(number))
+            .map(number => {
+                if (!cited.includes(number)) cited.push(number);
+                const position = cited.indexOf(number) + 1;
+                return `<sup class="citation"><a href="#ref-${position}">[${position}]</a></sup>`;
+            })
+            .join(''));
 
-Titolo: "${title}"
-Argomento principale: ${topic}
-Keywords da includere: ${keywordList}
+        const used = cited.length > 0 ?
+            cited.map(number => ({ ...byNumber.get(number), cited: true })) :
+            references.map(reference => ({ ...reference, cited: false }));
+        const sources = used.map((reference, i) => ({ ...reference, number: i + 1 }));
 
-Informazioni di contesto dalle ricerche web:
-${context.summary.substring(0, 1000)}
+        if (sources.length === 0) {
+            return { content: linked, sources: [] };
+        }
+
+        const list = sources.map(source =>
+            `<li id="ref-${source.number}"><a href="${htmlUtils.escape(source.url)}" target="_blank" rel="noopener">${htmlUtils.escape(source.title || source.url)}</a> (${htmlUtils.escape(source.source)})</li>`
+        ).join('');
+
+        return {
+            content: `${linked}<h2>${languages.get(language).referencesTitle}</h2><ol class="references">${list}</ol>`,
+            sources: sources
+        };
+    }
+
+    /**
+     * Content without [n] citation markers, for excerpts and SEO fields
+     */
+    stripCitations(content) {
+        return content.replace(/\s*\[\d+(?:\s*,\s*\d+)*\]/g, '');
+    }
+
+    /**
+     * Prompt variables of a project (see promptLibrary.variables)
+     */
+    getPromptVariables(project, context, title = '') {
+        const language = languages.get(project.language);
+        return {
+            language: { code: language.code, name: language.name },
+            date: languages.formatDate(new Date(), language.code),
+            topic: project.topic,
+            keywords: Array.isArray(project.keywords) ? project.keywords.join(', ') : project.keywords,
+            context: context,
+            title: title
+        };
+    }
+
+    /**
+     * Prompt variables for one template section.
+     * previous: sections already written, to keep the article coherent.
+     */
+    getSectionVariables(variables, template, section, words, previous = []) {
+        const text = promptLibrary.getSectionText(variables.language.code);
+        return {
+            ...variables,
+            template: { name: template.name },
+            section: { title: section.title, instructions: section.instructions || text.defaultInstructions },
+            wordCount: words,
+            outline: template.sections
+                .map((item, index) => `${index + 1}. ${item.title}${item === section ? ` ← ${text.current}` : ''}`)
+                .join('\n'),
+            previousText: previous.length > 0 ?
+                previous[previous.length - 1].text.slice(-600) : text.firstSection,
+            headingRule: section.heading ? text.heading : (section.headingFixed ? text.fixedHeading : text.noHeading)
+        };
+    }
 
-L'articolo deve:
-- Avere una struttura chiara con sottotitoli
-- Essere informativo e coinvolgente
-- Includere naturalmente le keywords
-- Essere scritto in italiano corretto
-- Avere un tono professionale ma accessibile
-- Includere esempi pratici quando possibile
+    /**
+     * Split a generated section into its heading and body
+     */
+    parseSection(section, generatedText) {
+        const lines = generatedText.trim().split('\n');
+        let heading = section.heading ? section.title : null;
 
-Struttura richiesta:
-1. Introduzione coinvolgente
-2. Corpo principale con sottosezioni
-3. Conclusione con call-to-action
+        if (/^#{1,2}\s+/.test(lines[0] || '')) {
+            const generatedHeading = lines.shift().replace(/^#{1,2}\s+/, '').trim();
+            if (section.heading && generatedHeading) {
+                heading = generatedHeading;
+            }
+        }
 
-Articolo:`;
+        return { heading, text: lines.join('\n').trim() };
     }
 
     /**
-     * Create image generation prompt
+     * Format a section as an H2 followed by its paragraphs, "### " lines become H3
      */
-    createImagePrompt(title, topic) {
-        return `Professional blog illustration for "${title}", modern digital art style, clean and minimalist, related to ${topic}, high quality, 16:9 aspect ratio`;
+    formatSection({ heading, text }) {
+        const parts = [];
+        let buffer = [];
+        const flush = () => {
+            if (buffer.join('').trim()) {
+                parts.push(this.formatArticleContent(buffer.join('\n')));
+            }
+            buffer = [];
+        };
+
+        for (const line of text.split('\n')) {
+            const match = line.match(/^#{2,4}\s+(.+)/);
+            if (match) {
+                flush();
+                parts.push(`<h3>${match[1].trim()}</h3>`);
+            } else {
+                buffer.push(line);
+            }
+        }
+        flush();
+
+        return (heading ? `<h2>${heading}</h2>` : '') + parts.join('');
     }
 
     /**
@@ -270,7 +813,7 @@ Articolo:`;
         let title = generatedText.split('\n')[0].trim();
         
         // Remove common prefixes
-        title = title.replace(/^(Titolo:|Title:|Titolo dell'articolo:)/i, '').trim();
+        title = title.replace(/^(Titolo:|Title:|Titolo dell'articolo:|Título:|Titel:|Titre:|Tytuł:)/i, '').trim();
         
         // Remove quotes if present
         title = title.replace(/^["']|["']$/g, '');
@@ -324,7 +867,7 @@ Articolo:`;
     /**
      * Generate SEO metadata
      */
-    generateSEOMetadata(title, content, keywords) {
+    generateSEOMetadata(title, content, keywords, language = null) {
         const plainText = content.replace(/<[^>]*>/g, '');
         const keywordList = Array.isArray(keywords) ? keywords : keywords.split(',').map(k => k.trim());
         
@@ -333,7 +876,7 @@ Articolo:`;
             metaDescription: this.generateMetaDescription(plainText, keywordList),
             focusKeyword: keywordList[0] || '',
             keywords: keywordList,
-            slug: this.generateSlug(title)
+            slug: this.generateSlug(title, language)
         };
     }
 
@@ -361,20 +904,8 @@ Articolo:`;
     /**
      * Generate URL slug
      */
-    generateSlug(title) {
-        return title
-            .toLowerCase()
-            .replace(/[àáâãäå]/g, 'a')
-            .replace(/[èéêë]/g, 'e')
-            .replace(/[ìíîï]/g, 'i')
-            .replace(/[òóôõö]/g, 'o')
-            .replace(/[ùúûü]/g, 'u')
-            .replace(/[ñ]/g, 'n')
-            .replace(/[ç]/g, 'c')
-            .replace(/[^a-z0-9\s-]/g, '')
-            .replace(/\s+/g, '-')
-            .replace(/-+/g, '-')
-            .replace(/^-|-$/g, '');
+    generateSlug(title, language = null) {
+        return languages.slugify(title, language);
     }
 
     /**
@@ -393,27 +924,12 @@ Articolo:`;
     }
 
     /**
-     * Suggest categories based on topic and content
+     * Suggest categories based on topic and content, using the language's category map
      */
-    suggestCategories(topic, content) {
+    suggestCategories(topic, content, language = null) {
         const categories = [];
         const plainText = content.replace(/<[^>]*>/g, '').toLowerCase();
-        
-        // Category mapping based on common topics
-        const categoryMap = {
-            'tecnologia': ['Tecnologia', 'Innovazione'],
-            'business': ['Business', 'Economia'],
-            'marketing': ['Marketing', 'Business'],
-            'salute': ['Salute', 'Benessere'],
-            'viaggi': ['Viaggi', 'Lifestyle'],
-            'cucina': ['Cucina', 'Lifestyle'],
-            'sport': ['Sport', 'Salute'],
-            'moda': ['Moda', 'Lifestyle'],
-            'arte': ['Arte', 'Cultura'],
-            'musica': ['Musica', 'Cultura'],
-            'educazione': ['Educazione', 'Cultura'],
-            'ambiente': ['Ambiente', 'Sostenibilità']
-        };
+        const { categories: categoryMap, defaultCategory } = languages.get(language);
         
         // Check topic against category map
         const topicLower = topic.toLowerCase();
@@ -426,7 +942,7 @@ Articolo:`;
         
         // Default category if none found
         if (categories.length === 0) {
-            categories.push('General');
+            categories.push(defaultCategory);
         }
         
         return [...new Set(categories)]; // Remove duplicates
@@ -443,23 +959,18 @@ Articolo:`;
     /**
      * Calculate reading time
      */
-    calculateReadingTime(text) {
+    calculateReadingTime(text, language = null) {
         const wordCount = this.countWords(text);
         const wordsPerMinute = 200; // Average reading speed
         const minutes = Math.ceil(wordCount / wordsPerMinute);
-        return `${minutes} min di lettura`;
+        return languages.get(language).readingTime(minutes);
     }
 
     /**
-     * Get max length for content generation
+     * Get max tokens for a section of the given word budget
      */
-    getMaxLength(length) {
-        const lengthMap = {
-            short: 800,
-            medium: 1200,
-            long: 2000
-        };
-        return lengthMap[length] || 1200;
+    getSectionMaxLength(words) {
+        return Math.max(Math.round(words * 1.7), 150);
     }
 
     /**
@@ -493,6 +1004,9 @@ Articolo:`;
             const project = await dbManager.getProject(article.projectId);
             const searchResults = await dbManager.getSearchResultsByProject(article.projectId);
 
+            // Keep the current version in history before overwriting it
+            await articleHistory.ensureBaseline(article);
+
             // Generate new version
             const newArticle = await this.generateSingleArticle(project, searchResults, {
                 ...options,
@@ -505,6 +1019,7 @@ Articolo:`;
             newArticle.version = (article.version || 1) + 1;
 
             await dbManager.saveArticle(newArticle);
+            await articleHistory.recordRevision(newArticle, 'regenerated');
             return newArticle;
 
         } catch (error) {
@@ -534,6 +1049,184 @@ Articolo:`;
         return results;
     }
 
+    /**
+     * Translate an article into another language as a linked variant.
+     * All variants share the translationGroup of the first article;
+     * an existing variant in the target language is updated in place.
+     */
+    async translateArticle(articleId, targetLanguage) {
+        const source = await dbManager.getArticle(articleId);
+        if (!source) {
+            throw new Error('Articolo non trovato');
+        }
+
+        const from = languages.get(source.language);
+        const to = languages.get(targetLanguage);
+        if (to.code !== targetLanguage) {
+            throw new Error(`Lingua non supportata: ${targetLanguage}`);
+        }
+        if (from.code === to.code) {
+            throw new Error(`L'articolo è già in ${to.label}`);
+        }
+
+        const project = await dbManager.getProject(source.projectId);
+        const provider = project?.textProvider;
+        // Prompts of the project's set, with the built-in ones of the target language
+        const promptSet = await promptLibrary.getProjectPrompts({ ...(project || {}), language: to.code });
+        const translation = { from, to, provider, prompts: promptSet.prompts };
+
+        if (!source.translationGroup || !source.language) {
+            source.translationGroup = source.translationGroup || source.id;
+            source.language = from.code;
+            await dbManager.saveArticle(source);
+        }
+
+        const variants = await dbManager.getArticlesByTranslationGroup(source.translationGroup);
+        let existing = variants.find(variant => variant.id !== source.id && variant.language === to.code);
+
+        // Short fields in one call: title, excerpt, SEO fields, keywords, categories, tags
+        const seo = source.seo || {};
+        const keywords = seo.keywords || [];
+        const categories = source.categories || [];
+        const tags = source.tags || [];
+        const fields = await this.translateLines([
+            source.title, source.excerpt || '', seo.metaTitle || '', seo.metaDescription || '', seo.focusKeyword || '',
+            ...keywords, ...categories, ...tags
+        ], translation);
+
+        const translated = await this.translateHtml(source.content || '', translation);
+        const title = this.extractTitle(fields[0]);
+        const keywordsEnd = 5 + keywords.length;
+        const categoriesEnd = keywordsEnd + categories.length;
+
+        // The old translation must not go live: cancel the local task or turn the WordPress post back into a draft
+        if (existing?.status === 'scheduled') {
+            existing = await wpConnector.unscheduleArticle(existing.id);
+        }
+        if (existing) {
+            await articleHistory.ensureBaseline(existing);
+        }
+
+        const article = {
+            ...(existing || {}),
+            id: existing?.id || dbManager.generateId(),
+            projectId: source.projectId,
+            language: to.code,
+            translationGroup: source.translationGroup,
+            translationOf: source.id,
+            title: title,
+            content: translated.content,
+            sources: source.sources || [],
+            excerpt: fields[1],
+            featuredImage: source.featuredImage ? { ...source.featuredImage, alt: title } : null,
+            seo: {
+                ...seo,
+                metaTitle: fields[2] || title,
+                metaDescription: fields[3],
+                focusKeyword: fields[4],
+                keywords: fields.slice(5, keywordsEnd),
+                slug: this.generateSlug(title, to.code)
+            },
+            // A variant already on WordPress no longer matches it: back to draft until published again
+            status: ['published', 'scheduled'].includes(existing?.status) ? 'draft' : (existing?.status || 'draft'),
+            scheduledFor: null,
+            scheduleMode: null,
+            scheduledTaskId: null,
+            editedAt: existing?.wordpressId ? new Date().toISOString() : existing?.editedAt,
+            wordCount: this.countWords(translated.content),
+            readingTime: this.calculateReadingTime(translated.content, to.code),
+            categories: fields.slice(keywordsEnd, categoriesEnd),
+            tags: fields.slice(categoriesEnd),
+            createdAt: existing?.createdAt || new Date().toISOString(),
+            translatedAt: new Date().toISOString(),
+            generatedWith: {
+                provider: translated.provider,
+                model: translated.model,
+                translatedFrom: { articleId: source.id, language: from.code }
+            }
+        };
+
+        await dbManager.saveArticle(article);
+        await articleHistory.recordRevision(article, 'translated');
+        return article;
+    }
+
+    /**
+     * Translate short texts in one call as numbered lines. Lines missing
+     * from the reply are translated one by one.
+     * translation: { from, to, provider, prompts }
+     */
+    async translateLines(lines, { from, to, provider, prompts }) {
+        const pending = lines
+            .map((line, index) => ({ index, text: line.replace(/\s+/g, ' ').trim() }))
+            .filter(line => line.text);
+        const translated = lines.map(() => '');
+        if (pending.length === 0) return translated;
+
+        const variables = { sourceLanguage: { code: from.code, name: from.name }, language: { code: to.code, name: to.name } };
+        const prompt = promptLibrary.render(prompts.translateLines, {
+            ...variables,
+            text: pending.map((line, position) => `${position + 1}. ${line.text}`).join('\n')
+        });
+
+        const result = await apiManager.generateText(prompt, {
+            provider: provider,
+            maxLength: Math.min(Math.max(Math.round(prompt.length / 2), 200), 2000),
+            temperature: 0.2
+        });
+
+        for (const match of result.text.matchAll(/^\s*(\d+)[.)]\s*(.+)$/gm)) {
+            const line = pending[parseInt(match[1]) - 1];
+            if (line && !translated[line.index]) {
+                translated[line.index] = match[2].trim();
+            }
+        }
+
+        for (const line of pending.filter(item => !translated[item.index])) {
+            const single = await apiManager.generateText(
+                promptLibrary.render(prompts.translateLines, { ...variables, text: `1. ${line.text}` }),
+                { provider: provider, maxLength: 200, temperature: 0.2 }
+            );
+            translated[line.index] = single.text.trim().split('\n')[0].replace(/^\s*1[.)]\s*/, '');
+        }
+
+        return translated;
+    }
+
+    /**
+     * Translate article HTML in chunks split at the H2 headings
+     */
+    async translateHtml(html, { from, to, provider, prompts }) {
+        const maxChunk = 3000;
+        const chunks = [];
+        for (const part of html.split(/(?=<h2[\s>])/i)) {
+            const last = chunks.length - 1;
+            if (last >= 0 && chunks[last].length + part.length <= maxChunk) {
+                chunks[last] += part;
+            } else {
+                chunks.push(part);
+            }
+        }
+
+        let content = '';
+        let result = null;
+        for (const chunk of chunks.filter(part => part.trim())) {
+            result = await apiManager.generateText(promptLibrary.render(prompts.translate, {
+                sourceLanguage: { code: from.code, name: from.name },
+                language: { code: to.code, name: to.name },
+                text: chunk
+            }), {
+                provider: provider,
+                maxLength: Math.min(Math.max(Math.round(chunk.length / 2), 200), 4000),
+                temperature: 0.2
+            });
+
+            content += result.text.trim().replace(/^```(?:html)?\s*|\s*```$/g, '');
+        }
+
+        return { content, provider: result?.provider, model: result?.model };
+    }
+
     /**
      * Get content generation statistics
      */
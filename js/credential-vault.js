@@ -0,0 +1,333 @@
+/**
+ * Credential Vault for Content Autopilot PWA
+ * Encrypts API keys and WordPress passwords at rest with a passphrase
+ * (PBKDF2 key derivation + AES-GCM via WebCrypto)
+ */
+
+class CredentialVault {
+    constructor() {
+        this.key = null;
+        this.meta = null; // { salt, iterations, verifier }
+        this.iterations = 310000;
+        this.verifierText = 'content-autopilot-vault';
+        this.secretFields = {
+            apiConfigs: ['apiKey'],
+            wpConfigs: ['password']
+        };
+        this.backgroundKeySetting = 'vaultBackgroundKey'; // Read by the service worker
+        this.autoLockMinutes = 15;
+        this.lastActivity = Date.now();
+        this.activityTimer = null;
+    }
+
+    /**
+     * Load vault metadata and start inactivity tracking
+     */
+    async init() {
+        this.meta = await dbManager.getSetting('vault', null);
+        this.autoLockMinutes = await dbManager.getSetting('vaultAutoLockMinutes', this.autoLockMinutes);
+        this.initActivityTracking();
+    }
+
+    isInitialized() {
+        return !!this.meta;
+    }
+
+    isUnlocked() {
+        return !!this.key;
+    }
+
+    /**
+     * Create the vault with a new passphrase and encrypt existing secrets
+     */
+    async setup(passphrase) {
+        if (this.isInitialized()) {
+            throw new Error('Il vault è già configurato');
+        }
+        this.validatePassphrase(passphrase);
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        this.key = await this.deriveKey(passphrase, salt, this.iterations);
+
+        this.meta = {
+            salt: this.toBase64(salt),
+            iterations: this.iterations,
+            verifier: await this.encrypt(this.verifierText)
+        };
+        await dbManager.saveSetting('vault', this.meta);
+
+        await this.encryptStoredSecrets();
+        this.touch();
+        this.dispatch('vault-unlocked');
+    }
+
+    /**
+     * Unlock the vault with the passphrase
+     */
+    async unlock(passphrase) {
+        if (!this.isInitialized()) {
+            throw new Error('Il vault non è configurato');
+        }
+
+        const key = await this.deriveKey(passphrase, this.fromBase64(this.meta.salt), this.meta.iterations);
+
+        try {
+            const check = await this.decryptWithKey(key, this.meta.verifier);
+            if (check !== this.verifierText) {
+                throw new Error('Verifier mismatch');
+            }
+        } catch (error) {
+            throw new Error('Passphrase errata');
+        }
+
+        this.key = key;
+
+        // Secrets saved before the vault existed are still in plaintext
+        await this.encryptStoredSecrets();
+        this.touch();
+        this.dispatch('vault-unlocked');
+    }
+
+    /**
+     * Lock the vault and forget the key
+     */
+    lock() {
+        if (!this.key) return;
+
+        this.key = null;
+        this.dispatch('vault-locked');
+        console.log('Vault locked');
+    }
+
+    /**
+     * Reload vault metadata, e.g. after an import replaced the settings
+     */
+    async reload() {
+        this.key = null;
+        this.meta = await dbManager.getSetting('vault', null);
+        this.dispatch('vault-locked');
+    }
+
+    /**
+     * Set the inactivity timeout (0 disables auto-lock)
+     */
+    async setAutoLockMinutes(minutes) {
+        this.autoLockMinutes = minutes;
+        await dbManager.saveSetting('vaultAutoLockMinutes', minutes);
+    }
+
+    /**
+     * Let the service worker decrypt credentials to publish while no tab is open.
+     * The key stays non-extractable but is kept in IndexedDB until access is revoked.
+     */
+    async enableBackgroundAccess() {
+        if (!this.isUnlocked()) {
+            throw new Error('Sblocca il vault per abilitare la pubblicazione in background');
+        }
+        await dbManager.saveSetting(this.backgroundKeySetting, this.key);
+    }
+
+    async disableBackgroundAccess() {
+        await dbManager.delete('appSettings', this.backgroundKeySetting);
+    }
+
+    async hasBackgroundAccess() {
+        return !!(await dbManager.getSetting(this.backgroundKeySetting, null));
+    }
+
+    /**
+     * Encrypt the secret fields of a record (returns a copy)
+     */
+    async protectRecord(storeName, record) {
+        const fields = this.secretFields[storeName] || [];
+        const protectedRecord = { ...record };
+        delete protectedRecord.secretsLocked;
+
+        // A record read while locked has its secrets blanked: saving it would erase them
+        const needsKey = record.secretsLocked ||
+            fields.some(field => record[field] && !this.isEncrypted(record[field]));
+
+        if (needsKey && !this.isUnlocked()) {
+            throw new Error(this.isInitialized() ?
+                'Vault bloccato: sbloccalo per salvare le credenziali' :
+                'Crea una passphrase per il vault prima di salvare le credenziali');
+        }
+
+        for (const field of fields) {
+            const value = protectedRecord[field];
+            if (!value || this.isEncrypted(value)) continue;
+            protectedRecord[field] = await this.encrypt(value);
+        }
+
+        return protectedRecord;
+    }
+
+    /**
+     * Decrypt the secret fields of a record (returns a copy).
+     * While locked, secrets are removed and the record is flagged.
+     */
+    async revealRecord(storeName, record) {
+        if (!record) return record;
+
+        const fields = this.secretFields[storeName] || [];
+        const revealed = { ...record };
+
+        for (const field of fields) {
+            const value = revealed[field];
+            if (!this.isEncrypted(value)) continue;
+
+            if (this.isUnlocked()) {
+                revealed[field] = await this.decrypt(value);
+            } else {
+                revealed[field] = null;
+                revealed.secretsLocked = true;
+            }
+        }
+
+        return revealed;
+    }
+
+    /**
+     * Remove secrets from a stored record (for exports)
+     */
+    stripSecrets(storeName, record) {
+        const stripped = { ...record };
+        for (const field of this.secretFields[storeName] || []) {
+            delete stripped[field];
+        }
+        return stripped;
+    }
+
+    /**
+     * Check if a stored record still has plaintext secrets
+     */
+    hasPlaintextSecrets(storeName, record) {
+        return (this.secretFields[storeName] || [])
+            .some(field => record[field] && !this.isEncrypted(record[field]));
+    }
+
+    /**
+     * Re-save plaintext secrets in encrypted form
+     */
+    async encryptStoredSecrets() {
+        for (const storeName of Object.keys(this.secretFields)) {
+            const records = await dbManager.getAll(storeName);
+            for (const record of records) {
+                if (this.hasPlaintextSecrets(storeName, record)) {
+                    await dbManager.save(storeName, await this.protectRecord(storeName, record));
+                }
+            }
+        }
+    }
+
+    /**
+     * Crypto primitives
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async encrypt(plaintext) {
+        if (!this.key) {
+            throw new Error('Vault bloccato');
+        }
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv },
+            this.key,
+            new TextEncoder().encode(plaintext)
+        );
+
+        return {
+            vault: 1,
+            iv: this.toBase64(iv),
+            data: this.toBase64(new Uint8Array(data))
+        };
+    }
+
+    async decrypt(value) {
+        if (!this.key) {
+            throw new Error('Vault bloccato');
+        }
+        return this.decryptWithKey(this.key, value);
+    }
+
+    async decryptWithKey(key, value) {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(value.iv) },
+            key,
+            this.fromBase64(value.data)
+        );
+        return new TextDecoder().decode(data);
+    }
+
+    isEncrypted(value) {
+        return !!value && typeof value === 'object' && value.vault === 1 && !!value.iv && !!value.data;
+    }
+
+    /**
+     * Lock automatically after a period of inactivity
+     */
+    initActivityTracking() {
+        if (this.activityTimer) return;
+
+        ['click', 'keydown', 'mousemove', 'touchstart', 'scroll'].forEach(eventName => {
+            document.addEventListener(eventName, () => this.touch(), { passive: true });
+        });
+
+        this.activityTimer = setInterval(() => {
+            if (!this.isUnlocked() || !this.autoLockMinutes) return;
+
+            if (Date.now() - this.lastActivity > this.autoLockMinutes * 60000) {
+                this.lock();
+            }
+        }, 30000);
+    }
+
+    touch() {
+        this.lastActivity = Date.now();
+    }
+
+    /**
+     * Utility methods
+     */
+    validatePassphrase(passphrase) {
+        if (!passphrase || passphrase.length < 8) {
+            throw new Error('La passphrase deve contenere almeno 8 caratteri');
+        }
+    }
+
+    dispatch(eventName) {
+        window.dispatchEvent(new CustomEvent(eventName));
+    }
+
+    toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    fromBase64(value) {
+        return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+    }
+}
+
+// Create global instance
+window.credentialVault = new CredentialVault();
\ No newline at end of file
@@ -0,0 +1,310 @@
+/**
+ * Cron expressions for Content Autopilot PWA
+ * Five-field cron (minute hour day-of-month month day-of-week) evaluated
+ * in a named IANA timezone, including DST transitions
+ */
+
+/**
+ * Supported syntax:
+ * - *, lists (1,15), ranges (1-5), steps (*\/15, 8-18/2)
+ * - month and weekday names (JAN, MON), 0 or 7 for Sunday
+ * - L in day-of-month: last day of the month
+ * - MON#1 in day-of-week: first Monday of the month, FRI#L or 5L: last Friday
+ * - macros: @hourly, @daily, @weekly, @monthly, @yearly
+ * When both day-of-month and day-of-week are restricted a day matches either (standard cron).
+ * Wall times skipped by DST run right after the jump, repeated ones run once.
+ */
+class CronExpression {
+    constructor(expression, timezone = null) {
+        this.expression = (expression || '').trim();
+        this.timezone = timezone || CronExpression.getLocalTimezone();
+
+        CronExpression.validateTimezone(this.timezone);
+        this.parse();
+    }
+
+    static macros = {
+        '@hourly': '0 * * * *',
+        '@daily': '0 0 * * *',
+        '@midnight': '0 0 * * *',
+        '@weekly': '0 0 * * 0',
+        '@monthly': '0 0 1 * *',
+        '@yearly': '0 0 1 1 *',
+        '@annually': '0 0 1 1 *'
+    };
+
+    static monthNames = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+    static dayNames = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+    // Upper bound for the search steps (month, day, hour or minute jumps)
+    static maxIterations = 5 * 366 * 24;
+
+    static formatters = new Map();
+
+    /**
+     * Timezone of the browser
+     */
+    static getLocalTimezone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+
+    /**
+     * Throw if the timezone is not a known IANA name
+     */
+    static validateTimezone(timezone) {
+        try {
+            CronExpression.getFormatter(timezone);
+        } catch (error) {
+            throw new Error(`Invalid timezone: ${timezone}`);
+        }
+    }
+
+    /**
+     * Check an expression without throwing
+     */
+    static isValid(expression, timezone = null) {
+        try {
+            new CronExpression(expression, timezone);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Parse the five fields
+     */
+    parse() {
+        const source = CronExpression.macros[this.expression.toLowerCase()] || this.expression;
+        const fields = source.split(/\s+/).filter(Boolean);
+
+        if (fields.length !== 5) {
+            throw new Error(`Invalid cron expression "${this.expression}": expected 5 fields`);
+        }
+
+        const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+
+        this.minutes = this.parseField(minute, 0, 59);
+        this.hours = this.parseField(hour, 0, 23);
+        this.months = this.parseField(month, 1, 12, CronExpression.monthNames, 1);
+
+        this.domRestricted = dayOfMonth !== '*' && dayOfMonth !== '?';
+        this.lastDayOfMonth = false;
+        this.daysOfMonth = this.parseField(
+            dayOfMonth.split(',').filter(part => {
+                if (part.toUpperCase() !== 'L') return true;
+                this.lastDayOfMonth = true;
+                return false;
+            }).join(',') || (this.lastDayOfMonth ? '' : '*'),
+            1, 31
+        );
+
+        this.dowRestricted = dayOfWeek !== '*' && dayOfWeek !== '?';
+        this.nthWeekdays = []; // { day, nth } with nth 1-5 or 'L'
+        const plainDays = dayOfWeek.split(',').filter(part => {
+            const match = part.toUpperCase().match(/^(\w+?)(?:#([1-5L])|(L))$/);
+            if (!match) return true;
+
+            this.nthWeekdays.push({
+                day: this.parseValue(match[1], 0, 7, CronExpression.dayNames, 0) % 7,
+                nth: match[3] ? 'L' : (match[2] === 'L' ? 'L' : Number(match[2]))
+            });
+            return false;
+        });
+        this.daysOfWeek = new Set(
+            [...this.parseField(plainDays.join(',') || (this.nthWeekdays.length ? '' : '*'), 0, 7, CronExpression.dayNames, 0)]
+                .map(day => day % 7)
+        );
+    }
+
+    /**
+     * Parse a field into the set of allowed values
+     */
+    parseField(field, min, max, names = null, nameOffset = 0) {
+        const values = new Set();
+        if (field === '') return values;
+
+        for (const part of field.split(',')) {
+            const [range, stepText] = part.split('/');
+            const step = stepText === undefined ? 1 : Number(stepText);
+            if (!Number.isInteger(step) || step < 1) {
+                throw new Error(`Invalid step "${part}" in cron expression "${this.expression}"`);
+            }
+
+            let start = min;
+            let end = max;
+            if (range !== '*' && range !== '?') {
+                const bounds = range.split('-');
+                start = this.parseValue(bounds[0], min, max, names, nameOffset);
+                end = bounds.length > 1 ?
+                    this.parseValue(bounds[1], min, max, names, nameOffset) :
+                    (stepText === undefined ? start : max);
+            }
+
+            if (start > end) {
+                throw new Error(`Invalid range "${part}" in cron expression "${this.expression}"`);
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Parse a single number or name
+     */
+    parseValue(text, min, max, names, nameOffset) {
+        const index = names ? names.indexOf(text.toUpperCase()) : -1;
+        const value = index !== -1 ? index + nameOffset : Number(text);
+
+        if (!Number.isInteger(value) || value < min || value > max || text === '') {
+            throw new Error(`Invalid value "${text}" in cron expression "${this.expression}"`);
+        }
+        return value;
+    }
+
+    /**
+     * First run strictly after a date
+     */
+    next(after = new Date()) {
+        const afterMs = new Date(after).getTime();
+
+        // Wall clock of the timezone, held in the UTC fields of a Date
+        const wall = new Date(this.toWallTime(afterMs));
+        wall.setUTCSeconds(0, 0);
+        wall.setUTCMinutes(wall.getUTCMinutes() + 1);
+
+        for (let i = 0; i < CronExpression.maxIterations; i++) {
+            if (!this.months.has(wall.getUTCMonth() + 1)) {
+                wall.setUTCMonth(wall.getUTCMonth() + 1, 1);
+                wall.setUTCHours(0, 0, 0, 0);
+                continue;
+            }
+            if (!this.matchesDay(wall)) {
+                wall.setUTCDate(wall.getUTCDate() + 1);
+                wall.setUTCHours(0, 0, 0, 0);
+                continue;
+            }
+            if (!this.hours.has(wall.getUTCHours())) {
+                wall.setUTCHours(wall.getUTCHours() + 1, 0, 0, 0);
+                continue;
+            }
+            if (!this.minutes.has(wall.getUTCMinutes())) {
+                wall.setUTCMinutes(wall.getUTCMinutes() + 1, 0, 0);
+                continue;
+            }
+
+            const instant = this.fromWallTime(wall.getTime());
+            if (instant > afterMs) {
+                return new Date(instant);
+            }
+
+            // Already passed in real time (second pass of a repeated hour)
+            wall.setUTCMinutes(wall.getUTCMinutes() + 1, 0, 0);
+        }
+
+        throw new Error(`Cron expression "${this.expression}" has no upcoming runs`);
+    }
+
+    /**
+     * Next runs after a date (for previews)
+     */
+    preview(count = 5, from = new Date()) {
+        const runs = [];
+        let cursor = new Date(from);
+
+        for (let i = 0; i < count; i++) {
+            cursor = this.next(cursor);
+            runs.push(cursor);
+        }
+
+        return runs;
+    }
+
+    /**
+     * Check day-of-month and day-of-week of a wall date
+     */
+    matchesDay(wall) {
+        const date = wall.getUTCDate();
+        const weekday = wall.getUTCDay();
+        const daysInMonth = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth() + 1, 0)).getUTCDate();
+
+        const domMatch = this.daysOfMonth.has(date) || (this.lastDayOfMonth && date === daysInMonth);
+        const dowMatch = this.daysOfWeek.has(weekday) || this.nthWeekdays.some(spec =>
+            spec.day === weekday && (spec.nth === 'L' ?
+                date + 7 > daysInMonth :
+                Math.ceil(date / 7) === spec.nth)
+        );
+
+        if (this.domRestricted && this.dowRestricted) {
+            return domMatch || dowMatch;
+        }
+        if (this.domRestricted) return domMatch;
+        if (this.dowRestricted) return dowMatch;
+        return true;
+    }
+
+    /**
+     * Timezone conversion via Intl
+     */
+    static getFormatter(timezone) {
+        if (!CronExpression.formatters.has(timezone)) {
+            CronExpression.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            }));
+        }
+        return CronExpression.formatters.get(timezone);
+    }
+
+    /**
+     * Wall clock date of an instant in a timezone, as a Date read with the getUTC* methods
+     */
+    static getWallDate(timezone, instant = Date.now()) {
+        const parts = {};
+        CronExpression.getFormatter(timezone).formatToParts(new Date(instant)).forEach(part => {
+            parts[part.type] = Number(part.value);
+        });
+
+        return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second));
+    }
+
+    /**
+     * Wall clock time (as UTC milliseconds) of an instant
+     */
+    toWallTime(instant) {
+        return CronExpression.getWallDate(this.timezone, instant).getTime();
+    }
+
+    /**
+     * UTC offset in milliseconds at an instant
+     */
+    getOffset(instant) {
+        return this.toWallTime(instant) - Math.floor(instant / 1000) * 1000;
+    }
+
+    /**
+     * Instant of a wall clock time. Skipped times use the offset before the
+     * transition (so they land after the jump), repeated times the earlier instant.
+     */
+    fromWallTime(wallMs) {
+        const offsetBefore = this.getOffset(wallMs - 12 * 3600000);
+        const offsetAfter = this.getOffset(wallMs + 12 * 3600000);
+
+        const candidates = [wallMs - offsetBefore, wallMs - offsetAfter]
+            .filter(instant => this.toWallTime(instant) === wallMs);
+
+        return candidates.length > 0 ? Math.min(...candidates) : wallMs - offsetBefore;
+    }
+}
+
+window.CronExpression = CronExpression;
\ No newline at end of file
@@ -6,11 +6,137 @@
 class DBManager {
     constructor() {
         this.dbName = 'ContentAutopilotDB';
-        this.dbVersion = 1;
+        this.migrations = new Map();
+        this.registerDefaultMigrations();
+        this.dbVersion = this.getLatestVersion();
         this.db = null;
         this.isReady = false;
     }
 
+    /**
+     * Register the schema migrations shipped with the app.
+     * Each version describes how to move the database from the previous one.
+     */
+    registerDefaultMigrations() {
+        this.registerMigration(1, {
+            description: 'Initial schema',
+            upgrade: (db) => this.createObjectStores(db)
+        });
+
+        this.registerMigration(2, {
+            description: 'Add article revisions store',
+            upgrade: (db) => {
+                this.addStore(db, 'articleRevisions', undefined, [
+                    ['articleId', 'articleId'],
+                    ['createdAt', 'createdAt']
+                ]);
+            }
+        });
+
+        this.registerMigration(3, {
+            description: 'Add publication queue store',
+            upgrade: (db) => {
+                this.addStore(db, 'publicationQueue', undefined, [
+                    ['articleId', 'articleId', { unique: true }],
+                    ['position', 'position']
+                ]);
+            }
+        });
+
+        this.registerMigration(4, {
+            description: 'Add project pipeline runs store',
+            upgrade: (db) => {
+                this.addStore(db, 'pipelineRuns', undefined, [
+                    ['projectId', 'projectId'],
+                    ['status', 'status']
+                ]);
+            }
+        });
+
+        this.registerMigration(5, {
+            description: 'Add task run history store',
+            upgrade: (db) => {
+                this.addStore(db, 'taskRuns', undefined, [
+                    ['taskId', 'taskId'],
+                    ['type', 'type'],
+                    ['startedAt', 'startedAt']
+                ]);
+            }
+        });
+
+        this.registerMigration(6, {
+            description: 'Turn pending operations into an outbox with status and idempotency keys',
+            upgrade: (db, transaction) => {
+                this.addIndex(transaction, 'pendingOperations', 'status', 'status');
+                this.addIndex(transaction, 'pendingOperations', 'idempotencyKey', 'idempotencyKey', { unique: true });
+            },
+            transforms: {
+                // Old replays had nowhere to deliver their results
+                pendingOperations: () => null
+            }
+        });
+
+        this.registerMigration(7, {
+            description: 'Add custom article templates store',
+            upgrade: (db) => {
+                this.addStore(db, 'contentTemplates', undefined, [
+                    ['name', 'name']
+                ]);
+            }
+        });
+
+        this.registerMigration(8, {
+            description: 'Add prompt library store',
+            upgrade: (db) => {
+                this.addStore(db, 'promptSets', undefined, [
+                    ['name', 'name']
+                ]);
+            }
+        });
+
+        this.registerMigration(9, {
+            description: 'Index articles by translation group',
+            upgrade: (db, transaction) => {
+                this.addIndex(transaction, 'articles', 'translationGroup', 'translationGroup');
+            }
+        });
+    }
+
+    /**
+     * Register a migration for a schema version
+     *
+     * A migration can define:
+     * - upgrade(db, transaction): schema changes (stores, indexes) using the helpers below
+     * - transforms: { storeName: (record) => record | null } applied to every record
+     *   of the store, both in IndexedDB and in older exports being imported.
+     *   Returning null drops the record.
+     */
+    registerMigration(version, migration) {
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Invalid migration version: ${version}`);
+        }
+        if (this.migrations.has(version)) {
+            throw new Error(`Migration for version ${version} already registered`);
+        }
+        this.migrations.set(version, migration);
+    }
+
+    /**
+     * Get the latest schema version from the registered migrations
+     */
+    getLatestVersion() {
+        return Math.max(...this.migrations.keys());
+    }
+
+    /**
+     * Get migrations newer than a version, in ascending order
+     */
+    getMigrationsAfter(version) {
+        return Array.from(this.migrations.entries())
+            .filter(([v]) => v > version && v <= this.dbVersion)
+            .sort(([a], [b]) => a - b);
+    }
+
     /**
      * Initialize the database
      */
@@ -34,11 +160,137 @@ class DBManager {
 
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
-                this.createObjectStores(db);
+                const transaction = event.target.transaction;
+                this.runMigrations(db, transaction, event.oldVersion);
             };
         });
     }
 
+    /**
+     * Run pending migrations inside the upgrade transaction.
+     * Migrations run one after the other so a record transform always sees
+     * the data produced by the previous version.
+     */
+    runMigrations(db, transaction, oldVersion) {
+        const pending = this.getMigrationsAfter(oldVersion);
+        console.log(`Migrating database from version ${oldVersion} to ${this.dbVersion}...`);
+
+        const runNext = (index) => {
+            if (index >= pending.length) {
+                console.log('Database migrations completed');
+                return;
+            }
+
+            const [version, migration] = pending[index];
+
+            try {
+                console.log(`Running migration ${version}: ${migration.description || ''}`);
+
+                if (migration.upgrade) {
+                    migration.upgrade(db, transaction);
+                }
+
+                const transforms = Object.entries(migration.transforms || {});
+                const runTransform = (transformIndex) => {
+                    if (transformIndex >= transforms.length) {
+                        runNext(index + 1);
+                        return;
+                    }
+
+                    const [storeName, transform] = transforms[transformIndex];
+                    this.transformStore(transaction, storeName, transform, () => runTransform(transformIndex + 1));
+                };
+
+                runTransform(0);
+            } catch (error) {
+                console.error(`Migration ${version} failed:`, error);
+                transaction.abort();
+            }
+        };
+
+        runNext(0);
+    }
+
+    /**
+     * Migration helpers
+     */
+    addStore(db, storeName, options = { keyPath: 'id', autoIncrement: false }, indexes = []) {
+        if (db.objectStoreNames.contains(storeName)) {
+            return null;
+        }
+
+        const store = db.createObjectStore(storeName, options);
+        for (const [name, keyPath, indexOptions] of indexes) {
+            store.createIndex(name, keyPath, indexOptions || { unique: false });
+        }
+        return store;
+    }
+
+    deleteStore(db, storeName) {
+        if (db.objectStoreNames.contains(storeName)) {
+            db.deleteObjectStore(storeName);
+        }
+    }
+
+    addIndex(transaction, storeName, indexName, keyPath, options = { unique: false }) {
+        const store = transaction.objectStore(storeName);
+        if (!store.indexNames.contains(indexName)) {
+            store.createIndex(indexName, keyPath, options);
+        }
+    }
+
+    dropIndex(transaction, storeName, indexName) {
+        const store = transaction.objectStore(storeName);
+        if (store.indexNames.contains(indexName)) {
+            store.deleteIndex(indexName);
+        }
+    }
+
+    /**
+     * Rewrite every record of a store through a transform function
+     */
+    transformStore(transaction, storeName, transform, onComplete) {
+        const store = transaction.objectStore(storeName);
+
+        // Any failure aborts the upgrade, so the database stays at the old
+        // version with untouched data and the migration runs again next time
+        const abort = (message, error) => {
+            console.error(message, error);
+            try {
+                transaction.abort();
+            } catch (abortError) {
+                // Already aborting
+            }
+        };
+        const request = store.openCursor();
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                onComplete();
+                return;
+            }
+
+            try {
+                const updated = transform(cursor.value);
+                let write = null;
+                if (updated === null) {
+                    write = cursor.delete();
+                } else if (updated !== undefined) {
+                    write = cursor.update(updated);
+                }
+                if (write) {
+                    write.onerror = () => abort(`Failed to write record in ${storeName}:`, write.error);
+                }
+                cursor.continue();
+            } catch (error) {
+                abort(`Failed to transform record in ${storeName}:`, error);
+            }
+        };
+
+        request.onerror = () => abort(`Failed to read ${storeName} during migration:`, request.error);
+    }
+
     /**
      * Create object stores (tables)
      */
@@ -271,8 +523,14 @@ class DBManager {
         const searchResults = await this.getAll('searchResults', 'projectId', id);
         
         for (const article of articles) {
+            await this.deleteArticleRevisions(article.id);
+            await this.removeFromPublicationQueue(article.id);
             await this.delete('articles', article.id);
         }
+
+        for (const run of await this.getPipelineRunsByProject(id)) {
+            await this.delete('pipelineRuns', run.id);
+        }
         
         for (const result of searchResults) {
             await this.delete('searchResults', result.id);
@@ -296,10 +554,73 @@ class DBManager {
         return this.getAll('articles', 'projectId', projectId);
     }
 
+    async getArticlesByTranslationGroup(translationGroup) {
+        return this.getAll('articles', 'translationGroup', translationGroup);
+    }
+
     async getAllArticles() {
         return this.getAll('articles');
     }
 
+    /**
+     * Article revision methods
+     */
+    async saveArticleRevision(revision) {
+        return this.save('articleRevisions', revision);
+    }
+
+    async getArticleRevisions(articleId) {
+        const revisions = await this.getAll('articleRevisions', 'articleId', articleId);
+        return revisions.sort((a, b) => b.revision - a.revision);
+    }
+
+    async deleteArticleRevisions(articleId) {
+        const revisions = await this.getAll('articleRevisions', 'articleId', articleId);
+        for (const revision of revisions) {
+            await this.delete('articleRevisions', revision.id);
+        }
+    }
+
+    /**
+     * Publication queue methods
+     */
+    async savePublicationQueueEntry(entry) {
+        return this.save('publicationQueue', entry);
+    }
+
+    async getPublicationQueue() {
+        const entries = await this.getAll('publicationQueue');
+        return entries.sort((a, b) => a.position - b.position);
+    }
+
+    async getPublicationQueueEntry(articleId) {
+        const entries = await this.getAll('publicationQueue', 'articleId', articleId);
+        return entries.length > 0 ? entries[0] : null;
+    }
+
+    async removeFromPublicationQueue(articleId) {
+        const entry = await this.getPublicationQueueEntry(articleId);
+        if (entry) {
+            await this.delete('publicationQueue', entry.id);
+        }
+    }
+
+    /**
+     * Pipeline runs methods
+     */
+    async savePipelineRun(run) {
+        return this.save('pipelineRuns', run);
+    }
+
+    async getPipelineRun(id) {
+        return this.get('pipelineRuns', id);
+    }
+
+    async getPipelineRunsByProject(projectId) {
+        const runs = await this.getAll('pipelineRuns', 'projectId', projectId);
+        return runs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
     /**
      * Search results methods
      */
@@ -312,7 +633,7 @@ class DBManager {
     }
 
     /**
-     * WordPress configuration methods
+     * WordPress configuration methods (one record per site, isActive marks the default site)
      */
     async saveWPConfig(config) {
         // Set all others as inactive if this one is active
@@ -325,32 +646,58 @@ class DBManager {
                 }
             }
         }
-        return this.save('wpConfigs', config);
+        return this.saveProtected('wpConfigs', config);
+    }
+
+    async setActiveWPConfig(id) {
+        // Stored records keep their encrypted secrets untouched
+        const allConfigs = await this.getAll('wpConfigs');
+        for (const cfg of allConfigs) {
+            if (cfg.isActive !== (cfg.id === id)) {
+                cfg.isActive = cfg.id === id;
+                await this.save('wpConfigs', cfg);
+            }
+        }
     }
 
     async getActiveWPConfig() {
         const configs = await this.getAll('wpConfigs', 'isActive', true);
-        return configs.length > 0 ? configs[0] : null;
+        return configs.length > 0 ? credentialVault.revealRecord('wpConfigs', configs[0]) : null;
     }
 
     async getAllWPConfigs() {
-        return this.getAll('wpConfigs');
+        const configs = await this.getAll('wpConfigs');
+        return Promise.all(configs.map(config => credentialVault.revealRecord('wpConfigs', config)));
     }
 
     /**
      * API configuration methods
      */
     async saveAPIConfig(config) {
-        return this.save('apiConfigs', config);
+        return this.saveProtected('apiConfigs', config);
     }
 
     async getAPIConfig(provider) {
         const configs = await this.getAll('apiConfigs', 'provider', provider);
-        return configs.length > 0 ? configs[0] : null;
+        return configs.length > 0 ? credentialVault.revealRecord('apiConfigs', configs[0]) : null;
     }
 
     async getAllAPIConfigs() {
-        return this.getAll('apiConfigs');
+        const configs = await this.getAll('apiConfigs');
+        return Promise.all(configs.map(config => credentialVault.revealRecord('apiConfigs', config)));
+    }
+
+    /**
+     * Save a record with its secrets encrypted by the credential vault.
+     * The caller keeps the plaintext record.
+     */
+    async saveProtected(storeName, record) {
+        const saved = await this.save(storeName, await credentialVault.protectRecord(storeName, record));
+
+        record.id = saved.id;
+        record.createdAt = saved.createdAt;
+        record.updatedAt = saved.updatedAt;
+        return record;
     }
 
     /**
@@ -373,7 +720,9 @@ class DBManager {
     }
 
     async getActiveScheduledTasks() {
-        return this.getAll('scheduledTasks', 'isActive', true);
+        // Booleans are not valid IndexedDB keys, so the isActive index cannot be queried
+        const tasks = await this.getAll('scheduledTasks');
+        return tasks.filter(task => task.isActive);
     }
 
     async getScheduledTasksDue() {
@@ -382,6 +731,57 @@ class DBManager {
         return allTasks.filter(task => task.nextRun <= now);
     }
 
+    /**
+     * Task run history methods
+     */
+    async saveTaskRun(taskRun) {
+        return this.save('taskRuns', taskRun);
+    }
+
+    /**
+     * Task runs, newest first. filters: { type, outcome, since, taskId, limit }
+     */
+    async getTaskRuns(filters = {}) {
+        let runs = filters.taskId ?
+            await this.getAll('taskRuns', 'taskId', filters.taskId) :
+            await this.getAll('taskRuns');
+
+        runs = runs.filter(run =>
+            (!filters.type || run.type === filters.type) &&
+            (!filters.outcome || run.outcome === filters.outcome) &&
+            (!filters.since || run.startedAt >= filters.since)
+        );
+        runs.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+
+        return filters.limit ? runs.slice(0, filters.limit) : runs;
+    }
+
+    /**
+     * Delete task runs started before a date, returns the count
+     */
+    async deleteTaskRunsBefore(date) {
+        await this.ensureReady();
+
+        const transaction = this.db.transaction(['taskRuns'], 'readwrite');
+        const index = transaction.objectStore('taskRuns').index('startedAt');
+        let deleted = 0;
+
+        return new Promise((resolve, reject) => {
+            const request = index.openCursor(IDBKeyRange.upperBound(date.toISOString(), true));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    deleted++;
+                    cursor.continue();
+                } else {
+                    resolve(deleted);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     /**
      * Pending operations for offline functionality
      */
@@ -397,19 +797,63 @@ class DBManager {
         return this.delete('pendingOperations', id);
     }
 
+    async getPendingOperationByKey(idempotencyKey) {
+        const operations = await this.getAll('pendingOperations', 'idempotencyKey', idempotencyKey);
+        return operations[0] || null;
+    }
+
+    /**
+     * Custom article templates
+     */
+    async saveContentTemplate(template) {
+        return this.save('contentTemplates', template);
+    }
+
+    async getContentTemplate(id) {
+        return this.get('contentTemplates', id);
+    }
+
+    async getAllContentTemplates() {
+        return this.getAll('contentTemplates');
+    }
+
+    async deleteContentTemplate(id) {
+        return this.delete('contentTemplates', id);
+    }
+
+    /**
+     * Prompt library sets
+     */
+    async savePromptSet(promptSet) {
+        return this.save('promptSets', promptSet);
+    }
+
+    async getPromptSet(id) {
+        return this.get('promptSets', id);
+    }
+
+    async getAllPromptSets() {
+        return this.getAll('promptSets');
+    }
+
+    async deletePromptSet(id) {
+        return this.delete('promptSets', id);
+    }
+
     /**
      * Export all data
      */
-    async exportData() {
+    async exportData(options = {}) {
         await this.ensureReady();
         
         const stores = [
-            'projects', 'articles', 'searchResults', 'wpConfigs', 
-            'apiConfigs', 'appSettings', 'scheduledTasks'
+            'projects', 'articles', 'articleRevisions', 'searchResults', 'wpConfigs', 
+            'apiConfigs', 'appSettings', 'scheduledTasks', 'publicationQueue', 'pipelineRuns', 'taskRuns', 'contentTemplates', 'promptSets'
         ];
         
         const exportData = {
             version: this.dbVersion,
+            schemaVersion: this.dbVersion,
             timestamp: new Date().toISOString(),
             data: {}
         };
@@ -418,6 +862,21 @@ class DBManager {
             exportData.data[storeName] = await this.getAll(storeName);
         }
 
+        // Secrets leave the device only encrypted, and only on request
+        const secretStores = Object.keys(credentialVault.secretFields);
+        for (const storeName of secretStores) {
+            exportData.data[storeName] = exportData.data[storeName].map(record =>
+                options.includeSecrets && !credentialVault.hasPlaintextSecrets(storeName, record) ?
+                    record : credentialVault.stripSecrets(storeName, record)
+            );
+        }
+
+        // The background key is a CryptoKey bound to this device
+        exportData.data.appSettings = exportData.data.appSettings.filter(setting =>
+            setting.key !== credentialVault.backgroundKeySetting &&
+            (options.includeSecrets || setting.key !== 'vault'));
+        exportData.includesSecrets = !!options.includeSecrets;
+
         return exportData;
     }
 
@@ -431,10 +890,12 @@ class DBManager {
 
         await this.ensureReady();
 
+        const data = this.upgradeImportData(importData);
+
         // Clear existing data (except pendingOperations)
         const storesToClear = [
-            'projects', 'articles', 'searchResults', 'wpConfigs', 
-            'apiConfigs', 'appSettings', 'scheduledTasks'
+            'projects', 'articles', 'articleRevisions', 'searchResults', 'wpConfigs', 
+            'apiConfigs', 'appSettings', 'scheduledTasks', 'publicationQueue', 'pipelineRuns', 'taskRuns', 'contentTemplates', 'promptSets'
         ];
 
         for (const storeName of storesToClear) {
@@ -442,7 +903,12 @@ class DBManager {
         }
 
         // Import new data
-        for (const [storeName, records] of Object.entries(importData.data)) {
+        for (const [storeName, records] of Object.entries(data)) {
+            if (!this.db.objectStoreNames.contains(storeName)) {
+                console.warn(`Skipping unknown store in import: ${storeName}`);
+                continue;
+            }
+
             if (Array.isArray(records)) {
                 for (const record of records) {
                     await this.save(storeName, record);
@@ -453,14 +919,43 @@ class DBManager {
         return true;
     }
 
+    /**
+     * Bring an export made with an older schema up to the current version
+     */
+    upgradeImportData(importData) {
+        const fromVersion = importData.schemaVersion || importData.version || 1;
+
+        if (fromVersion > this.dbVersion) {
+            throw new Error(`Import data uses schema version ${fromVersion}, newer than supported version ${this.dbVersion}`);
+        }
+
+        const data = { ...importData.data };
+
+        for (const [version, migration] of this.getMigrationsAfter(fromVersion)) {
+            for (const [storeName, transform] of Object.entries(migration.transforms || {})) {
+                if (!Array.isArray(data[storeName])) continue;
+
+                data[storeName] = data[storeName]
+                    .map(record => {
+                        const updated = transform(record);
+                        return updated === undefined ? record : updated;
+                    })
+                    .filter(record => record !== null);
+            }
+            console.log(`Import data upgraded to version ${version}`);
+        }
+
+        return data;
+    }
+
     /**
      * Get database statistics
      */
     async getStats() {
         const stats = {};
         const stores = [
-            'projects', 'articles', 'searchResults', 'wpConfigs', 
-            'apiConfigs', 'appSettings', 'scheduledTasks', 'pendingOperations'
+            'projects', 'articles', 'articleRevisions', 'searchResults', 'wpConfigs', 
+            'apiConfigs', 'appSettings', 'scheduledTasks', 'publicationQueue', 'pipelineRuns', 'taskRuns', 'pendingOperations', 'contentTemplates', 'promptSets'
         ];
 
         for (const storeName of stores) {
@@ -490,8 +985,8 @@ class DBManager {
         await this.ensureReady();
         
         const stores = [
-            'projects', 'articles', 'searchResults', 'wpConfigs', 
-            'apiConfigs', 'appSettings', 'scheduledTasks', 'pendingOperations'
+            'projects', 'articles', 'articleRevisions', 'searchResults', 'wpConfigs', 
+            'apiConfigs', 'appSettings', 'scheduledTasks', 'publicationQueue', 'pipelineRuns', 'taskRuns', 'pendingOperations', 'contentTemplates', 'promptSets'
         ];
 
         for (const storeName of stores) {
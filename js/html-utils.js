@@ -0,0 +1,34 @@
+/**
+ * HTML helpers for Content Autopilot PWA
+ * Shared by the generator (article HTML) and the UI modules (innerHTML templates)
+ */
+
+class HtmlUtils {
+    /**
+     * Escape text for HTML content and double-quoted attributes
+     */
+    escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Plain text of an HTML fragment, e.g. the <strong> highlights of search snippets
+     */
+    toText(html) {
+        return new DOMParser().parseFromString(html || '', 'text/html').body.textContent.trim();
+    }
+
+    /**
+     * Escape a link target for an href attribute. Only http(s) links are kept.
+     */
+    escapeUrl(url) {
+        return /^https?:\/\//i.test(String(url ?? '').trim()) ? this.escape(String(url).trim()) : '#';
+    }
+}
+
+// Create global instance
+window.htmlUtils = new HtmlUtils();
\ No newline at end of file
@@ -0,0 +1,215 @@
+/**
+ * Languages for Content Autopilot PWA
+ * Per-language settings used by generation, search, slugs and dates.
+ * Also loaded by the service worker, so it only relies on `self`.
+ */
+
+class LanguageRegistry {
+    constructor() {
+        this.defaultCode = 'it';
+
+        // name: language name used inside prompts. referencesTitle: heading of the sources list.
+        // categories: topic word → WordPress categories.
+        this.languages = {
+            it: {
+                label: 'Italiano',
+                name: 'Italian',
+                locale: 'it-IT',
+                market: 'it-IT',
+                readingTime: minutes => `${minutes} min di lettura`,
+                referencesTitle: 'Fonti',
+                defaultCategory: 'General',
+                categories: {
+                    'tecnologia': ['Tecnologia', 'Innovazione'],
+                    'business': ['Business', 'Economia'],
+                    'marketing': ['Marketing', 'Business'],
+                    'salute': ['Salute', 'Benessere'],
+                    'viaggi': ['Viaggi', 'Lifestyle'],
+                    'cucina': ['Cucina', 'Lifestyle'],
+                    'sport': ['Sport', 'Salute'],
+                    'moda': ['Moda', 'Lifestyle'],
+                    'arte': ['Arte', 'Cultura'],
+                    'musica': ['Musica', 'Cultura'],
+                    'educazione': ['Educazione', 'Cultura'],
+                    'ambiente': ['Ambiente', 'Sostenibilità']
+                }
+            },
+            en: {
+                label: 'English',
+                name: 'English',
+                locale: 'en-US',
+                market: 'en-US',
+                readingTime: minutes => `${minutes} min read`,
+                referencesTitle: 'Sources',
+                defaultCategory: 'General',
+                categories: {
+                    'technology': ['Technology', 'Innovation'],
+                    'business': ['Business', 'Economy'],
+                    'marketing': ['Marketing', 'Business'],
+                    'health': ['Health', 'Wellness'],
+                    'travel': ['Travel', 'Lifestyle'],
+                    'cooking': ['Food', 'Lifestyle'],
+                    'sport': ['Sports', 'Health'],
+                    'fashion': ['Fashion', 'Lifestyle'],
+                    'art': ['Art', 'Culture'],
+                    'music': ['Music', 'Culture'],
+                    'education': ['Education', 'Culture'],
+                    'environment': ['Environment', 'Sustainability']
+                }
+            },
+            es: {
+                label: 'Español',
+                name: 'Spanish',
+                locale: 'es-ES',
+                market: 'es-ES',
+                readingTime: minutes => `${minutes} min de lectura`,
+                referencesTitle: 'Fuentes',
+                defaultCategory: 'General',
+                categories: {
+                    'tecnología': ['Tecnología', 'Innovación'],
+                    'negocio': ['Negocios', 'Economía'],
+                    'marketing': ['Marketing', 'Negocios'],
+                    'salud': ['Salud', 'Bienestar'],
+                    'viaje': ['Viajes', 'Estilo de vida'],
+                    'cocina': ['Cocina', 'Estilo de vida'],
+                    'deporte': ['Deportes', 'Salud'],
+                    'moda': ['Moda', 'Estilo de vida'],
+                    'arte': ['Arte', 'Cultura'],
+                    'música': ['Música', 'Cultura'],
+                    'educación': ['Educación', 'Cultura'],
+                    'medio ambiente': ['Medio ambiente', 'Sostenibilidad']
+                }
+            },
+            de: {
+                label: 'Deutsch',
+                name: 'German',
+                locale: 'de-DE',
+                market: 'de-DE',
+                readingTime: minutes => `${minutes} Min. Lesezeit`,
+                referencesTitle: 'Quellen',
+                defaultCategory: 'Allgemein',
+                transliteration: { 'ä': 'ae', 'ö': 'oe', 'ü': 'ue' },
+                categories: {
+                    'technologie': ['Technologie', 'Innovation'],
+                    'wirtschaft': ['Wirtschaft', 'Business'],
+                    'marketing': ['Marketing', 'Wirtschaft'],
+                    'gesundheit': ['Gesundheit', 'Wohlbefinden'],
+                    'reise': ['Reisen', 'Lifestyle'],
+                    'küche': ['Kochen', 'Lifestyle'],
+                    'sport': ['Sport', 'Gesundheit'],
+                    'mode': ['Mode', 'Lifestyle'],
+                    'kunst': ['Kunst', 'Kultur'],
+                    'musik': ['Musik', 'Kultur'],
+                    'bildung': ['Bildung', 'Kultur'],
+                    'umwelt': ['Umwelt', 'Nachhaltigkeit']
+                }
+            },
+            fr: {
+                label: 'Français',
+                name: 'French',
+                locale: 'fr-FR',
+                market: 'fr-FR',
+                readingTime: minutes => `${minutes} min de lecture`,
+                referencesTitle: 'Sources',
+                defaultCategory: 'Général',
+                categories: {
+                    'technologie': ['Technologie', 'Innovation'],
+                    'entreprise': ['Entreprise', 'Économie'],
+                    'marketing': ['Marketing', 'Entreprise'],
+                    'santé': ['Santé', 'Bien-être'],
+                    'voyage': ['Voyages', 'Art de vivre'],
+                    'cuisine': ['Cuisine', 'Art de vivre'],
+                    'sport': ['Sport', 'Santé'],
+                    'mode': ['Mode', 'Art de vivre'],
+                    'art': ['Art', 'Culture'],
+                    'musique': ['Musique', 'Culture'],
+                    'éducation': ['Éducation', 'Culture'],
+                    'environnement': ['Environnement', 'Développement durable']
+                }
+            },
+            pl: {
+                label: 'Polski',
+                name: 'Polish',
+                locale: 'pl-PL',
+                market: 'pl-PL',
+                readingTime: minutes => `${minutes} min czytania`,
+                referencesTitle: 'Źródła',
+                defaultCategory: 'Ogólne',
+                categories: {
+                    'technologi': ['Technologia', 'Innowacje'],
+                    'biznes': ['Biznes', 'Ekonomia'],
+                    'marketing': ['Marketing', 'Biznes'],
+                    'zdrowi': ['Zdrowie', 'Dobre samopoczucie'],
+                    'podróż': ['Podróże', 'Styl życia'],
+                    'kuchni': ['Kuchnia', 'Styl życia'],
+                    'sport': ['Sport', 'Zdrowie'],
+                    'moda': ['Moda', 'Styl życia'],
+                    'sztuka': ['Sztuka', 'Kultura'],
+                    'muzyk': ['Muzyka', 'Kultura'],
+                    'edukacj': ['Edukacja', 'Kultura'],
+                    'środowisk': ['Środowisko', 'Zrównoważony rozwój']
+                }
+            }
+        };
+
+        // Letters that Unicode normalization does not reduce to ASCII
+        this.transliteration = {
+            'ß': 'ss', 'ł': 'l', 'đ': 'd', 'ø': 'o', 'æ': 'ae', 'œ': 'oe', 'ı': 'i'
+        };
+    }
+
+    /**
+     * Language by code, falling back to the default language
+     */
+    get(code) {
+        const resolved = this.languages[code] ? code : this.defaultCode;
+        return { code: resolved, ...this.languages[resolved] };
+    }
+
+    /**
+     * Languages as { code, label } for selects
+     */
+    getAll() {
+        return Object.entries(this.languages).map(([code, language]) => ({ code, label: language.label }));
+    }
+
+    /**
+     * Language used by projects without one (the defaultLanguage setting)
+     */
+    setDefault(code) {
+        if (this.languages[code]) {
+            this.defaultCode = code;
+        }
+    }
+
+    /**
+     * URL slug with the transliteration rules of the language
+     */
+    slugify(text, code = null) {
+        const language = this.get(code);
+        let slug = text.toLowerCase();
+
+        for (const [letter, replacement] of Object.entries({ ...language.transliteration, ...this.transliteration })) {
+            slug = slug.split(letter).join(replacement);
+        }
+
+        return slug
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9\s-]/g, '')
+            .replace(/\s+/g, '-')
+            .replace(/-+/g, '-')
+            .replace(/^-|-$/g, '');
+    }
+
+    formatDate(date, code = null) {
+        return new Date(date).toLocaleDateString(this.get(code).locale);
+    }
+
+    formatDateTime(date, code = null) {
+        return new Date(date).toLocaleString(this.get(code).locale);
+    }
+}
+
+// Create global instance
+self.languages = new LanguageRegistry();
\ No newline at end of file
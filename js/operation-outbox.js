@@ -0,0 +1,418 @@
+/**
+ * Operation Outbox for Content Autopilot PWA
+ * Durable queue of network work (pendingOperations store), replayed with
+ * backoff when the connection returns. Results are written back to the
+ * project or article each operation belongs to.
+ */
+
+class OperationOutbox {
+    constructor() {
+        this.config = {
+            maxAttempts: 5,
+            baseDelay: 30000, // 30 seconds, doubled after each failed attempt
+            maxDelay: 3600000, // 1 hour
+            staleAfter: 600000, // An attempt interrupted by a closed tab is retried after 10 minutes
+            lockName: 'content-autopilot-outbox'
+        };
+        this.labels = {
+            search: 'Ricerca',
+            generate: 'Generazione articolo',
+            image: 'Immagine in evidenza',
+            publish: 'Pubblicazione',
+            wpTerms: 'Categorie e tag WordPress'
+        };
+        this.statusLabels = {
+            pending: 'in attesa',
+            running: 'in corso',
+            retry: 'nuovo tentativo',
+            done: 'completata',
+            failed: 'non riuscita'
+        };
+        this.isProcessing = false;
+        this.retryTimer = null;
+
+        window.addEventListener('online', () => this.process());
+        // Operations need the API keys and WordPress passwords
+        window.addEventListener('vault-unlocked', () => this.process());
+    }
+
+    /**
+     * Add an operation. An operation with the same idempotency key is returned
+     * instead of queueing a duplicate (a failed one is queued again).
+     * options: { projectId, articleId, idempotencyKey, dependsOn }
+     */
+    async enqueue(type, data, options = {}) {
+        if (options.idempotencyKey) {
+            const existing = await dbManager.getPendingOperationByKey(options.idempotencyKey);
+            if (existing && existing.status !== 'failed') {
+                return existing;
+            }
+            if (existing) {
+                return this.retry(existing.id);
+            }
+        }
+
+        const operation = await dbManager.savePendingOperation({
+            type: type,
+            data: data,
+            projectId: options.projectId || null,
+            articleId: options.articleId || null,
+            idempotencyKey: options.idempotencyKey || null,
+            dependsOn: options.dependsOn || [],
+            status: 'pending',
+            attempts: 0,
+            maxAttempts: this.config.maxAttempts,
+            nextAttemptAt: new Date().toISOString(),
+            lastError: null,
+            result: null
+        });
+
+        this.dispatchUpdate(operation);
+        this.process();
+        return operation;
+    }
+
+    /**
+     * Queue a publish with the category and tag lookups it needs
+     */
+    async enqueuePublish(article, options = {}) {
+        const siteId = options.siteId || await wpConnector.resolveSiteId(article);
+        if (!siteId) {
+            throw new Error('Nessun sito WordPress configurato');
+        }
+
+        const dependsOn = [];
+        for (const taxonomy of ['categories', 'tags']) {
+            const names = article[taxonomy] || [];
+            if (names.length === 0) continue;
+
+            const key = names.map(name => name.toLowerCase()).sort().join('|');
+            const termsOperation = await this.enqueue('wpTerms', { siteId, taxonomy, names }, {
+                articleId: article.id,
+                idempotencyKey: `wpTerms:${siteId}:${taxonomy}:${key}`
+            });
+            dependsOn.push(termsOperation.id);
+        }
+
+        // One key per article version: repeated clicks never post twice
+        return this.enqueue('publish', {
+            siteId: siteId,
+            status: options.status || 'publish',
+            dateGmt: options.dateGmt || null
+        }, {
+            projectId: article.projectId,
+            articleId: article.id,
+            dependsOn: dependsOn,
+            idempotencyKey: `publish:${article.id}:${siteId}:${article.updatedAt || article.createdAt}`
+        });
+    }
+
+    /**
+     * Run due operations (one tab at a time)
+     */
+    async process() {
+        if (!navigator.onLine || this.isProcessing) return;
+        if (credentialVault.isInitialized() && !credentialVault.isUnlocked()) return;
+
+        if (navigator.locks) {
+            await navigator.locks.request(this.config.lockName, { ifAvailable: true }, lock =>
+                lock ? this.processDue() : null
+            );
+        } else {
+            await this.processDue();
+        }
+    }
+
+    async processDue() {
+        this.isProcessing = true;
+
+        try {
+            const operations = await this.getOperations();
+            const byId = new Map(operations.map(operation => [operation.id, operation]));
+
+            for (const operation of operations) {
+                if (!navigator.onLine) break;
+                if (!this.isDue(operation, Date.now())) continue;
+
+                const dependencies = operation.dependsOn.map(id => byId.get(id)).filter(Boolean);
+                if (dependencies.some(dependency => dependency.status === 'failed')) {
+                    await this.markFailed(operation, 'Un\'operazione richiesta non è riuscita');
+                    continue;
+                }
+                if (dependencies.some(dependency => dependency.status !== 'done')) continue;
+
+                await this.execute(operation);
+            }
+        } catch (error) {
+            console.error('Outbox processing failed:', error);
+        } finally {
+            this.isProcessing = false;
+            await this.scheduleRetry();
+        }
+    }
+
+    isDue(operation, now) {
+        if (operation.status === 'running') {
+            return now - new Date(operation.startedAt).getTime() > this.config.staleAfter;
+        }
+        return (operation.status === 'pending' || operation.status === 'retry') &&
+            new Date(operation.nextAttemptAt).getTime() <= now;
+    }
+
+    /**
+     * Run one operation and record its outcome
+     */
+    async execute(operation) {
+        operation.status = 'running';
+        operation.startedAt = new Date().toISOString();
+        operation.attempts++;
+        await dbManager.savePendingOperation(operation);
+        this.dispatchUpdate(operation);
+
+        try {
+            operation.result = await this.runOperation(operation);
+            operation.status = 'done';
+            operation.completedAt = new Date().toISOString();
+            operation.lastError = null;
+            await dbManager.savePendingOperation(operation);
+        } catch (error) {
+            console.error(`Outbox operation ${operation.type} failed:`, error);
+
+            if (error.permanent || operation.attempts >= operation.maxAttempts) {
+                await this.markFailed(operation, error.message);
+                return;
+            }
+
+            operation.status = 'retry';
+            operation.lastError = error.message;
+            operation.nextAttemptAt = new Date(Date.now() + this.getBackoff(operation.attempts)).toISOString();
+            await dbManager.savePendingOperation(operation);
+        }
+
+        this.dispatchUpdate(operation);
+    }
+
+    async runOperation(operation) {
+        switch (operation.type) {
+            case 'search':
+                return this.runSearch(operation);
+            case 'generate':
+                return this.runGenerate(operation);
+            case 'image':
+                return this.runImage(operation);
+            case 'publish':
+                return this.runPublish(operation);
+            case 'wpTerms':
+                return this.runTerms(operation);
+            default:
+                throw this.permanentError(`Unknown operation type: ${operation.type}`);
+        }
+    }
+
+    /**
+     * Operation work: each handler writes its result back and returns a summary
+     */
+    async runSearch(operation) {
+        const project = await dbManager.getProject(operation.projectId);
+        if (!project) {
+            throw this.permanentError('Project not found');
+        }
+
+        const result = await apiManager.searchWeb(operation.data.query, operation.data.options);
+        const searchData = await dbManager.saveSearchResults({
+            id: dbManager.generateId(),
+            projectId: project.id,
+            query: operation.data.query,
+            providers: result.providers,
+            results: result.results,
+            totalResults: result.totalResults,
+            searchedAt: new Date().toISOString()
+        });
+        await pageExtractor.extractSearchResults(searchData);
+
+        return { searchResultId: searchData.id, count: result.results.length };
+    }
+
+    async runGenerate(operation) {
+        const project = await dbManager.getProject(operation.projectId);
+        if (!project) {
+            throw this.permanentError('Project not found');
+        }
+
+        const searchResults = await dbManager.getSearchResultsByProject(project.id);
+        if (searchResults.length === 0) {
+            throw new Error('No search results for the project yet');
+        }
+
+        // The article id is reserved when queued, so a replayed attempt overwrites instead of duplicating
+        const article = await contentGenerator.generateSingleArticle(project, searchResults, {
+            ...operation.data.options,
+            articleId: operation.data.articleId
+        });
+        await contentGenerator.saveGeneratedArticle(article);
+
+        project.articlesGenerated = (project.articlesGenerated || 0) + 1;
+        await dbManager.saveProject(project);
+
+        operation.articleId = article.id;
+        return { articleId: article.id, title: article.title };
+    }
+
+    async runImage(operation) {
+        const article = await dbManager.getArticle(operation.articleId);
+        if (!article) {
+            throw this.permanentError('Article not found');
+        }
+
+        const imageResult = await apiManager.generateImage(operation.data.prompt, operation.data.options);
+
+        // Keep the blob: the object URL dies with the tab
+        article.featuredImage = {
+            url: imageResult.imageUrl,
+            blob: imageResult.blob,
+            alt: article.title,
+            prompt: operation.data.prompt
+        };
+        delete article.pendingImagePrompt;
+        await dbManager.saveArticle(article);
+
+        return { articleId: article.id };
+    }
+
+    async runPublish(operation) {
+        const article = await dbManager.getArticle(operation.articleId);
+        if (!article) {
+            throw this.permanentError('Article not found');
+        }
+
+        // A previous attempt may have created the post before the connection dropped
+        if (!article.wordpressId && operation.attempts > 1) {
+            const post = await wpConnector.findCreatedPost(article, operation.data.siteId);
+            if (post) {
+                article.wordpressId = post.id;
+                article.wordpressSiteId = operation.data.siteId;
+                article.wordpressModifiedGmt = post.modified_gmt;
+                await dbManager.saveArticle(article);
+            }
+        }
+
+        const result = await wpConnector.publishArticle(article, {
+            status: operation.data.status,
+            dateGmt: operation.data.dateGmt,
+            siteId: operation.data.siteId
+        });
+
+        if (result.conflict) {
+            throw this.permanentError(`WordPress conflict (${result.conflict.type}): resolve it from the articles tab`);
+        }
+
+        return { siteId: result.siteId, postId: result.wordpressId, url: result.url };
+    }
+
+    async runTerms(operation) {
+        const { siteId, taxonomy, names } = operation.data;
+        const session = await wpConnector.getSession(siteId);
+        const ids = await wpConnector.processCategoriesAndTags(names, taxonomy, session);
+
+        if (ids.length < names.length) {
+            throw new Error(`${names.length - ids.length} ${taxonomy} could not be created`);
+        }
+        return { ids };
+    }
+
+    /**
+     * Retry a failed or waiting operation now
+     */
+    async retry(operationId) {
+        const operation = await dbManager.get('pendingOperations', operationId);
+        if (!operation || operation.status === 'running' || operation.status === 'done') {
+            return operation;
+        }
+
+        operation.status = 'pending';
+        operation.nextAttemptAt = new Date().toISOString();
+        operation.maxAttempts = operation.attempts + this.config.maxAttempts;
+        await dbManager.savePendingOperation(operation);
+
+        this.dispatchUpdate(operation);
+        this.process();
+        return operation;
+    }
+
+    /**
+     * Drop an operation that is not running
+     */
+    async remove(operationId) {
+        const operation = await dbManager.get('pendingOperations', operationId);
+        if (!operation || operation.status === 'running') return;
+
+        await dbManager.deletePendingOperation(operationId);
+        this.dispatchUpdate(operation);
+    }
+
+    async markFailed(operation, errorMessage) {
+        operation.status = 'failed';
+        operation.lastError = errorMessage;
+        await dbManager.savePendingOperation(operation);
+        this.dispatchUpdate(operation);
+    }
+
+    /**
+     * Wake up for the earliest pending retry
+     */
+    async scheduleRetry() {
+        clearTimeout(this.retryTimer);
+
+        const waiting = (await this.getOperations())
+            .filter(operation => operation.status === 'pending' || operation.status === 'retry');
+        if (waiting.length === 0) return;
+
+        const next = Math.min(...waiting.map(operation => new Date(operation.nextAttemptAt).getTime()));
+        const delay = Math.min(Math.max(next - Date.now(), 1000), this.config.maxDelay);
+        this.retryTimer = setTimeout(() => this.process(), delay);
+    }
+
+    getBackoff(attempts) {
+        return Math.min(this.config.baseDelay * Math.pow(2, attempts - 1), this.config.maxDelay);
+    }
+
+    /**
+     * Operations in creation order (the order they are replayed in)
+     */
+    async getOperations() {
+        const operations = await dbManager.getAllPendingOperations();
+        return operations.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    /**
+     * Number of operations still to deliver
+     */
+    async countWaiting() {
+        const operations = await dbManager.getAllPendingOperations();
+        return operations.filter(operation => operation.status !== 'done' && operation.status !== 'failed').length;
+    }
+
+    getLabel(type) {
+        return this.labels[type] || type;
+    }
+
+    getStatusLabel(status) {
+        return this.statusLabels[status] || status;
+    }
+
+    /**
+     * Errors that retrying cannot fix
+     */
+    permanentError(message) {
+        const error = new Error(message);
+        error.permanent = true;
+        return error;
+    }
+
+    dispatchUpdate(operation) {
+        window.dispatchEvent(new CustomEvent('outbox-updated', { detail: operation }));
+    }
+}
+
+// Create global instance
+window.operationOutbox = new OperationOutbox();
\ No newline at end of file
@@ -0,0 +1,289 @@
+/**
+ * Page Extractor for Content Autopilot PWA
+ * Fetches search result pages and extracts their main text, headings,
+ * publish date and author (readability-style boilerplate removal).
+ * Pages that block the browser with CORS are fetched through the backend proxy.
+ */
+
+class PageExtractor {
+    constructor() {
+        this.timeout = 15000;
+        this.maxTextLength = 20000;
+        this.defaultCount = 3;
+        this.minParagraphLength = 25;
+
+        this.boilerplateTags = 'script, style, noscript, iframe, svg, canvas, form, nav, header, footer, aside, button, select, template';
+        this.boilerplatePattern = /comment|sidebar|footer|header|nav|menu|share|social|related|promo|advert|\bads?\b|banner|cookie|consent|newsletter|subscribe|popup|modal|breadcrumb|pagination|widget/i;
+        this.contentPattern = /article|content|post|entry|story|main|body|text/i;
+    }
+
+    /**
+     * Fetch a page and extract its content
+     */
+    async extract(url) {
+        const page = await this.fetchHtml(url);
+        const doc = new DOMParser().parseFromString(page.html, 'text/html');
+
+        return {
+            ...this.extractFromDocument(doc),
+            via: page.via,
+            extractedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Page HTML, directly or through the backend proxy when the browser request fails
+     */
+    async fetchHtml(url) {
+        try {
+            const response = await this.fetchWithTimeout(url);
+            if (!response.ok) {
+                throw new Error(`Pagina non disponibile (HTTP ${response.status})`);
+            }
+            return { html: await response.text(), via: 'direct' };
+
+        } catch (error) {
+            // fetch rejects with a TypeError on network errors, CORS included
+            if (!(error instanceof TypeError)) {
+                throw error;
+            }
+
+            const proxyUrl = await dbManager.getSetting('extractProxyUrl', '');
+            if (!proxyUrl) {
+                throw new Error('La pagina blocca le richieste dal browser: configura il proxy backend nelle impostazioni');
+            }
+
+            const response = await this.fetchWithTimeout(
+                `${proxyUrl.replace(/\/+$/, '')}/api/proxy?url=${encodeURIComponent(url)}`);
+            if (!response.ok) {
+                let detail = '';
+                try {
+                    detail = (await response.json()).detail || '';
+                } catch (parseError) {
+                    // Body is not JSON
+                }
+                throw new Error(`Proxy: ${detail || `HTTP ${response.status}`}`);
+            }
+
+            // The proxy answers 200 with the status of the page it fetched
+            const data = await response.json();
+            if (data.status < 200 || data.status >= 300) {
+                throw new Error(`Pagina non disponibile (HTTP ${data.status})`);
+            }
+            return { html: data.html, via: 'proxy' };
+        }
+    }
+
+    async fetchWithTimeout(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            return await fetch(url, { signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('Tempo scaduto nel caricamento della pagina');
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Main content of a parsed page. The document is modified.
+     */
+    extractFromDocument(doc) {
+        // Metadata first: JSON-LD lives in the script tags removed below
+        const metadata = this.extractMetadata(doc);
+
+        doc.querySelectorAll(this.boilerplateTags).forEach(element => element.remove());
+        doc.querySelectorAll('[class], [id]').forEach(element => {
+            const names = `${element.getAttribute('class') || ''} ${element.id || ''}`;
+            if (['BODY', 'MAIN', 'ARTICLE'].includes(element.tagName)) return;
+            if (this.boilerplatePattern.test(names) && !this.contentPattern.test(names)) {
+                element.remove();
+            }
+        });
+
+        const root = this.findContentRoot(doc);
+        const headings = [];
+        const blocks = [];
+
+        for (const element of root.querySelectorAll('h1, h2, h3, h4, p, li, blockquote, pre')) {
+            // Blocks nested in another block are already part of its text
+            const container = element.parentElement.closest('p, li, blockquote, pre');
+            if (container && root.contains(container)) continue;
+
+            const text = element.textContent.replace(/\s+/g, ' ').trim();
+            if (!text) continue;
+
+            if (/^H[1-4]$/.test(element.tagName)) {
+                headings.push({ level: parseInt(element.tagName[1]), text: text });
+                blocks.push(text);
+            } else if (this.getLinkDensity(element) < 0.5) {
+                blocks.push(text);
+            }
+        }
+
+        const text = (blocks.length > 0 ? blocks.join('\n\n') : root.textContent.replace(/\s+/g, ' ').trim())
+            .substring(0, this.maxTextLength);
+
+        return {
+            title: metadata.title,
+            author: metadata.author,
+            publishedAt: metadata.publishedAt,
+            headings: headings,
+            text: text,
+            wordCount: text.split(/\s+/).filter(Boolean).length
+        };
+    }
+
+    /**
+     * Element holding the article: paragraphs score their parent and
+     * grandparent, discounted by the share of text inside links
+     */
+    findContentRoot(doc) {
+        const scores = new Map();
+
+        for (const paragraph of doc.body.querySelectorAll('p, pre, td, blockquote')) {
+            const text = paragraph.textContent.trim();
+            if (text.length < this.minParagraphLength) continue;
+
+            const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+            [paragraph.parentElement, paragraph.parentElement?.parentElement].forEach((ancestor, level) => {
+                if (!ancestor) return;
+                scores.set(ancestor, (scores.get(ancestor) || 0) + score / (level + 1));
+            });
+        }
+
+        let best = null;
+        let bestScore = 0;
+        for (const [element, score] of scores) {
+            const adjusted = score * (1 - this.getLinkDensity(element));
+            if (adjusted > bestScore) {
+                best = element;
+                bestScore = adjusted;
+            }
+        }
+
+        return best || doc.querySelector('article, main, [role="main"]') || doc.body;
+    }
+
+    getLinkDensity(element) {
+        const length = element.textContent.trim().length;
+        if (length === 0) return 0;
+
+        const linkLength = Array.from(element.querySelectorAll('a'))
+            .reduce((sum, link) => sum + link.textContent.trim().length, 0);
+        return linkLength / length;
+    }
+
+    /**
+     * Title, author and publish date from JSON-LD and meta tags
+     */
+    extractMetadata(doc) {
+        const read = (...selectors) => {
+            for (const selector of selectors) {
+                const element = doc.querySelector(selector);
+                const value = element?.getAttribute('content') || element?.getAttribute('datetime') || element?.textContent;
+                if (value?.trim()) return value.trim();
+            }
+            return null;
+        };
+        const linkedData = this.readLinkedData(doc);
+
+        return {
+            title: read('meta[property="og:title"]') || doc.title?.trim() || null,
+            author: linkedData.author ||
+                read('meta[name="author"]', 'meta[property="article:author"]', '[rel="author"]', '[itemprop="author"]'),
+            publishedAt: this.parseDate(linkedData.datePublished ||
+                read('meta[property="article:published_time"]', 'meta[name="date"]', '[itemprop="datePublished"]', 'time[datetime]'))
+        };
+    }
+
+    /**
+     * Author and publish date of the first JSON-LD item that has them
+     */
+    readLinkedData(doc) {
+        const items = [];
+
+        for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+            try {
+                const data = JSON.parse(script.textContent);
+                for (const item of [].concat(data)) {
+                    items.push(item, ...(item['@graph'] || []));
+                }
+            } catch (error) {
+                // Invalid JSON-LD is common, skip it
+            }
+        }
+
+        const item = items.find(candidate => candidate?.datePublished || candidate?.author) || {};
+        const author = [].concat(item.author || [])
+            .map(entry => typeof entry === 'string' ? entry : entry?.name)
+            .filter(Boolean)
+            .join(', ');
+
+        return { author: author || null, datePublished: item.datePublished || null };
+    }
+
+    parseDate(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    /**
+     * Extract the first results of a search record (the extractPages setting)
+     * and save them with it. Failures are stored on the result, not thrown.
+     */
+    async extractSearchResults(searchData, count = null) {
+        const limit = count ?? parseInt(await dbManager.getSetting('extractPages', this.defaultCount));
+        const selected = searchData.results.slice(0, limit).filter(result => !result.extracted);
+
+        for (const result of selected) {
+            try {
+                await this.extractResult(result);
+            } catch (error) {
+                console.error(`Page extraction failed for ${result.url}:`, error);
+            }
+        }
+
+        if (selected.length > 0) {
+            await dbManager.saveSearchResults(searchData);
+        }
+        return selected.filter(result => result.extracted).length;
+    }
+
+    /**
+     * Extract one result of a saved search record
+     */
+    async extractSavedResult(searchId, index) {
+        const searchData = await dbManager.get('searchResults', searchId);
+        const result = searchData?.results[index];
+        if (!result) {
+            throw new Error('Risultato di ricerca non trovato');
+        }
+
+        try {
+            await this.extractResult(result);
+            return result.extracted;
+        } finally {
+            await dbManager.saveSearchResults(searchData);
+        }
+    }
+
+    async extractResult(result) {
+        try {
+            result.extracted = await this.extract(result.url);
+            result.extractError = null;
+        } catch (error) {
+            result.extractError = error.message;
+            throw error;
+        }
+    }
+}
+
+// Create global instance
+window.pageExtractor = new PageExtractor();
\ No newline at end of file
@@ -0,0 +1,348 @@
+/**
+ * Project Pipeline for Content Autopilot PWA
+ * Runs search → generate → review → publish as dependent scheduler tasks,
+ * with optional approval gates and persisted run state
+ */
+
+class ProjectPipeline {
+    constructor() {
+        this.stages = [
+            { id: 'search', label: 'Ricerca' },
+            { id: 'generate', label: 'Generazione' },
+            { id: 'review', label: 'Revisione' },
+            { id: 'publish', label: 'Pubblicazione' }
+        ];
+
+        // approval: wait for the user before the stage starts.
+        // review is a manual stage and always waits for approval.
+        this.defaultDefinition = {
+            search: { enabled: true, approval: false },
+            generate: { enabled: true, approval: false },
+            review: { enabled: true },
+            publish: { enabled: true, approval: false, mode: 'queue' } // queue | draft | publish
+        };
+    }
+
+    /**
+     * Pipeline definition of a project, with defaults
+     */
+    getDefinition(project) {
+        const definition = {};
+        for (const stage of this.stages) {
+            definition[stage.id] = {
+                ...this.defaultDefinition[stage.id],
+                ...(project.pipeline?.[stage.id] || {})
+            };
+        }
+        return definition;
+    }
+
+    /**
+     * Start a new run for a project
+     */
+    async start(projectId) {
+        const project = await dbManager.getProject(projectId);
+        if (!project) {
+            throw new Error('Progetto non trovato');
+        }
+
+        const current = await this.getCurrentRun(projectId);
+        if (current && this.isActive(current)) {
+            throw new Error('Una pipeline è già in corso per questo progetto');
+        }
+
+        const definition = this.getDefinition(project);
+        const run = await dbManager.savePipelineRun({
+            projectId: projectId,
+            status: 'running',
+            currentStage: null,
+            definition: definition,
+            stages: this.stages.map(stage => ({
+                id: stage.id,
+                status: definition[stage.id].enabled ? 'pending' : 'skipped'
+            })),
+            articleIds: []
+        });
+
+        await this.advance(run);
+        return run;
+    }
+
+    /**
+     * Move a run to its next pending stage: wait for approval or schedule the stage task
+     */
+    async advance(run) {
+        const stage = run.stages.find(item => item.status === 'pending');
+
+        if (!stage) {
+            run.status = 'completed';
+            run.currentStage = null;
+            run.completedAt = new Date().toISOString();
+            await this.saveRun(run);
+
+            const project = await dbManager.getProject(run.projectId);
+            scheduler.sendNotification(
+                'Pipeline completata',
+                `La pipeline di "${project?.name || run.projectId}" è terminata`,
+                { projectId: run.projectId }
+            );
+            return;
+        }
+
+        run.currentStage = stage.id;
+
+        const needsApproval = stage.id === 'review' || run.definition[stage.id].approval;
+        if (needsApproval && !stage.approvedAt) {
+            stage.status = 'awaiting_approval';
+            run.status = 'awaiting_approval';
+            await this.saveRun(run);
+
+            const project = await dbManager.getProject(run.projectId);
+            scheduler.sendNotification(
+                'Approvazione richiesta',
+                `"${project?.name || run.projectId}": approva la fase ${this.getStageLabel(stage.id)} per continuare`,
+                { projectId: run.projectId, runId: run.id }
+            );
+            return;
+        }
+
+        // Review has no work of its own: approving it completes it
+        if (stage.id === 'review') {
+            stage.status = 'completed';
+            stage.completedAt = stage.approvedAt;
+            await this.saveRun(run);
+            return this.advance(run);
+        }
+
+        const task = await scheduler.scheduleTask('pipeline_stage', new Date().toISOString(), {
+            projectId: run.projectId,
+            taskOptions: { runId: run.id, stage: stage.id }
+        });
+
+        stage.status = 'scheduled';
+        stage.taskId = task.id;
+        run.status = 'running';
+        await this.saveRun(run);
+
+        // Chain stages right away instead of waiting for the next scheduler check
+        scheduler.runTaskNow(task.id);
+    }
+
+    /**
+     * Run the work of a stage (called by the scheduler for pipeline_stage tasks)
+     */
+    async executeStage(task, taskRun = null) {
+        const run = await dbManager.getPipelineRun(task.options.runId);
+        if (!run || run.status === 'cancelled') {
+            return true; // Nothing left to do
+        }
+
+        const stage = run.stages.find(item => item.id === task.options.stage);
+        const project = await dbManager.getProject(run.projectId);
+        if (!project) {
+            throw new Error('Project not found');
+        }
+
+        stage.status = 'running';
+        stage.startedAt = stage.startedAt || new Date().toISOString();
+        stage.error = null;
+        await this.saveRun(run);
+
+        try {
+            switch (stage.id) {
+                case 'search':
+                    stage.result = await this.runSearch(project, taskRun);
+                    break;
+                case 'generate':
+                    stage.result = await this.runGenerate(project, run, taskRun);
+                    break;
+                case 'publish':
+                    stage.result = await this.runPublish(run, taskRun);
+                    break;
+            }
+        } catch (error) {
+            stage.status = 'retry';
+            stage.error = error.message;
+            await this.saveRun(run);
+            throw error;
+        }
+
+        // Cancelled while the stage was running
+        const latest = await dbManager.getPipelineRun(run.id);
+        if (!latest || latest.status === 'cancelled') {
+            return true;
+        }
+
+        if (taskRun) {
+            taskRun.summary = `${this.getStageLabel(stage.id)}: ${stage.result}`;
+        }
+
+        stage.status = 'completed';
+        stage.completedAt = new Date().toISOString();
+        await this.saveRun(run);
+
+        await this.advance(run);
+        return true;
+    }
+
+    /**
+     * Stage work
+     */
+    async runSearch(project, taskRun) {
+        const found = await scheduler.executeSearchTopics({ projectId: project.id }, taskRun);
+        if (!found) {
+            throw new Error('No search results for the project keywords');
+        }
+
+        const searchResults = await dbManager.getSearchResultsByProject(project.id);
+        return `${searchResults.length} ricerche salvate`;
+    }
+
+    async runGenerate(project, run, taskRun) {
+        const result = await contentGenerator.generateArticlesFromProject(project.id, {
+            articleCount: project.articleCount,
+            articleLength: await dbManager.getSetting('articleLength', 'medium'),
+            generateImages: await dbManager.getSetting('autoImages', true)
+        });
+
+        if (!result.success || result.count === 0) {
+            throw new Error('No articles generated');
+        }
+
+        run.articleIds = result.articles.map(article => article.id);
+        scheduler.recordArtefacts(taskRun, { articleIds: run.articleIds });
+        return `${result.count} articoli generati`;
+    }
+
+    async runPublish(run, taskRun) {
+        const mode = run.definition.publish.mode;
+        let done = 0;
+        let failed = 0;
+
+        for (const articleId of run.articleIds) {
+            const article = await dbManager.getArticle(articleId);
+            // Deleted during review, or already handled by hand
+            if (!article || article.status === 'published' || article.status === 'scheduled') continue;
+
+            try {
+                if (mode === 'queue') {
+                    await publicationQueue.enqueue(articleId);
+                } else {
+                    const result = await wpConnector.publishArticle(article, {
+                        status: mode === 'publish' ? 'publish' : 'draft'
+                    });
+                    if (!result.success) {
+                        throw new Error(result.conflict ? `WordPress conflict (${result.conflict.type})` : 'Publish failed');
+                    }
+                    scheduler.recordArtefacts(taskRun, {
+                        wordpressPosts: [{ siteId: result.siteId, postId: result.wordpressId, url: result.url }]
+                    });
+                }
+                scheduler.recordArtefacts(taskRun, { articleIds: [articleId] });
+                done++;
+            } catch (error) {
+                console.error(`Pipeline publish failed for article ${articleId}:`, error);
+                failed++;
+            }
+        }
+
+        if (done === 0 && failed > 0) {
+            throw new Error(`Publishing failed for ${failed} articles`);
+        }
+
+        const action = mode === 'queue' ? 'messi in coda' : (mode === 'publish' ? 'pubblicati' : 'inviati come bozze');
+        return `${done} articoli ${action}${failed > 0 ? `, ${failed} non riusciti` : ''}`;
+    }
+
+    /**
+     * Approve the stage a run is waiting on
+     */
+    async approve(runId) {
+        const run = await dbManager.getPipelineRun(runId);
+        const stage = run?.stages.find(item => item.status === 'awaiting_approval');
+        if (!stage) {
+            throw new Error('Nessuna fase in attesa di approvazione');
+        }
+
+        stage.status = 'pending';
+        stage.approvedAt = new Date().toISOString();
+        await this.advance(run);
+    }
+
+    /**
+     * Retry the failed stage of a run
+     */
+    async retry(runId) {
+        const run = await dbManager.getPipelineRun(runId);
+        const stage = run?.stages.find(item => item.status === 'failed');
+        if (!stage) {
+            throw new Error('Nessuna fase da riprovare');
+        }
+
+        stage.status = 'pending';
+        stage.error = null;
+        stage.taskId = null;
+        await this.advance(run);
+    }
+
+    /**
+     * Cancel a run and its scheduled stage task
+     */
+    async cancel(runId) {
+        const run = await dbManager.getPipelineRun(runId);
+        if (!run || !this.isActive(run)) return;
+
+        for (const stage of run.stages) {
+            if (stage.taskId && ['scheduled', 'running', 'retry'].includes(stage.status)) {
+                await scheduler.cancelTask(stage.taskId);
+            }
+            if (stage.status !== 'completed' && stage.status !== 'skipped') {
+                stage.status = 'cancelled';
+            }
+        }
+
+        run.status = 'cancelled';
+        await this.saveRun(run);
+    }
+
+    /**
+     * Called by the scheduler when a stage task ran out of retries
+     */
+    async onStageFailed(task, errorMessage) {
+        const run = await dbManager.getPipelineRun(task.options.runId);
+        if (!run || run.status === 'cancelled') return;
+
+        const stage = run.stages.find(item => item.id === task.options.stage);
+        stage.status = 'failed';
+        stage.error = errorMessage;
+        run.status = 'failed';
+        await this.saveRun(run);
+    }
+
+    /**
+     * Latest run of a project
+     */
+    async getCurrentRun(projectId) {
+        const runs = await dbManager.getPipelineRunsByProject(projectId);
+        return runs[0] || null;
+    }
+
+    isActive(run) {
+        return run.status === 'running' || run.status === 'awaiting_approval';
+    }
+
+    getStageLabel(stageId) {
+        return this.stages.find(stage => stage.id === stageId)?.label || stageId;
+    }
+
+    /**
+     * Save a run and let the UI refresh
+     */
+    async saveRun(run) {
+        await dbManager.savePipelineRun(run);
+        window.dispatchEvent(new CustomEvent('pipeline-updated', { detail: { runId: run.id, projectId: run.projectId } }));
+    }
+}
+
+// Create global instance
+window.projectPipeline = new ProjectPipeline();
\ No newline at end of file
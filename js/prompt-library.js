@@ -0,0 +1,357 @@
+/**
+ * Prompt Library for Content Autopilot PWA
+ * User-editable prompt sets (title, article section, image, outline, translation) with {{variables}},
+ * a version history per set and rendering against real project data
+ */
+
+class PromptLibrary {
+    constructor() {
+        this.kinds = [
+            { id: 'title', label: 'Titolo' },
+            { id: 'content', label: 'Sezione articolo' },
+            { id: 'image', label: 'Immagine' },
+            { id: 'outline', label: 'Scaletta (articoli lunghi)' },
+            { id: 'translateLines', label: 'Traduzione campi brevi' },
+            { id: 'translate', label: 'Traduzione contenuto' }
+        ];
+
+        // Variables available to the prompts. {{name|N}} keeps the first N characters.
+        this.variables = [
+            { name: 'language.name', description: 'Lingua del progetto (in inglese, es. Spanish)' },
+            { name: 'date', description: 'Data di oggi nel formato della lingua' },
+            { name: 'topic', description: 'Argomento del progetto' },
+            { name: 'keywords', description: 'Keywords del progetto, separate da virgola' },
+            { name: 'context.summary', description: 'Estratti dai risultati di ricerca' },
+            { name: 'context.titles', description: 'Titoli dei risultati di ricerca' },
+            { name: 'context.sources', description: 'Fonti dei risultati di ricerca' },
+            { name: 'context.sourceList', description: 'Risultati di ricerca numerati, da citare come [1], [2], con il testo estratto delle pagine quando disponibile' },
+            { name: 'title', description: 'Titolo dell\'articolo (sezioni e immagine)' },
+            { name: 'template.name', description: 'Nome del modello di articolo' },
+            { name: 'outline', description: 'Sezioni del modello, con quella da scrivere evidenziata' },
+            { name: 'section.title', description: 'Titolo della sezione da scrivere' },
+            { name: 'section.instructions', description: 'Istruzioni della sezione nel modello' },
+            { name: 'wordCount', description: 'Parole previste per la sezione (per la scaletta: per l\'articolo)' },
+            { name: 'headingRule', description: 'Regola sul sottotitolo della sezione' },
+            { name: 'previousText', description: 'Fine della sezione precedente' },
+            { name: 'sourceLanguage.name', description: 'Lingua di partenza della traduzione (in inglese)' },
+            { name: 'text', description: 'Testo da tradurre: righe numerate o HTML' }
+        ];
+
+        this.defaultSet = {
+            id: 'default',
+            name: 'Predefinito',
+            builtIn: true,
+            version: 1,
+            prompts: {
+                title: `Scrivi un titolo accattivante e SEO-friendly per un articolo di blog in italiano su: "{{topic}}".
+
+Keywords da includere: {{keywords}}
+
+Contesto dalle ricerche web:
+{{context.summary|500}}
+
+Il titolo deve essere:
+- Massimo 60 caratteri
+- Coinvolgente e cliccabile
+- Ottimizzato per i motori di ricerca
+- In lingua italiana
+
+Titolo:`,
+                content: `Stai scrivendo in italiano l'articolo "{{title}}" ({{template.name}}).
+
+Argomento principale: {{topic}}
+Keywords da includere: {{keywords}}
+
+Fonti dalle ricerche web, numerate:
+{{context.sourceList}}
+
+Struttura dell'articolo:
+{{outline}}
+
+Ultima parte già scritta:
+{{previousText}}
+
+Scrivi ora solo la sezione "{{section.title}}", di circa {{wordCount}} parole.
+Istruzioni: {{section.instructions}}
+{{headingRule}}
+Quando riporti un dato o un'affermazione presa dalle fonti, cita la fonte con il suo numero tra parentesi quadre, es. [2]. Non inventare fonti.
+Non ripetere il titolo dell'articolo, non anticipare le sezioni successive e usa un tono professionale ma accessibile.
+
+Sezione:`,
+                image: 'Professional blog illustration for "{{title}}", modern digital art style, clean and minimalist, related to {{topic}}, high quality, 16:9 aspect ratio',
+                outline: `Crea la scaletta dell'articolo in italiano "{{title}}", di circa {{wordCount}} parole.
+
+Argomento principale: {{topic}}
+Keywords da includere: {{keywords}}
+
+Informazioni di contesto dalle ricerche web:
+{{context.summary|1000}}
+
+Scrivi da 4 a 8 sezioni principali, ognuna su una riga che inizia con "## ", e sotto ciascuna 2-4 sottosezioni su righe che iniziano con "### ".
+Scrivi solo i titoli, senza introduzione né testo.
+
+Scaletta:`,
+                translateLines: `Traduci in italiano ogni riga numerata (lingua di partenza: {{sourceLanguage.name}}). Mantieni i numeri e l'ordine, scrivi una riga per numero e rispondi solo con le righe tradotte.
+
+{{text}}`,
+                translate: `Traduci in italiano il seguente HTML (lingua di partenza: {{sourceLanguage.name}}). Mantieni esattamente ogni tag e attributo HTML, traduci solo il testo visibile e rispondi solo con l'HTML tradotto.
+
+{{text}}`
+            },
+            // Built-in prompts for projects in any other language
+            internationalPrompts: {
+                title: `Write a catchy, SEO-friendly title in {{language.name}} for a blog article about: "{{topic}}".
+
+Keywords to include: {{keywords}}
+
+Context from web searches:
+{{context.summary|500}}
+
+The title must be:
+- At most 60 characters
+- Engaging and clickable
+- Optimized for search engines
+- Written in {{language.name}}
+
+Title:`,
+                content: `You are writing the article "{{title}}" ({{template.name}}) in {{language.name}}.
+
+Main topic: {{topic}}
+Keywords to include: {{keywords}}
+
+Numbered sources from web searches:
+{{context.sourceList}}
+
+Article structure:
+{{outline}}
+
+Last part already written:
+{{previousText}}
+
+Now write only the section "{{section.title}}", about {{wordCount}} words long, in {{language.name}}.
+Instructions: {{section.instructions}}
+{{headingRule}}
+When you report a fact or claim taken from the sources, cite the source with its number in square brackets, e.g. [2]. Do not invent sources.
+Do not repeat the article title, do not anticipate the next sections and keep a professional but approachable tone.
+
+Section:`,
+                image: 'Professional blog illustration for "{{title}}", modern digital art style, clean and minimalist, related to {{topic}}, high quality, 16:9 aspect ratio',
+                outline: `Create the outline of the article "{{title}}" in {{language.name}}, about {{wordCount}} words long.
+
+Main topic: {{topic}}
+Keywords to include: {{keywords}}
+
+Context from web searches:
+{{context.summary|1000}}
+
+Write 4 to 8 main sections, each on a line starting with "## ", and under each one 2-4 subsections on lines starting with "### ".
+Write the headings only, in {{language.name}}, with no introduction and no text.
+
+Outline:`,
+                translateLines: `Translate each numbered line from {{sourceLanguage.name}} to {{language.name}}. Keep the numbers and the order, write one line per number and reply with the translated lines only.
+
+{{text}}`,
+                translate: `Translate the following HTML from {{sourceLanguage.name}} to {{language.name}}. Keep every HTML tag and attribute exactly as it is, translate only the visible text and reply with the translated HTML only.
+
+{{text}}`
+            },
+            versions: []
+        };
+
+        // Text the section variables are filled with, matching the built-in prompts
+        this.sectionText = {
+            it: {
+                current: 'da scrivere ora',
+                firstSection: '(nessuna: è la prima sezione)',
+                defaultInstructions: 'segui la struttura indicata.',
+                heading: 'Inizia con un sottotitolo pertinente su una riga che comincia con "## ".',
+                noHeading: 'Non aggiungere titoli: scrivi direttamente il testo.',
+                fixedHeading: 'Il titolo della sezione è già presente: non ripeterlo e inizia direttamente dal testo.',
+                introduction: 'Introduzione',
+                introInstructions: 'Presenta il tema e cosa troverà il lettore, senza anticipare i dettagli delle sezioni.',
+                subheadings: 'Dividi la sezione in questi sottoparagrafi, ognuno con un sottotitolo su una riga che inizia con "### ":'
+            },
+            international: {
+                current: 'write this one now',
+                firstSection: '(none: this is the first section)',
+                defaultInstructions: 'follow the structure above.',
+                heading: 'Start with a relevant subheading on a line beginning with "## ".',
+                noHeading: 'Do not add headings: write the text directly.',
+                fixedHeading: 'The section heading is already in place: do not repeat it and start with the text.',
+                introduction: 'Introduction',
+                introInstructions: 'Introduce the topic and what the reader will find, without anticipating the details of the sections.',
+                subheadings: 'Split the section into these subsections, each with a subheading on a line starting with "### ":'
+            }
+        };
+    }
+
+    /**
+     * Built-in prompts for a language
+     */
+    getDefaultPrompts(languageCode) {
+        return languageCode === 'it' ? this.defaultSet.prompts : this.defaultSet.internationalPrompts;
+    }
+
+    getSectionText(languageCode) {
+        return languageCode === 'it' ? this.sectionText.it : this.sectionText.international;
+    }
+
+    /**
+     * Replace {{variables}} with values (dotted paths, arrays joined, {{name|N}} truncated)
+     */
+    render(template, variables) {
+        return template
+            .replace(/\{\{\s*([\w.]+)(?:\|(\d+))?\s*\}\}/g, (match, path, limit) => {
+                let value = path.split('.').reduce((object, key) => object?.[key], variables);
+                if (value === undefined || value === null) return '';
+
+                value = Array.isArray(value) ? value.join(', ') : String(value);
+                return limit ? value.substring(0, parseInt(limit)) : value;
+            })
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Variables used in a prompt that the library does not provide
+     */
+    findUnknownVariables(template) {
+        const known = new Set(this.variables.map(variable => variable.name));
+        const used = Array.from(template.matchAll(/\{\{\s*([\w.]+)(?:\|\d+)?\s*\}\}/g), match => match[1]);
+        return [...new Set(used)].filter(name => !known.has(name));
+    }
+
+    /**
+     * Built-in set followed by the custom ones
+     */
+    async getSets() {
+        const custom = await dbManager.getAllPromptSets();
+        return [this.defaultSet, ...custom.sort((a, b) => a.name.localeCompare(b.name))];
+    }
+
+    /**
+     * Prompt set by id, falling back to the built-in set
+     */
+    async getSet(setId) {
+        const custom = setId && setId !== this.defaultSet.id ? await dbManager.getPromptSet(setId) : null;
+        return custom || this.defaultSet;
+    }
+
+    /**
+     * Prompts assigned to a project. The built-in set and kinds left empty
+     * in a custom set use the built-in prompts of the project language.
+     */
+    async getProjectPrompts(project) {
+        const set = await this.getSet(project.promptSetId);
+        const defaults = this.getDefaultPrompts(languages.get(project.language).code);
+        const prompts = {};
+        for (const kind of this.kinds) {
+            prompts[kind.id] = (!set.builtIn && set.prompts[kind.id]?.trim()) || defaults[kind.id];
+        }
+        return { setId: set.id, version: set.version, prompts };
+    }
+
+    /**
+     * Save a custom set as a new version, keeping the previous prompts in its history
+     */
+    async saveSet(set, note = '') {
+        if (set.id === this.defaultSet.id) {
+            throw new Error('Il set predefinito non può essere modificato');
+        }
+        if (!set.name?.trim()) {
+            throw new Error('Il nome del set è obbligatorio');
+        }
+
+        const unknown = this.kinds.flatMap(kind => this.findUnknownVariables(set.prompts[kind.id] || ''));
+        if (unknown.length > 0) {
+            throw new Error(`Variabili sconosciute: ${[...new Set(unknown)].join(', ')}`);
+        }
+
+        const existing = set.id ? await dbManager.getPromptSet(set.id) : null;
+        const versions = existing?.versions || [];
+        if (existing) {
+            versions.push({
+                version: existing.version,
+                prompts: existing.prompts,
+                note: existing.note || '',
+                savedAt: existing.updatedAt
+            });
+        }
+
+        return dbManager.savePromptSet({
+            id: set.id,
+            createdAt: existing?.createdAt,
+            name: set.name.trim(),
+            builtIn: false,
+            version: existing ? existing.version + 1 : 1,
+            note: note.trim(),
+            prompts: set.prompts,
+            versions: versions
+        });
+    }
+
+    /**
+     * Make an older version current again (saved as a new version)
+     */
+    async restoreVersion(setId, version) {
+        const set = await dbManager.getPromptSet(setId);
+        const previous = set?.versions.find(item => item.version === version);
+        if (!previous) {
+            throw new Error('Versione non trovata');
+        }
+
+        return this.saveSet({ ...set, prompts: previous.prompts }, `Ripristino della versione ${version}`);
+    }
+
+    /**
+     * Delete a custom set and move its projects back to the built-in prompts
+     */
+    async deleteSet(setId) {
+        const projects = await dbManager.getAll('projects');
+        for (const project of projects.filter(item => item.promptSetId === setId)) {
+            project.promptSetId = null;
+            await dbManager.saveProject(project);
+        }
+
+        await dbManager.deletePromptSet(setId);
+    }
+
+    /**
+     * Render a prompt with the data of a real project: its latest search results,
+     * its template's first section and its latest article title.
+     * An empty prompt previews the built-in one.
+     */
+    async preview(prompt, kind, projectId) {
+        const project = await dbManager.getProject(projectId);
+        if (!project) {
+            throw new Error('Progetto non trovato');
+        }
+
+        prompt = prompt.trim() || this.getDefaultPrompts(languages.get(project.language).code)[kind];
+
+        const searchResults = await dbManager.getSearchResultsByProject(project.id);
+        const articles = await dbManager.getArticlesByProject(project.id);
+        const context = contentGenerator.prepareContentContext(searchResults);
+        const title = articles[0]?.title || `Titolo di esempio su ${project.topic}`;
+
+        let variables = contentGenerator.getPromptVariables(project, context, title);
+        if (kind === 'outline') {
+            variables.wordCount = contentGenerator.outlineDefaults.wordCount;
+        }
+        if (kind === 'translate' || kind === 'translateLines') {
+            // Previewed as a translation from the project language into itself
+            variables.sourceLanguage = variables.language;
+            variables.text = kind === 'translate' ? (articles[0]?.content || `<p>${title}</p>`).substring(0, 500) : `1. ${title}`;
+        }
+        if (kind === 'content') {
+            const template = await contentGenerator.getTemplate(project.template, variables.language.code);
+            const section = template.sections[0];
+            variables = contentGenerator.getSectionVariables(variables, template, section, contentGenerator.getSectionWords(section), []);
+        }
+
+        return this.render(prompt, variables);
+    }
+}
+
+// Create global instance
+window.promptLibrary = new PromptLibrary();
\ No newline at end of file
@@ -0,0 +1,184 @@
+/**
+ * Publication Queue for Content Autopilot PWA
+ * Ordered list of approved drafts consumed by recurring publish tasks
+ */
+
+class PublicationQueue {
+    constructor() {
+        this.defaultLowWatermark = 3; // Notify when this many articles or fewer are left
+    }
+
+    /**
+     * Approve a draft and append it to the queue
+     */
+    async enqueue(articleId) {
+        const article = await dbManager.getArticle(articleId);
+        if (!article) {
+            throw new Error('Articolo non trovato');
+        }
+        if (article.status === 'published' || article.status === 'scheduled') {
+            throw new Error('L\'articolo è già pubblicato o programmato');
+        }
+
+        const existing = await dbManager.getPublicationQueueEntry(articleId);
+        if (existing) {
+            return existing;
+        }
+
+        const queue = await dbManager.getPublicationQueue();
+        const entry = await dbManager.savePublicationQueueEntry({
+            articleId: articleId,
+            projectId: article.projectId,
+            position: queue.length > 0 ? queue[queue.length - 1].position + 1 : 1,
+            approvedAt: new Date().toISOString()
+        });
+
+        article.status = 'queued';
+        await dbManager.saveArticle(article);
+
+        return entry;
+    }
+
+    /**
+     * Remove an article from the queue, back to draft
+     */
+    async dequeue(articleId) {
+        await dbManager.removeFromPublicationQueue(articleId);
+
+        const article = await dbManager.getArticle(articleId);
+        if (article && article.status === 'queued') {
+            article.status = 'draft';
+            await dbManager.saveArticle(article);
+        }
+    }
+
+    /**
+     * Move an article up (-1) or down (+1) in the queue
+     */
+    async move(articleId, direction) {
+        const queue = await dbManager.getPublicationQueue();
+        const index = queue.findIndex(entry => entry.articleId === articleId);
+        const target = queue[index + direction];
+        if (index === -1 || !target) return;
+
+        const current = queue[index];
+        [current.position, target.position] = [target.position, current.position];
+
+        await dbManager.savePublicationQueueEntry(current);
+        await dbManager.savePublicationQueueEntry(target);
+    }
+
+    /**
+     * Get queued articles in order, optionally limited to a scope { projectId, siteId }
+     */
+    async getQueue(scope = {}) {
+        const queue = await dbManager.getPublicationQueue();
+        const items = [];
+
+        for (const entry of queue) {
+            const article = await dbManager.getArticle(entry.articleId);
+            if (!article || article.status !== 'queued') {
+                // Deleted, published or scheduled by hand while queued
+                await dbManager.delete('publicationQueue', entry.id);
+                continue;
+            }
+
+            const siteId = await wpConnector.resolveSiteId(article);
+            if (scope.projectId && article.projectId !== scope.projectId) continue;
+            if (scope.siteId && siteId !== scope.siteId) continue;
+
+            items.push({ entry, article, siteId });
+        }
+
+        return items;
+    }
+
+    /**
+     * Count articles published from the queue today in a scope.
+     * The day starts at midnight in the timezone of the publishing task.
+     */
+    async countPublishedToday(scope = {}, timezone = CronExpression.getLocalTimezone()) {
+        const today = CronExpression.getWallDate(timezone);
+        const startOfDay = new CronExpression('0 0 * * *', timezone)
+            .fromWallTime(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+
+        const articles = await dbManager.getAllArticles();
+        let count = 0;
+
+        for (const article of articles) {
+            if (!article.queuePublishedAt || new Date(article.queuePublishedAt) < startOfDay) continue;
+            if (scope.projectId && article.projectId !== scope.projectId) continue;
+            if (scope.siteId && article.wordpressSiteId !== scope.siteId) continue;
+            count++;
+        }
+
+        return count;
+    }
+
+    /**
+     * Publish the next eligible article of a scope.
+     * options: { projectId, siteId, maxPerDay, lowWatermark, status, timezone }
+     * Returns { published, article, reason, remaining }.
+     */
+    async publishNext(options = {}) {
+        const scope = { projectId: options.projectId || null, siteId: options.siteId || null };
+
+        if (options.maxPerDay && await this.countPublishedToday(scope, options.timezone || undefined) >= options.maxPerDay) {
+            return { published: false, article: null, reason: 'daily_limit', remaining: null };
+        }
+
+        const queue = await this.getQueue(scope);
+        if (queue.length === 0) {
+            await this.checkLowQueue(scope, 0, options.lowWatermark);
+            return { published: false, article: null, reason: 'empty', remaining: 0 };
+        }
+
+        const { article, siteId } = queue[0];
+        const result = await wpConnector.publishArticle(article, {
+            status: options.status || 'publish',
+            siteId: siteId
+        });
+
+        if (result.conflict) {
+            throw new Error(`WordPress conflict (${result.conflict.type}) on "${article.title}": resolve it from the articles tab`);
+        }
+
+        article.queuePublishedAt = new Date().toISOString();
+        await dbManager.saveArticle(article);
+        await dbManager.removeFromPublicationQueue(article.id);
+
+        const remaining = queue.length - 1;
+        await this.checkLowQueue(scope, remaining, options.lowWatermark);
+
+        return { published: true, article, reason: null, remaining };
+    }
+
+    /**
+     * Notify once when a queue drops to its low watermark (re-armed when it refills)
+     */
+    async checkLowQueue(scope, remaining, lowWatermark = this.defaultLowWatermark) {
+        const key = `queue_low_notified_${scope.projectId || scope.siteId || 'all'}`;
+        const notified = await dbManager.getSetting(key, false);
+
+        if (remaining > lowWatermark) {
+            if (notified) {
+                await dbManager.saveSetting(key, false);
+            }
+            return;
+        }
+
+        if (notified) return;
+
+        scheduler.sendNotification(
+            remaining === 0 ? 'Coda di pubblicazione vuota' : 'Coda di pubblicazione quasi vuota',
+            remaining === 0 ?
+                'Non ci sono articoli approvati da pubblicare' :
+                `Restano ${remaining} articoli approvati in coda`,
+            { scope: scope, remaining: remaining }
+        );
+        await dbManager.saveSetting(key, true);
+    }
+}
+
+// Create global instance
+window.publicationQueue = new PublicationQueue();
\ No newline at end of file
@@ -8,17 +8,182 @@ class Scheduler {
         this.isRunning = false;
         this.intervals = new Map();
         this.scheduledTasks = new Map();
+        this.runningTasks = new Set(); // Long tasks outlive the check interval
         this.config = {
             checkInterval: 60000, // Check every minute
             maxRetries: 3,
-            retryDelay: 300000 // 5 minutes
+            retryDelay: 300000, // 5 minutes
+            reconcileInterval: 900000, // Check WordPress-scheduled posts every 15 minutes
+            misfirePolicy: 'run_once', // run_once | run_all | skip | ask
+            misfireGraceMinutes: 15, // Late runs within this window are not misfires
+            maxCatchUpRuns: 10, // Cap for the run_all policy
+            leaderLockName: 'content-autopilot-scheduler-leader',
+            channelName: 'content-autopilot-scheduler',
+            localTaskTypes: ['backup_data', 'cleanup_old_data'] // Tasks that need no credentials
         };
-        this.init();
+        this.lastReconcile = 0;
+        this.misfireSummary = []; // Missed runs found at startup, for the UI
+        this.isLeader = false; // Only the leader tab executes tasks
+        this.leaderStatus = null; // Status mirrored from the leader tab
+        this.channel = null;
+        this.initialized = false;
+        this.ready = this.init();
     }
 
     async init() {
         await this.loadScheduledTasks();
+        this.initChannel();
+        // Tasks put off while the vault was locked are still due
+        window.addEventListener('vault-unlocked', () => this.processScheduledTasks());
+        await this.electLeader();
+        this.initialized = true;
+    }
+
+    /**
+     * Elect one tab to run the scheduler with a Web Lock. The lock is held
+     * until the tab closes, then the next waiting tab takes over.
+     */
+    async electLeader() {
+        if (!navigator.locks) {
+            console.warn('Web Locks not supported: this tab runs the scheduler');
+            await this.becomeLeader();
+            return;
+        }
+
+        const holdLock = () => new Promise(() => {});
+
+        const acquired = await new Promise(resolve => {
+            navigator.locks.request(this.config.leaderLockName, { ifAvailable: true }, lock => {
+                resolve(!!lock);
+                return lock ? holdLock() : null;
+            });
+        });
+
+        if (acquired) {
+            await this.becomeLeader();
+            return;
+        }
+
+        console.log('Scheduler running in another tab, following');
+        this.broadcast({ type: 'status-request' });
+
+        navigator.locks.request(this.config.leaderLockName, () => {
+            this.becomeLeader();
+            return holdLock();
+        });
+    }
+
+    /**
+     * Start executing tasks in this tab
+     */
+    async becomeLeader() {
+        this.isLeader = true;
+        this.leaderStatus = null;
+        console.log('This tab is the scheduler leader');
+
+        // Tasks may have changed while following
+        await this.loadScheduledTasks();
+        await this.ensureCleanupTask();
+
+        this.misfireSummary = await this.handleMissedRuns();
+        if (this.misfireSummary.length > 0) {
+            this.broadcast({ type: 'misfires', entries: this.misfireSummary });
+            // At startup the app reads misfireSummary once ready
+            if (this.initialized) {
+                window.dispatchEvent(new CustomEvent('scheduler-misfires', { detail: this.misfireSummary }));
+            }
+        }
+
         this.startScheduler();
+        this.publishStatus();
+    }
+
+    /**
+     * Channel between the tabs of the app
+     */
+    initChannel() {
+        if (!('BroadcastChannel' in window)) return;
+
+        this.channel = new BroadcastChannel(this.config.channelName);
+        this.channel.onmessage = (event) => this.handleChannelMessage(event.data);
+    }
+
+    broadcast(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+        }
+    }
+
+    async handleChannelMessage(message) {
+        switch (message.type) {
+            case 'tasks-changed':
+                await this.loadScheduledTasks();
+                if (this.isLeader) {
+                    this.publishStatus();
+                }
+                break;
+            case 'status':
+                if (!this.isLeader) {
+                    this.leaderStatus = message.status;
+                    window.dispatchEvent(new CustomEvent('scheduler-status', { detail: message.status }));
+                }
+                break;
+            case 'status-request':
+                if (this.isLeader) {
+                    this.publishStatus();
+                }
+                break;
+            case 'run-task':
+                if (this.isLeader) {
+                    await this.loadScheduledTasks();
+                    await this.runTaskNow(message.taskId);
+                }
+                break;
+            case 'resolve-misfire':
+                if (this.isLeader) {
+                    await this.resolveMisfire(message.taskId, message.decision);
+                }
+                break;
+            case 'misfires':
+                if (!this.isLeader) {
+                    window.dispatchEvent(new CustomEvent('scheduler-misfires', { detail: message.entries }));
+                }
+                break;
+        }
+    }
+
+    /**
+     * Share the leader status with this tab's UI and the follower tabs
+     */
+    publishStatus() {
+        if (!this.isLeader) return;
+
+        const status = this.getStatus();
+        this.broadcast({ type: 'status', status: status });
+        window.dispatchEvent(new CustomEvent('scheduler-status', { detail: status }));
+    }
+
+    /**
+     * Save a task and tell the other tabs to reload theirs
+     */
+    async saveTask(task) {
+        await dbManager.saveScheduledTask(task);
+        this.broadcast({ type: 'tasks-changed' });
+        this.publishStatus();
+    }
+
+    /**
+     * Keep a daily cleanup task so data retention (including task run history) applies
+     */
+    async ensureCleanupTask() {
+        try {
+            const cleanupTasks = await this.getTasksByType('cleanup_old_data');
+            if (cleanupTasks.some(task => task.recurring)) return;
+
+            await this.scheduleRecurringTask('cleanup_old_data', 'daily', '03:00');
+        } catch (error) {
+            console.error('Failed to schedule data cleanup:', error);
+        }
     }
 
     /**
@@ -86,65 +251,368 @@ class Scheduler {
         if (!this.isRunning) return;
 
         try {
-            const now = new Date();
+            // Runs missed while the device slept follow their misfire policy
+            const missed = await this.handleMissedRuns();
+            if (missed.length > 0) {
+                this.misfireSummary = missed;
+                this.broadcast({ type: 'misfires', entries: missed });
+                window.dispatchEvent(new CustomEvent('scheduler-misfires', { detail: missed }));
+            }
+
             const dueTasks = await dbManager.getScheduledTasksDue();
 
             for (const task of dueTasks) {
-                if (this.scheduledTasks.has(task.id)) {
+                if (this.scheduledTasks.has(task.id) && task.status !== 'awaiting_decision') {
                     await this.executeTask(task);
                 }
             }
         } catch (error) {
             console.error('Error processing scheduled tasks:', error);
         }
+
+        await this.reconcileNativeSchedules();
+    }
+
+    /**
+     * Apply the misfire policy of tasks whose run is later than the grace window.
+     * Returns a summary entry per task: { taskId, type, missedCount, firstMissed, policy, decision }
+     */
+    async handleMissedRuns() {
+        const summary = [];
+        const now = Date.now();
+
+        let dueTasks = [];
+        try {
+            dueTasks = await dbManager.getScheduledTasksDue();
+        } catch (error) {
+            console.error('Failed to check missed runs:', error);
+            return summary;
+        }
+
+        for (const task of dueTasks) {
+            if (!this.scheduledTasks.has(task.id) || this.runningTasks.has(task.id)) continue;
+            if (task.status === 'awaiting_decision' || task.misfireHandledFor === task.nextRun) continue;
+
+            const graceMinutes = task.misfireGraceMinutes ?? this.config.misfireGraceMinutes;
+            if (now - new Date(task.nextRun).getTime() <= graceMinutes * 60000) continue;
+
+            const missedCount = this.countMissedRuns(task, now);
+            const policy = task.misfirePolicy || this.config.misfirePolicy;
+            const entry = {
+                taskId: task.id,
+                type: task.type,
+                projectId: task.projectId || task.options?.projectId || null,
+                articleId: task.articleId || null,
+                missedCount: missedCount,
+                firstMissed: task.nextRun,
+                policy: policy,
+                decision: policy
+            };
+
+            task.misfireHandledFor = task.nextRun;
+
+            switch (policy) {
+                case 'skip':
+                    if (task.recurring) {
+                        task.nextRun = this.getNextSlotAfter(task, now);
+                        task.misfireHandledFor = task.nextRun;
+                        task.status = 'pending';
+                        entry.nextRun = task.nextRun;
+                    } else {
+                        // One-time tasks have no next slot
+                        await this.skipOneTimeTask(task);
+                    }
+                    break;
+                case 'ask':
+                    task.status = 'awaiting_decision';
+                    break;
+                case 'run_all':
+                    // The overdue slot runs now, the others right after it
+                    task.catchUpRuns = task.recurring ? Math.min(missedCount, this.config.maxCatchUpRuns) - 1 : 0;
+                    entry.catchUpRuns = task.catchUpRuns + 1;
+                    break;
+                default:
+                    entry.decision = 'run_once';
+                    break;
+            }
+
+            await this.saveTask(task);
+            if (task.isActive) {
+                this.scheduledTasks.set(task.id, task);
+            }
+            summary.push(entry);
+        }
+
+        if (summary.length > 0) {
+            console.log(`Missed runs handled: ${summary.length}`, summary);
+        }
+        return summary;
+    }
+
+    /**
+     * Mark a skipped one-time task as missed. The article it would have
+     * published goes back to draft, as when its schedule is cancelled.
+     */
+    async skipOneTimeTask(task) {
+        task.isActive = false;
+        task.status = 'missed';
+        this.scheduledTasks.delete(task.id);
+
+        if (task.type !== 'publish_article' || !task.articleId) return;
+
+        try {
+            const article = await dbManager.getArticle(task.articleId);
+            if (article?.status === 'scheduled' && article.scheduleMode === 'local' &&
+                (!article.scheduledTaskId || article.scheduledTaskId === task.id)) {
+                article.status = 'draft';
+                article.scheduledFor = null;
+                article.scheduleMode = null;
+                article.scheduledTaskId = null;
+                await dbManager.saveArticle(article);
+            }
+        } catch (error) {
+            console.error(`Failed to unschedule article ${task.articleId}:`, error);
+        }
+    }
+
+    /**
+     * Count the slots of a task that passed without running (at least 1)
+     */
+    countMissedRuns(task, now) {
+        if (!task.recurring) return 1;
+
+        let count = 0;
+        let slot = task.nextRun;
+        while (new Date(slot).getTime() <= now && count < 1000) {
+            const next = this.calculateNextRun({ ...task, lastRun: slot });
+            count++;
+            if (next <= slot) break; // Interval task without an interval
+            slot = next;
+        }
+        return Math.max(count, 1);
+    }
+
+    /**
+     * First slot of a recurring task after a time
+     */
+    getNextSlotAfter(task, now) {
+        let slot = task.nextRun;
+        for (let i = 0; i < 1000 && new Date(slot).getTime() <= now; i++) {
+            const next = this.calculateNextRun({ ...task, lastRun: slot });
+            if (next <= slot) {
+                return new Date(now).toISOString();
+            }
+            slot = next;
+        }
+        return slot;
+    }
+
+    /**
+     * Resolve a task waiting for the user: 'run' now or 'skip' to the next slot
+     */
+    async resolveMisfire(taskId, decision) {
+        if (!this.isLeader) {
+            this.broadcast({ type: 'resolve-misfire', taskId: taskId, decision: decision });
+            return;
+        }
+
+        const task = this.scheduledTasks.get(taskId);
+        if (!task || task.status !== 'awaiting_decision') return;
+
+        task.status = 'pending';
+
+        if (decision === 'skip') {
+            if (task.recurring) {
+                task.nextRun = this.getNextSlotAfter(task, Date.now());
+                task.misfireHandledFor = task.nextRun;
+            } else {
+                await this.skipOneTimeTask(task);
+            }
+            await this.saveTask(task);
+            return;
+        }
+
+        await this.saveTask(task);
+        await this.executeTask(task);
+    }
+
+    /**
+     * Pick up posts that WordPress published (or that were unscheduled there)
+     */
+    async reconcileNativeSchedules() {
+        if (!navigator.onLine || Date.now() - this.lastReconcile < this.config.reconcileInterval) {
+            return;
+        }
+
+        // Sites are still loading right after startup
+        if (wpConnector.sites.size === 0) {
+            return;
+        }
+
+        this.lastReconcile = Date.now();
+
+        try {
+            const changed = await wpConnector.reconcileScheduledArticles();
+            if (changed > 0) {
+                console.log(`Reconciled ${changed} WordPress-scheduled articles`);
+            }
+        } catch (error) {
+            console.error('Schedule reconcile failed:', error);
+        }
     }
 
     /**
      * Execute a scheduled task
      */
     async executeTask(task) {
+        // Followers hand execution over to the leader tab
+        if (!this.isLeader) {
+            this.broadcast({ type: 'run-task', taskId: task.id });
+            return;
+        }
+
+        // A locked vault is not a task failure: the task stays due, without
+        // using a retry, and runs once the vault is unlocked
+        if (this.isWaitingForVault(task)) {
+            console.log(`Task ${task.type} (${task.id}) waiting for the vault to be unlocked`);
+            return;
+        }
+
+        if (this.runningTasks.has(task.id)) return;
+        this.runningTasks.add(task.id);
+        this.publishStatus();
+
         console.log(`Executing task: ${task.type} (${task.id})`);
 
+        const taskRun = await this.startTaskRun(task);
+
         try {
             let result = false;
 
             switch (task.type) {
                 case 'publish_article':
-                    result = await this.executePublishArticle(task);
+                    result = await this.executePublishArticle(task, taskRun);
                     break;
                 case 'generate_content':
-                    result = await this.executeGenerateContent(task);
+                    result = await this.executeGenerateContent(task, taskRun);
                     break;
                 case 'search_topics':
-                    result = await this.executeSearchTopics(task);
+                    result = await this.executeSearchTopics(task, taskRun);
                     break;
                 case 'backup_data':
-                    result = await this.executeBackupData(task);
+                    result = await this.executeBackupData(task, taskRun);
                     break;
                 case 'cleanup_old_data':
-                    result = await this.executeCleanupOldData(task);
+                    result = await this.executeCleanupOldData(task, taskRun);
+                    break;
+                case 'sync_wordpress':
+                    result = await this.executeSyncWordPress(task, taskRun);
+                    break;
+                case 'pipeline_stage':
+                    result = await projectPipeline.executeStage(task, taskRun);
                     break;
                 default:
                     console.warn(`Unknown task type: ${task.type}`);
+                    await this.finishTaskRun(taskRun, 'failed', `Unknown task type: ${task.type}`);
                     return;
             }
 
             if (result) {
+                await this.finishTaskRun(taskRun, taskRun.outcome === 'skipped' ? 'skipped' : 'success');
                 await this.handleTaskSuccess(task);
             } else {
+                await this.finishTaskRun(taskRun, 'failed', 'Task execution returned false');
                 await this.handleTaskFailure(task, 'Task execution returned false');
             }
 
         } catch (error) {
             console.error(`Task execution failed: ${task.type}`, error);
+            await this.finishTaskRun(taskRun, 'failed', error.message);
             await this.handleTaskFailure(task, error.message);
+        } finally {
+            this.runningTasks.delete(task.id);
+            this.publishStatus();
+        }
+    }
+
+    isWaitingForVault(task) {
+        return !this.config.localTaskTypes.includes(task.type) &&
+            credentialVault.isInitialized() && !credentialVault.isUnlocked();
+    }
+
+    /**
+     * Record the start of a task execution in the run history
+     */
+    async startTaskRun(task) {
+        const taskRun = {
+            taskId: task.id,
+            type: task.type,
+            projectId: task.projectId || task.options?.projectId || null,
+            articleId: task.articleId || null,
+            attempt: (task.retryCount || 0) + 1,
+            startedAt: new Date().toISOString(),
+            endedAt: null,
+            durationMs: null,
+            outcome: 'running',
+            error: null,
+            summary: null,
+            artefacts: {}
+        };
+
+        try {
+            await dbManager.saveTaskRun(taskRun);
+        } catch (error) {
+            console.error('Failed to record task run:', error);
+        }
+        return taskRun;
+    }
+
+    /**
+     * Record the outcome of a task execution (success, skipped or failed)
+     */
+    async finishTaskRun(taskRun, outcome, error = null) {
+        taskRun.endedAt = new Date().toISOString();
+        taskRun.durationMs = new Date(taskRun.endedAt) - new Date(taskRun.startedAt);
+        taskRun.outcome = outcome;
+        taskRun.error = error;
+
+        try {
+            await dbManager.saveTaskRun(taskRun);
+        } catch (saveError) {
+            console.error('Failed to record task run:', saveError);
+        }
+    }
+
+    /**
+     * Add produced artefacts to a task run: { articleIds, wordpressPosts, searchResultIds }
+     */
+    recordArtefacts(taskRun, artefacts) {
+        if (!taskRun) return;
+
+        for (const [key, values] of Object.entries(artefacts)) {
+            taskRun.artefacts[key] = [...(taskRun.artefacts[key] || []), ...values];
+        }
+    }
+
+    /**
+     * Execute a scheduled task now instead of waiting for the next check
+     */
+    async runTaskNow(taskId) {
+        const task = this.scheduledTasks.get(taskId);
+        if (task) {
+            await this.executeTask(task);
         }
     }
 
     /**
      * Execute publish article task
      */
-    async executePublishArticle(task) {
+    async executePublishArticle(task, taskRun = null) {
+        // Recurring publishing has no article: it takes the next one from the queue
+        if (!task.articleId) {
+            return this.executePublishFromQueue(task, taskRun);
+        }
+
         const article = await dbManager.getArticle(task.articleId);
         if (!article) {
             throw new Error('Article not found');
@@ -155,6 +623,16 @@ class Scheduler {
             ...task.options
         });
 
+        // Never overwrite remote edits unattended
+        if (result.conflict) {
+            throw new Error(`WordPress conflict (${result.conflict.type}): resolve it from the articles tab`);
+        }
+
+        this.recordArtefacts(taskRun, {
+            articleIds: [article.id],
+            wordpressPosts: [{ siteId: result.siteId, postId: result.wordpressId, url: result.url }]
+        });
+
         // Send notification
         if ('serviceWorker' in navigator && 'Notification' in window) {
             this.sendNotification(
@@ -167,10 +645,48 @@ class Scheduler {
         return result.success;
     }
 
+    /**
+     * Publish the next approved article of the task scope from the publication queue
+     */
+    async executePublishFromQueue(task, taskRun = null) {
+        const options = task.options || {};
+        const result = await publicationQueue.publishNext({ ...options, timezone: task.timezone });
+
+        if (!result.published) {
+            if (result.reason === 'empty' && options.skipIfEmpty === false) {
+                throw new Error('Publication queue is empty');
+            }
+            console.log(`Queue publishing skipped: ${result.reason}`);
+            if (taskRun) {
+                taskRun.outcome = 'skipped';
+                taskRun.summary = result.reason === 'empty' ? 'Coda vuota' : 'Limite giornaliero raggiunto';
+            }
+            return true;
+        }
+
+        this.recordArtefacts(taskRun, {
+            articleIds: [result.article.id],
+            wordpressPosts: [{ siteId: result.article.wordpressSiteId, postId: result.article.wordpressId, url: result.article.wordpressUrl }]
+        });
+        if (taskRun) {
+            taskRun.summary = `Restano ${result.remaining} articoli in coda`;
+        }
+
+        if ('serviceWorker' in navigator && 'Notification' in window) {
+            this.sendNotification(
+                'Articolo Pubblicato',
+                `"${result.article.title}" è stato pubblicato dalla coda`,
+                { article: result.article, remaining: result.remaining }
+            );
+        }
+
+        return true;
+    }
+
     /**
      * Execute generate content task
      */
-    async executeGenerateContent(task) {
+    async executeGenerateContent(task, taskRun = null) {
         const project = await dbManager.getProject(task.projectId);
         if (!project) {
             throw new Error('Project not found');
@@ -178,9 +694,19 @@ class Scheduler {
 
         const result = await contentGenerator.generateArticlesFromProject(
             task.projectId, 
-            task.options || {}
+            { ...task.options, queueOffline: true }
         );
 
+        this.recordArtefacts(taskRun, { articleIds: (result.articles || []).map(article => article.id) });
+
+        if (result.queued) {
+            if (taskRun) {
+                taskRun.outcome = 'skipped';
+                taskRun.summary = `Offline: ${result.queued} articoli in coda, generati al ritorno della connessione`;
+            }
+            return true;
+        }
+
         // Send notification
         if ('serviceWorker' in navigator && 'Notification' in window) {
             this.sendNotification(
@@ -195,7 +721,7 @@ class Scheduler {
     /**
      * Execute search topics task
      */
-    async executeSearchTopics(task) {
+    async executeSearchTopics(task, taskRun = null) {
         const project = await dbManager.getProject(task.projectId);
         if (!project) {
             throw new Error('Project not found');
@@ -205,37 +731,84 @@ class Scheduler {
         const keywords = Array.isArray(project.keywords) ? 
             project.keywords : project.keywords.split(',').map(k => k.trim());
 
+        // Offline scheduled searches go to the outbox (pipeline stages retry instead)
+        if (!navigator.onLine && task.type === 'search_topics') {
+            const day = new Date().toISOString().slice(0, 10);
+            for (const keyword of keywords) {
+                const query = `${project.topic} ${keyword}`;
+                await operationOutbox.enqueue('search', {
+                    query: query,
+                    options: { count: 10, market: languages.get(project.language).market, freshness: 'pm', providers: project.searchProviders }
+                }, {
+                    projectId: project.id,
+                    idempotencyKey: `search:${project.id}:${query}:${day}`
+                });
+            }
+
+            if (taskRun) {
+                taskRun.outcome = 'skipped';
+                taskRun.summary = `Offline: ${keywords.length} ricerche in coda`;
+            }
+            return true;
+        }
+
         const searchResults = [];
         for (const keyword of keywords) {
             try {
                 const result = await apiManager.searchWeb(`${project.topic} ${keyword}`, {
                     count: 10,
-                    market: 'it-IT'
+                    market: languages.get(project.language).market,
+                    freshness: 'pm', // Past month
+                    providers: project.searchProviders
                 });
                 
                 const searchData = {
                     id: dbManager.generateId(),
                     projectId: project.id,
                     query: `${project.topic} ${keyword}`,
+                    providers: result.providers,
                     results: result.results,
                     totalResults: result.totalResults,
                     searchedAt: new Date().toISOString()
                 };
 
                 await dbManager.saveSearchResults(searchData);
+                await pageExtractor.extractSearchResults(searchData);
                 searchResults.push(searchData);
             } catch (error) {
                 console.error(`Search failed for keyword: ${keyword}`, error);
             }
         }
 
+        this.recordArtefacts(taskRun, { searchResultIds: searchResults.map(search => search.id) });
         return searchResults.length > 0;
     }
 
+    /**
+     * Execute WordPress posts sync task
+     */
+    async executeSyncWordPress(task, taskRun = null) {
+        const stats = await wpConnector.importPosts(task.options?.siteId);
+
+        if (taskRun) {
+            taskRun.summary = `${stats.created} importati, ${stats.updated} aggiornati, ${stats.skipped} saltati`;
+        }
+
+        if (stats.created + stats.updated > 0) {
+            this.sendNotification(
+                'Sincronizzazione WordPress',
+                `${stats.created} articoli importati, ${stats.updated} aggiornati`,
+                { stats: stats }
+            );
+        }
+
+        return true;
+    }
+
     /**
      * Execute backup data task
      */
-    async executeBackupData(task) {
+    async executeBackupData(task, taskRun = null) {
         try {
             const exportData = await dbManager.exportData();
             
@@ -255,6 +828,9 @@ class Scheduler {
             a.click();
             URL.revokeObjectURL(url);
 
+            if (taskRun) {
+                taskRun.summary = filename;
+            }
             return true;
         } catch (error) {
             console.error('Backup failed:', error);
@@ -265,7 +841,7 @@ class Scheduler {
     /**
      * Execute cleanup old data task
      */
-    async executeCleanupOldData(task) {
+    async executeCleanupOldData(task, taskRun = null) {
         try {
             const cutoffDate = new Date();
             cutoffDate.setDate(cutoffDate.getDate() - (task.options?.daysToKeep || 30));
@@ -281,15 +857,26 @@ class Scheduler {
                 }
             }
 
-            // Clean up old pending operations
+            // Clean up old delivered or abandoned operations
             const allPendingOps = await dbManager.getAllPendingOperations();
             for (const op of allPendingOps) {
-                if (new Date(op.createdAt) < cutoffDate) {
+                if ((op.status === 'done' || op.status === 'failed') && new Date(op.createdAt) < cutoffDate) {
                     await dbManager.deletePendingOperation(op.id);
                     cleanedCount++;
                 }
             }
 
+            // Task run history has its own retention
+            const runDaysToKeep = task.options?.taskRunDaysToKeep ||
+                await dbManager.getSetting('taskRunRetentionDays', 90);
+            const runCutoffDate = new Date();
+            runCutoffDate.setDate(runCutoffDate.getDate() - runDaysToKeep);
+            cleanedCount += await dbManager.deleteTaskRunsBefore(runCutoffDate);
+
+            if (taskRun) {
+                taskRun.summary = `${cleanedCount} record eliminati`;
+            }
+
             console.log(`Cleaned up ${cleanedCount} old records`);
             return true;
         } catch (error) {
@@ -309,14 +896,20 @@ class Scheduler {
             task.retryCount = 0;
 
             // Calculate next run time if it's a recurring task
-            if (task.recurring) {
+            if (task.recurring && task.catchUpRuns > 0) {
+                // run_all misfire policy: the next missed slot runs right away
+                task.catchUpRuns--;
+                task.nextRun = task.lastRun;
+                task.misfireHandledFor = task.nextRun;
+                task.status = 'pending';
+            } else if (task.recurring) {
                 task.nextRun = this.calculateNextRun(task);
                 task.status = 'pending'; // Reset for next run
             } else {
                 task.isActive = false; // Disable one-time tasks
             }
 
-            await dbManager.saveScheduledTask(task);
+            await this.saveTask(task);
             this.scheduledTasks.set(task.id, task);
 
             console.log(`Task completed successfully: ${task.type}`);
@@ -345,6 +938,10 @@ class Scheduler {
                     `Task "${task.type}" failed after ${this.config.maxRetries} attempts`,
                     { error: errorMessage }
                 );
+
+                if (task.type === 'pipeline_stage') {
+                    await projectPipeline.onStageFailed(task, errorMessage);
+                }
             } else {
                 // Schedule retry
                 const retryDelay = this.config.retryDelay * task.retryCount; // Exponential backoff
@@ -352,7 +949,7 @@ class Scheduler {
                 task.status = 'retry';
             }
 
-            await dbManager.saveScheduledTask(task);
+            await this.saveTask(task);
             this.scheduledTasks.set(task.id, task);
 
             console.log(`Task failed: ${task.type}, retry count: ${task.retryCount}`);
@@ -381,7 +978,7 @@ class Scheduler {
                 ...options
             };
 
-            await dbManager.saveScheduledTask(task);
+            await this.saveTask(task);
             this.scheduledTasks.set(task.id, task);
 
             console.log(`Task scheduled: ${taskType} for ${scheduledFor}`);
@@ -396,29 +993,105 @@ class Scheduler {
      * Schedule recurring content generation
      */
     async scheduleRecurringGeneration(projectId, frequency, startTime, options = {}) {
-        const scheduledFor = this.createScheduleDateTime(frequency, startTime);
-        
-        return this.scheduleTask('generate_content', scheduledFor, {
-            projectId: projectId,
-            recurring: true,
-            frequency: frequency,
-            taskOptions: options
+        return this.scheduleRecurringTask('generate_content', frequency, startTime, options, {
+            projectId: projectId
         });
     }
 
     /**
-     * Schedule recurring publishing
+     * Schedule recurring publishing from the publication queue.
+     * options: { projectId, siteId, maxPerDay, skipIfEmpty, lowWatermark, intervalMinutes, cron, timezone, misfirePolicy, misfireGraceMinutes }
      */
     async scheduleRecurringPublishing(frequency, startTime, options = {}) {
-        const scheduledFor = this.createScheduleDateTime(frequency, startTime);
-        
-        return this.scheduleTask('publish_article', scheduledFor, {
+        return this.scheduleRecurringTask('publish_article', frequency, startTime, options);
+    }
+
+    /**
+     * Schedule recurring WordPress posts sync for a site
+     */
+    async scheduleWordPressSync(siteId, frequency, startTime, options = {}) {
+        return this.scheduleRecurringTask('sync_wordpress', frequency, startTime, {
+            ...options,
+            siteId: siteId
+        });
+    }
+
+    /**
+     * Schedule a recurring task. options.cron and options.timezone define the
+     * recurrence when frequency is 'cron', options.misfirePolicy and
+     * options.misfireGraceMinutes what to do with missed runs; the rest are the task options.
+     */
+    async scheduleRecurringTask(taskType, frequency, startTime, options = {}, fields = {}) {
+        const { cron, timezone, misfirePolicy, misfireGraceMinutes, ...taskOptions } = options;
+        const recurrence = this.createRecurrence(frequency, startTime, { cron, timezone });
+
+        return this.scheduleTask(taskType, recurrence.scheduledFor, {
+            ...fields,
             recurring: true,
             frequency: frequency,
-            taskOptions: options
+            cron: recurrence.cron,
+            timezone: recurrence.timezone,
+            misfirePolicy: misfirePolicy || this.config.misfirePolicy,
+            misfireGraceMinutes: misfireGraceMinutes ?? this.config.misfireGraceMinutes,
+            taskOptions: taskOptions
         });
     }
 
+    /**
+     * Resolve a frequency to { cron, timezone, scheduledFor }.
+     * Presets become cron expressions; 'custom' stays a minute interval (cron is null).
+     */
+    createRecurrence(frequency, startTime, options = {}) {
+        const timezone = options.timezone || CronExpression.getLocalTimezone();
+
+        if (frequency === 'custom') {
+            return { cron: null, timezone: timezone, scheduledFor: this.createScheduleDateTime(frequency, startTime) };
+        }
+
+        const cron = frequency === 'cron' ? options.cron : this.frequencyToCron(frequency, startTime, timezone);
+        const expression = new CronExpression(cron, timezone);
+
+        return { cron: expression.expression, timezone: timezone, scheduledFor: expression.next().toISOString() };
+    }
+
+    /**
+     * Cron expression of a preset frequency, anchored to today in the timezone
+     * the expression runs in (the browser's day can already be another one)
+     */
+    frequencyToCron(frequency, time, timezone = CronExpression.getLocalTimezone()) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const today = CronExpression.getWallDate(timezone);
+
+        switch (frequency) {
+            case 'daily':
+                return `${minutes} ${hours} * * *`;
+            case 'weekly':
+                return `${minutes} ${hours} * * ${today.getUTCDay()}`;
+            case 'monthly':
+                // Days missing in short months run on the last day instead
+                return `${minutes} ${hours} ${today.getUTCDate() > 28 ? 'L' : today.getUTCDate()} * *`;
+            default:
+                throw new Error(`Unknown frequency: ${frequency}`);
+        }
+    }
+
+    /**
+     * Next run times of a recurrence, for previews
+     */
+    previewRecurrence(frequency, startTime, options = {}, count = 5) {
+        const recurrence = this.createRecurrence(frequency, startTime, options);
+
+        if (recurrence.cron) {
+            return new CronExpression(recurrence.cron, recurrence.timezone).preview(count);
+        }
+
+        const intervalMs = (options.intervalMinutes || 0) * 60000;
+        const first = new Date(recurrence.scheduledFor).getTime();
+        return intervalMs > 0 ?
+            Array.from({ length: count }, (_, i) => new Date(first + i * intervalMs)) :
+            [new Date(first)];
+    }
+
     /**
      * Create schedule date/time
      */
@@ -451,6 +1124,11 @@ class Scheduler {
      * Calculate next run time for recurring tasks
      */
     calculateNextRun(task) {
+        if (task.cron) {
+            return new CronExpression(task.cron, task.timezone).next(new Date(task.lastRun)).toISOString();
+        }
+
+        // Interval tasks and tasks saved before cron support
         const lastRun = new Date(task.lastRun);
         const nextRun = new Date(lastRun);
 
@@ -483,7 +1161,7 @@ class Scheduler {
             if (task) {
                 task.isActive = false;
                 task.status = 'cancelled';
-                await dbManager.saveScheduledTask(task);
+                await this.saveTask(task);
                 this.scheduledTasks.delete(taskId);
             }
 
@@ -549,7 +1227,13 @@ class Scheduler {
      * Get scheduler status
      */
     getStatus() {
+        if (!this.isLeader && this.leaderStatus) {
+            return { ...this.leaderStatus, isLeader: false };
+        }
+
         return {
+            isLeader: this.isLeader,
+            runningTasks: Array.from(this.runningTasks).map(taskId => this.scheduledTasks.get(taskId)).filter(Boolean),
             isRunning: this.isRunning,
             totalTasks: this.scheduledTasks.size,
             activeTasks: Array.from(this.scheduledTasks.values()).filter(t => t.isActive).length,
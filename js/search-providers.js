@@ -0,0 +1,437 @@
+/**
+ * Search Providers for Content Autopilot PWA
+ * Adapters used by APIManager to query different web search backends
+ */
+
+/**
+ * Base search provider. Adapters implement:
+ * - search(query, options, config): return { results, rateLimit } where results
+ *   has the shape { query, totalResults, results, suggestions, news }
+ */
+class SearchProvider extends APIProvider {
+    constructor(id, label) {
+        super(id, label);
+    }
+
+    async search(query, options, config) {
+        throw new Error(`${this.label}: search not implemented`);
+    }
+
+    /**
+     * Build a normalized result item
+     */
+    createResult(item) {
+        return {
+            title: item.title || '',
+            url: item.url,
+            description: item.description || '',
+            displayUrl: item.displayUrl || this.getDisplayUrl(item.url),
+            datePublished: item.datePublished || null,
+            snippet: item.description || '',
+            language: item.language || null,
+            location: item.location || null,
+            provider: this.id
+        };
+    }
+
+    getDisplayUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return parsed.hostname + (parsed.pathname !== '/' ? parsed.pathname : '');
+        } catch (error) {
+            return url;
+        }
+    }
+
+    /**
+     * Map Brave freshness codes (pd, pw, pm, py) to a period name
+     */
+    getFreshnessPeriod(freshness) {
+        const periods = { pd: 'day', pw: 'week', pm: 'month', py: 'year' };
+        return periods[freshness] || null;
+    }
+}
+
+/**
+ * Brave Search API
+ */
+class BraveSearchProvider extends SearchProvider {
+    constructor() {
+        super('brave', 'Brave Search');
+        this.fields = [
+            {
+                name: 'apiKey', label: 'API Key', type: 'password', secret: true, required: true,
+                help: '<a href="https://api.search.brave.com/" target="_blank">Ottieni gratis su api.search.brave.com</a> (2,000 chiamate/mese)'
+            }
+        ];
+    }
+
+    getHeaders(config) {
+        return {
+            'Accept': 'application/json',
+            'X-Subscription-Token': config.apiKey
+        };
+    }
+
+    async test(config) {
+        await this.request('https://api.search.brave.com/res/v1/web/search?q=test&count=1', {
+            method: 'GET',
+            headers: this.getHeaders(config)
+        });
+        return true;
+    }
+
+    async search(query, options, config) {
+        const params = new URLSearchParams({
+            q: query,
+            count: options.count || 10,
+            offset: options.offset || 0,
+            mkt: options.market || 'it-IT',
+            safesearch: options.safesearch || 'moderate',
+            textDecorations: false,
+            textFormat: 'Raw',
+            freshness: options.freshness || ''
+        });
+
+        const response = await this.request(`https://api.search.brave.com/res/v1/web/search?${params}`, {
+            method: 'GET',
+            headers: this.getHeaders(config)
+        });
+
+        const data = await response.json();
+
+        return {
+            results: this.formatResults(data),
+            rateLimit: this.parseRateLimit(response.headers)
+        };
+    }
+
+    /**
+     * Format Brave Search results
+     */
+    formatResults(data) {
+        return {
+            query: data.query?.original || '',
+            totalResults: data.web?.totalEstimatedMatches || 0,
+            results: data.web?.results?.map(result => this.createResult({
+                title: result.title,
+                url: result.url,
+                description: result.description,
+                displayUrl: result.display_url,
+                datePublished: result.date,
+                language: result.language,
+                location: result.location
+            })) || [],
+            suggestions: data.query?.spellcheck || [],
+            news: data.news?.results?.map(news => ({
+                title: news.title,
+                url: news.url,
+                description: news.description,
+                datePublished: news.age,
+                source: news.source
+            })) || []
+        };
+    }
+
+    async parseError(response) {
+        if (response.status === 401) {
+            return new Error('Invalid Brave API key');
+        }
+        return super.parseError(response);
+    }
+}
+
+/**
+ * Self-hosted SearXNG instance (JSON output must be enabled in settings.yml)
+ */
+class SearXNGProvider extends SearchProvider {
+    constructor() {
+        super('searxng', 'SearXNG');
+        this.fields = [
+            { name: 'baseUrl', label: 'URL istanza', type: 'url', placeholder: 'https://searx.example.com', required: true },
+            { name: 'apiKey', label: 'Token (opzionale)', type: 'password', secret: true },
+            { name: 'engines', label: 'Motori (opzionale, separati da virgola)', type: 'text' }
+        ];
+    }
+
+    getHeaders(config) {
+        const headers = { 'Accept': 'application/json' };
+        if (config.apiKey) {
+            headers['Authorization'] = `Bearer ${config.apiKey}`;
+        }
+        return headers;
+    }
+
+    async test(config) {
+        const response = await this.request(`${config.baseUrl}/search?q=test&format=json`, {
+            method: 'GET',
+            headers: this.getHeaders(config)
+        });
+        await response.json(); // Fails if JSON format is disabled
+        return true;
+    }
+
+    async search(query, options, config) {
+        const params = new URLSearchParams({
+            q: query,
+            format: 'json',
+            pageno: Math.floor((options.offset || 0) / (options.count || 10)) + 1,
+            language: options.market || 'it-IT',
+            safesearch: options.safesearch === 'off' ? 0 : options.safesearch === 'strict' ? 2 : 1
+        });
+
+        const period = this.getFreshnessPeriod(options.freshness);
+        if (period) {
+            params.set('time_range', period);
+        }
+        if (config.engines) {
+            params.set('engines', config.engines);
+        }
+
+        const response = await this.request(`${config.baseUrl}/search?${params}`, {
+            method: 'GET',
+            headers: this.getHeaders(config)
+        });
+
+        const data = await response.json();
+        const items = data.results || [];
+        const count = options.count || 10;
+
+        return {
+            results: {
+                query: data.query || query,
+                totalResults: data.number_of_results || items.length,
+                results: items
+                    .filter(item => item.category !== 'news')
+                    .slice(0, count)
+                    .map(item => this.createResult({
+                        title: item.title,
+                        url: item.url,
+                        description: item.content,
+                        datePublished: item.publishedDate
+                    })),
+                suggestions: [...(data.suggestions || []), ...(data.corrections || [])],
+                news: items
+                    .filter(item => item.category === 'news')
+                    .map(item => ({
+                        title: item.title,
+                        url: item.url,
+                        description: item.content,
+                        datePublished: item.publishedDate,
+                        source: item.engine
+                    }))
+            },
+            rateLimit: null
+        };
+    }
+
+    parseRateLimit() {
+        return null;
+    }
+}
+
+/**
+ * Bing Web Search API v7
+ */
+class BingSearchProvider extends SearchProvider {
+    constructor() {
+        super('bing', 'Bing Web Search');
+        this.fields = [
+            { name: 'apiKey', label: 'Subscription Key', type: 'password', secret: true, required: true },
+            { name: 'endpoint', label: 'Endpoint', type: 'url', default: 'https://api.bing.microsoft.com/v7.0/search', required: true }
+        ];
+        this.freshnessMap = { day: 'Day', week: 'Week', month: 'Month' };
+    }
+
+    getHeaders(config) {
+        return {
+            'Accept': 'application/json',
+            'Ocp-Apim-Subscription-Key': config.apiKey
+        };
+    }
+
+    async test(config) {
+        await this.request(`${config.endpoint}?q=test&count=1`, {
+            method: 'GET',
+            headers: this.getHeaders(config)
+        });
+        return true;
+    }
+
+    async search(query, options, config) {
+        const params = new URLSearchParams({
+            q: query,
+            count: options.count || 10,
+            offset: options.offset || 0,
+            mkt: options.market || 'it-IT',
+            safeSearch: { off: 'Off', strict: 'Strict' }[options.safesearch] || 'Moderate',
+            textDecorations: false,
+            textFormat: 'Raw'
+        });
+
+        const period = this.freshnessMap[this.getFreshnessPeriod(options.freshness)];
+        if (period) {
+            params.set('freshness', period);
+        }
+
+        const response = await this.request(`${config.endpoint}?${params}`, {
+            method: 'GET',
+            headers: this.getHeaders(config)
+        });
+
+        const data = await response.json();
+
+        return {
+            results: {
+                query: data.queryContext?.originalQuery || query,
+                totalResults: data.webPages?.totalEstimatedMatches || 0,
+                results: data.webPages?.value?.map(result => this.createResult({
+                    title: result.name,
+                    url: result.url,
+                    description: result.snippet,
+                    displayUrl: result.displayUrl,
+                    datePublished: result.datePublished || result.dateLastCrawled,
+                    language: result.language
+                })) || [],
+                suggestions: data.queryContext?.alteredQuery ? [data.queryContext.alteredQuery] : [],
+                news: data.news?.value?.map(news => ({
+                    title: news.name,
+                    url: news.url,
+                    description: news.description,
+                    datePublished: news.datePublished,
+                    source: news.provider?.[0]?.name
+                })) || []
+            },
+            rateLimit: null
+        };
+    }
+
+    async parseError(response) {
+        if (response.status === 401) {
+            return new Error('Invalid Bing subscription key');
+        }
+        return super.parseError(response);
+    }
+
+    parseRateLimit() {
+        return null;
+    }
+}
+
+/**
+ * RSS/Atom feeds filtered by query terms.
+ * Feeds must allow CORS, or be served through a proxy.
+ */
+class FeedSearchProvider extends SearchProvider {
+    constructor() {
+        super('feeds', 'Feed RSS/Atom');
+        this.fields = [
+            { name: 'feedUrls', label: 'URL dei feed (uno per riga)', type: 'textarea', required: true }
+        ];
+    }
+
+    getFeedUrls(config) {
+        return (config.feedUrls || '')
+            .split(/\n|,/)
+            .map(url => url.trim())
+            .filter(url => url.length > 0);
+    }
+
+    async test(config) {
+        const urls = this.getFeedUrls(config);
+        if (urls.length === 0) {
+            throw new Error('No feed configured');
+        }
+        await this.fetchFeed(urls[0]);
+        return true;
+    }
+
+    async search(query, options, config) {
+        const terms = query.toLowerCase().split(/\s+/).filter(term => term.length > 2);
+        const cutoff = this.getCutoffDate(options.freshness);
+        const entries = [];
+
+        for (const url of this.getFeedUrls(config)) {
+            try {
+                entries.push(...await this.fetchFeed(url));
+            } catch (error) {
+                console.error(`Feed fetch failed: ${url}`, error);
+            }
+        }
+
+        const matches = entries
+            .filter(entry => !cutoff || !entry.datePublished || new Date(entry.datePublished) >= cutoff)
+            .map(entry => {
+                const text = `${entry.title} ${entry.description}`.toLowerCase();
+                return { entry, score: terms.filter(term => text.includes(term)).length };
+            })
+            .filter(match => terms.length === 0 || match.score > 0)
+            .sort((a, b) => b.score - a.score ||
+                new Date(b.entry.datePublished || 0) - new Date(a.entry.datePublished || 0));
+
+        const offset = options.offset || 0;
+        const count = options.count || 10;
+
+        return {
+            results: {
+                query: query,
+                totalResults: matches.length,
+                results: matches.slice(offset, offset + count).map(match => this.createResult(match.entry)),
+                suggestions: [],
+                news: []
+            },
+            rateLimit: null
+        };
+    }
+
+    /**
+     * Fetch and parse an RSS or Atom feed
+     */
+    async fetchFeed(url) {
+        const response = await this.request(url, { method: 'GET' });
+        const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+
+        if (xml.querySelector('parsererror')) {
+            throw new Error(`Invalid feed: ${url}`);
+        }
+
+        const text = (node, selector) => node.querySelector(selector)?.textContent?.trim() || '';
+
+        // RSS 2.0
+        const items = Array.from(xml.querySelectorAll('item'));
+        if (items.length > 0) {
+            return items.map(item => ({
+                title: text(item, 'title'),
+                url: text(item, 'link'),
+                description: htmlUtils.toText(text(item, 'description')),
+                datePublished: text(item, 'pubDate') || null
+            })).filter(entry => entry.url);
+        }
+
+        // Atom
+        return Array.from(xml.querySelectorAll('entry')).map(entry => {
+            const link = entry.querySelector('link[rel="alternate"]') || entry.querySelector('link');
+            return {
+                title: text(entry, 'title'),
+                url: link?.getAttribute('href') || '',
+                description: htmlUtils.toText(text(entry, 'summary') || text(entry, 'content')),
+                datePublished: text(entry, 'published') || text(entry, 'updated') || null
+            };
+        }).filter(entry => entry.url);
+    }
+
+    getCutoffDate(freshness) {
+        const days = { day: 1, week: 7, month: 31, year: 365 }[this.getFreshnessPeriod(freshness)];
+        return days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
+    }
+
+    parseRateLimit() {
+        return null;
+    }
+}
+
+window.SearchProvider = SearchProvider;
+window.BraveSearchProvider = BraveSearchProvider;
+window.SearXNGProvider = SearXNGProvider;
+window.BingSearchProvider = BingSearchProvider;
+window.FeedSearchProvider = FeedSearchProvider;
\ No newline at end of file
@@ -0,0 +1,272 @@
+/**
+ * Text Generation Providers for Content Autopilot PWA
+ * Adapters used by APIManager to talk to different text generation backends
+ */
+
+/**
+ * Base text provider. Adapters implement:
+ * - generate(prompt, options, config): return { text, model, rateLimit }
+ */
+class TextProvider extends APIProvider {
+    constructor(id, label) {
+        super(id, label);
+        this.requiresInternet = true;
+    }
+
+    async generate(prompt, options, config) {
+        throw new Error(`${this.label}: generation not implemented`);
+    }
+}
+
+/**
+ * OpenAI-compatible chat completions (OpenAI, OpenRouter, Groq, vLLM, LM Studio...)
+ */
+class OpenAICompatibleProvider extends TextProvider {
+    constructor() {
+        super('openai', 'OpenAI-compatible');
+        this.fields = [
+            { name: 'baseUrl', label: 'Base URL', type: 'url', default: 'https://api.openai.com/v1', required: true },
+            { name: 'apiKey', label: 'API Key', type: 'password', secret: true },
+            { name: 'model', label: 'Modello', type: 'text', default: 'gpt-4o-mini', required: true }
+        ];
+        this.systemPrompt = 'Sei un copywriter esperto che scrive contenuti per blog chiari, accurati e ottimizzati SEO.';
+    }
+
+    getHeaders(config) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.apiKey) {
+            headers['Authorization'] = `Bearer ${config.apiKey}`;
+        }
+        return headers;
+    }
+
+    async test(config) {
+        await this.request(`${config.baseUrl}/models`, {
+            method: 'GET',
+            headers: this.getHeaders(config)
+        });
+        return true;
+    }
+
+    async generate(prompt, options, config) {
+        const model = options.model || config.model;
+
+        const response = await this.request(`${config.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: this.getHeaders(config),
+            body: JSON.stringify({
+                model: model,
+                messages: [
+                    { role: 'system', content: options.system || this.systemPrompt },
+                    { role: 'user', content: prompt }
+                ],
+                max_tokens: options.maxLength || 500,
+                temperature: options.temperature || 0.7
+            })
+        });
+
+        const data = await response.json();
+
+        return {
+            text: data.choices?.[0]?.message?.content || '',
+            model: data.model || model,
+            rateLimit: this.parseRateLimit(response.headers)
+        };
+    }
+
+    parseRateLimit(headers) {
+        const remaining = headers.get('x-ratelimit-remaining-requests');
+        const reset = headers.get('x-ratelimit-reset-requests');
+
+        if (remaining === null && reset === null) {
+            return super.parseRateLimit(headers);
+        }
+
+        return {
+            remaining: remaining !== null ? parseInt(remaining) : null,
+            resetDate: reset !== null ? new Date(Date.now() + this.parseDuration(reset)) : null
+        };
+    }
+
+    /**
+     * Parse OpenAI reset durations like "1s", "6m0s" or "120ms"
+     */
+    parseDuration(value) {
+        const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+        let total = 0;
+        for (const [, amount, unit] of value.matchAll(/([\d.]+)(ms|s|m|h)/g)) {
+            total += parseFloat(amount) * units[unit];
+        }
+        return total;
+    }
+}
+
+/**
+ * Local inference server (Ollama or llama.cpp)
+ */
+class LocalServerProvider extends TextProvider {
+    constructor() {
+        super('local', 'Server locale (Ollama / llama.cpp)');
+        this.requiresInternet = false;
+        this.fields = [
+            {
+                name: 'serverType', label: 'Tipo server', type: 'select', default: 'ollama', required: true,
+                options: [
+                    { value: 'ollama', label: 'Ollama' },
+                    { value: 'llamacpp', label: 'llama.cpp server' }
+                ]
+            },
+            { name: 'baseUrl', label: 'URL server', type: 'url', default: 'http://localhost:11434', required: true },
+            { name: 'model', label: 'Modello (Ollama)', type: 'text', default: 'llama3.1' }
+        ];
+    }
+
+    async test(config) {
+        const path = config.serverType === 'llamacpp' ? '/health' : '/api/tags';
+        await this.request(`${config.baseUrl}${path}`, { method: 'GET' });
+        return true;
+    }
+
+    async generate(prompt, options, config) {
+        const maxLength = options.maxLength || 500;
+        const temperature = options.temperature || 0.7;
+
+        if (config.serverType === 'llamacpp') {
+            const response = await this.request(`${config.baseUrl}/completion`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    prompt: prompt,
+                    n_predict: maxLength,
+                    temperature: temperature
+                })
+            });
+
+            const data = await response.json();
+            return { text: data.content || '', model: data.model || 'llama.cpp', rateLimit: null };
+        }
+
+        const model = options.model || config.model;
+        const response = await this.request(`${config.baseUrl}/api/generate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model: model,
+                prompt: prompt,
+                system: options.system,
+                stream: false,
+                options: {
+                    num_predict: maxLength,
+                    temperature: temperature
+                }
+            })
+        });
+
+        const data = await response.json();
+        return { text: data.response || '', model: data.model || model, rateLimit: null };
+    }
+
+    async parseError(response) {
+        if (response.status === 404) {
+            return new Error(`${this.label}: endpoint or model not found`);
+        }
+        return super.parseError(response);
+    }
+
+    parseRateLimit() {
+        return null;
+    }
+}
+
+/**
+ * Hugging Face Inference API
+ */
+class HuggingFaceProvider extends TextProvider {
+    constructor() {
+        super('huggingface', 'Hugging Face');
+        this.fields = [
+            { name: 'apiKey', label: 'Token', type: 'password', secret: true, required: true },
+            { name: 'model', label: 'Modello', type: 'text', default: 'mistralai/Mistral-7B-Instruct-v0.2', required: true }
+        ];
+        this.loadingRetryDelay = 20000;
+        this.maxLoadingRetries = 3;
+    }
+
+    getHeaders(config) {
+        return {
+            'Authorization': `Bearer ${config.apiKey}`,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    async test(config) {
+        const response = await fetch(`https://api-inference.huggingface.co/models/${config.model}`, {
+            method: 'POST',
+            headers: this.getHeaders(config),
+            body: JSON.stringify({
+                inputs: 'Test',
+                parameters: { max_new_tokens: 5 }
+            })
+        });
+
+        // 503 means model is loading, which is still a valid response
+        if (response.ok || response.status === 503) {
+            return true;
+        }
+        throw await this.parseError(response);
+    }
+
+    async generate(prompt, options, config, attempt = 0) {
+        const model = options.model || config.model;
+
+        const response = await fetch(`https://api-inference.huggingface.co/models/${model}`, {
+            method: 'POST',
+            headers: this.getHeaders(config),
+            body: JSON.stringify({
+                inputs: prompt,
+                parameters: {
+                    max_new_tokens: options.maxLength || 500,
+                    temperature: options.temperature || 0.7,
+                    return_full_text: false,
+                    do_sample: true
+                }
+            })
+        });
+
+        if (response.status === 503 && attempt < this.maxLoadingRetries) {
+            // Model is loading, try again after a delay
+            await new Promise(resolve => setTimeout(resolve, this.loadingRetryDelay));
+            return this.generate(prompt, options, config, attempt + 1);
+        }
+
+        if (!response.ok) {
+            throw await this.parseError(response);
+        }
+
+        const data = await response.json();
+        let text = '';
+
+        if (Array.isArray(data) && data.length > 0) {
+            text = data[0].generated_text || data[0].text || '';
+        } else if (data.generated_text) {
+            text = data.generated_text;
+        }
+
+        return { text, model, rateLimit: this.parseRateLimit(response.headers) };
+    }
+
+    async parseError(response) {
+        if (response.status === 401) {
+            return new Error('Invalid Hugging Face token');
+        }
+        if (response.status === 503) {
+            return new Error('Hugging Face model is still loading. Please try again in a few minutes.');
+        }
+        return super.parseError(response);
+    }
+}
+
+window.TextProvider = TextProvider;
+window.OpenAICompatibleProvider = OpenAICompatibleProvider;
+window.LocalServerProvider = LocalServerProvider;
+window.HuggingFaceProvider = HuggingFaceProvider;
\ No newline at end of file
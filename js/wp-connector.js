@@ -5,12 +5,16 @@
 
 class WordPressConnector {
     constructor() {
-        this.config = null;
-        this.isConnected = false;
-        this.authToken = null;
-        this.siteInfo = null;
-        this.categories = [];
-        this.tags = [];
+        // One session per saved site: { config, authToken, isConnected, siteInfo, categories, tags }
+        this.sites = new Map();
+        this.activeSiteId = null; // Default site, used when no target is set
+        this.syncTolerance = 2 * 60 * 1000; // Remote edits within 2 minutes of a legacy publish are ours
+        this.importStatuses = ['publish', 'future', 'draft', 'pending', 'private'];
+
+        // The password is only readable while the credential vault is unlocked
+        window.addEventListener('vault-unlocked', () => this.loadConfig());
+        window.addEventListener('vault-locked', () => this.loadConfig());
+
         this.init();
     }
 
@@ -20,14 +24,49 @@ class WordPressConnector {
     }
 
     /**
-     * Load WordPress configuration from storage
+     * Default site accessors
+     */
+    get config() {
+        return this.getActiveSession()?.config || null;
+    }
+
+    get isConnected() {
+        return this.getActiveSession()?.isConnected || false;
+    }
+
+    get siteInfo() {
+        return this.getActiveSession()?.siteInfo || null;
+    }
+
+    get categories() {
+        return this.getActiveSession()?.categories || [];
+    }
+
+    get tags() {
+        return this.getActiveSession()?.tags || [];
+    }
+
+    getActiveSession() {
+        return this.sites.get(this.activeSiteId) || null;
+    }
+
+    /**
+     * Load all saved WordPress sites from storage
      */
     async loadConfig() {
         try {
-            this.config = await dbManager.getActiveWPConfig();
-            if (this.config) {
-                this.authToken = btoa(`${this.config.username}:${this.config.password}`);
-                await this.testConnection();
+            const configs = await dbManager.getAllWPConfigs();
+
+            this.sites.clear();
+            configs.forEach(config => this.sites.set(config.id, this.createSession(config)));
+
+            const active = configs.find(config => config.isActive) || configs[0];
+            this.activeSiteId = active ? active.id : null;
+
+            // Other sites connect on first use
+            const session = this.getActiveSession();
+            if (session && session.authToken) {
+                await this.connectSession(session);
             }
         } catch (error) {
             console.error('Failed to load WordPress config:', error);
@@ -35,12 +74,110 @@ class WordPressConnector {
     }
 
     /**
-     * Save WordPress configuration
+     * Create a connection session for a site configuration
      */
-    async saveConfig(wpUrl, username, password) {
+    createSession(config) {
+        return {
+            config: config,
+            authToken: config.secretsLocked ? null : btoa(`${config.username}:${config.password}`),
+            isConnected: false,
+            siteInfo: config.siteInfo || null,
+            categories: [],
+            tags: []
+        };
+    }
+
+    /**
+     * Test a session and load its categories and tags
+     */
+    async connectSession(session) {
+        const result = await this.testConnectionWithConfig(session.config);
+
+        session.isConnected = result.success;
+        if (result.success) {
+            session.siteInfo = result.siteInfo;
+            await this.loadCategoriesAndTags(session);
+        }
+
+        return result;
+    }
+
+    /**
+     * Get a connected session for a site (defaults to the active site)
+     */
+    async getSession(siteId = null) {
+        const session = this.sites.get(siteId || this.activeSiteId);
+        if (!session) {
+            throw new Error(siteId ? `WordPress site not found: ${siteId}` : 'WordPress not configured or connected');
+        }
+        if (session.config.secretsLocked) {
+            throw new Error('Credential vault is locked');
+        }
+
+        if (!session.isConnected) {
+            const result = await this.connectSession(session);
+            if (!result.success) {
+                throw new Error(`WordPress not connected (${session.config.name || session.config.url}): ${result.error}`);
+            }
+        }
+
+        return session;
+    }
+
+    /**
+     * Resolve the target site of an article: article override, then project, then default site
+     */
+    async resolveSiteId(article) {
+        if (article.targetSiteId && this.sites.has(article.targetSiteId)) {
+            return article.targetSiteId;
+        }
+
+        const project = article.projectId ? await dbManager.getProject(article.projectId) : null;
+        if (project?.targetSiteId && this.sites.has(project.targetSiteId)) {
+            return project.targetSiteId;
+        }
+
+        return this.activeSiteId;
+    }
+
+    /**
+     * Get saved sites
+     */
+    getSites() {
+        return Array.from(this.sites.values()).map(session => ({
+            id: session.config.id,
+            name: session.config.name || session.siteInfo?.title || session.config.url,
+            url: session.config.url,
+            username: session.config.username,
+            isActive: session.config.id === this.activeSiteId,
+            isConnected: session.isConnected,
+            isLocked: !!session.config.secretsLocked,
+            multilingual: session.config.multilingual || null,
+            categoriesCount: session.categories.length,
+            tagsCount: session.tags.length
+        }));
+    }
+
+    /**
+     * Save a WordPress site configuration.
+     * options.siteId updates an existing site (an empty password keeps the saved one).
+     */
+    async saveConfig(wpUrl, username, password, options = {}) {
         try {
+            const existing = options.siteId ? this.sites.get(options.siteId) : null;
+            if (options.siteId && !existing) {
+                throw new Error(`WordPress site not found: ${options.siteId}`);
+            }
+
             // Normalize URL
             wpUrl = this.normalizeUrl(wpUrl);
+
+            if (!password && existing) {
+                if (existing.config.secretsLocked) {
+                    throw new Error('Credential vault is locked');
+                }
+                password = existing.config.password;
+            }
             
             // Test connection first
             const testConfig = {
@@ -56,25 +193,35 @@ class WordPressConnector {
 
             // Save configuration
             const config = {
-                id: 'wp_main_config',
+                id: existing ? existing.config.id : `wp_${dbManager.generateId()}`,
+                name: options.name || existing?.config.name || testResult.siteInfo.title,
                 url: wpUrl,
                 username: username,
-                password: password, // In production, this should be encrypted
-                isActive: true,
+                password: password, // Encrypted at rest by the credential vault
+                isActive: options.makeDefault || (existing ? existing.config.isActive : this.sites.size === 0),
+                multilingual: options.multilingual ?? existing?.config.multilingual ?? null, // polylang | wpml
                 siteInfo: testResult.siteInfo,
-                createdAt: new Date().toISOString()
+                createdAt: existing ? existing.config.createdAt : new Date().toISOString()
             };
 
             await dbManager.saveWPConfig(config);
-            this.config = config;
-            this.authToken = btoa(`${username}:${password}`);
-            this.isConnected = true;
-            this.siteInfo = testResult.siteInfo;
+
+            const session = this.createSession(config);
+            session.isConnected = true;
+            session.siteInfo = testResult.siteInfo;
+            this.sites.set(config.id, session);
+
+            if (config.isActive) {
+                this.activeSiteId = config.id;
+                this.sites.forEach(other => {
+                    if (other !== session) other.config.isActive = false;
+                });
+            }
 
             // Load categories and tags
-            await this.loadCategoriesAndTags();
+            await this.loadCategoriesAndTags(session);
 
-            return { success: true, siteInfo: this.siteInfo };
+            return { success: true, siteId: config.id, siteInfo: session.siteInfo };
 
         } catch (error) {
             console.error('Failed to save WordPress config:', error);
@@ -83,14 +230,39 @@ class WordPressConnector {
     }
 
     /**
-     * Test WordPress connection
+     * Make a site the default publishing target
      */
-    async testConnection() {
-        if (!this.config) {
+    async setActiveSite(siteId) {
+        if (!this.sites.has(siteId)) {
+            throw new Error(`WordPress site not found: ${siteId}`);
+        }
+
+        await dbManager.setActiveWPConfig(siteId);
+
+        this.sites.forEach((session, id) => {
+            session.config.isActive = id === siteId;
+        });
+        this.activeSiteId = siteId;
+
+        const session = this.getActiveSession();
+        if (!session.isConnected && session.authToken) {
+            await this.connectSession(session);
+        }
+    }
+
+    /**
+     * Test WordPress connection (defaults to the active site)
+     */
+    async testConnection(siteId = null) {
+        const session = this.sites.get(siteId || this.activeSiteId);
+        if (!session) {
             return { success: false, error: 'No configuration found' };
         }
+        if (session.config.secretsLocked) {
+            return { success: false, error: 'Credential vault is locked' };
+        }
 
-        return this.testConnectionWithConfig(this.config);
+        return this.connectSession(session);
     }
 
     /**
@@ -144,8 +316,6 @@ class WordPressConnector {
                 siteInfo = await siteResponse.json();
             }
 
-            this.isConnected = true;
-            
             return { 
                 success: true, 
                 userData: userData,
@@ -167,22 +337,46 @@ class WordPressConnector {
     }
 
     /**
-     * Publish article to WordPress
+     * Publish article to WordPress.
+     * The target site is options.siteId, or the article/project target, or the default site.
+     * Articles already published on the target site update their existing post; if the
+     * remote post changed since the last sync, a conflict is returned instead of overwriting.
+     * options.resolution: 'overwrite' (push anyway) or 'recreate' (create a new post).
      */
     async publishArticle(article, options = {}) {
-        if (!this.isConnected || !this.config) {
-            throw new Error('WordPress not configured or connected');
-        }
-
         try {
+            const session = await this.getSession(options.siteId || await this.resolveSiteId(article));
+            const siteId = session.config.id;
+
+            // Posts published before multi-site support belong to the default site
+            const isUpdate = !!article.wordpressId &&
+                (article.wordpressSiteId || this.activeSiteId) === siteId &&
+                options.resolution !== 'recreate';
+
+            if (isUpdate && options.resolution !== 'overwrite') {
+                const conflict = await this.checkRemoteConflict(article, session);
+                if (conflict) {
+                    return { success: false, siteId: siteId, conflict: conflict, article: article };
+                }
+            }
+
             // Prepare post data
-            const postData = await this.preparePostData(article, options);
+            const postData = await this.preparePostData(article, options, session);
+            if (isUpdate && !options.status) {
+                delete postData.status; // Keep the remote status
+            }
             
-            // Create the post
-            const response = await fetch(`${this.config.url}/wp-json/wp/v2/posts`, {
+            // Create or update the post (WPML reads the language from the query string)
+            const language = session.config.multilingual === 'wpml' && article.language ?
+                `?lang=${encodeURIComponent(article.language)}` : '';
+            const endpoint = isUpdate ?
+                `${session.config.url}/wp-json/wp/v2/posts/${article.wordpressId}${language}` :
+                `${session.config.url}/wp-json/wp/v2/posts${language}`;
+
+            const response = await fetch(endpoint, {
                 method: 'POST',
                 headers: {
-                    'Authorization': `Basic ${this.authToken}`,
+                    'Authorization': `Basic ${session.authToken}`,
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify(postData)
@@ -193,30 +387,44 @@ class WordPressConnector {
                 throw new Error(`WordPress publish failed: ${errorData.message || response.statusText}`);
             }
 
-            const publishedPost = await response.json();
+            let publishedPost = await response.json();
 
-            // Upload featured image if exists
+            // Upload featured image if it changed since the last sync
             if (article.featuredImage && article.featuredImage.url) {
-                try {
-                    const mediaId = await this.uploadFeaturedImage(article.featuredImage, publishedPost.id);
-                    if (mediaId) {
-                        await this.updatePostFeaturedImage(publishedPost.id, mediaId);
+                if (!isUpdate || article.wordpressMediaSource !== article.featuredImage.url) {
+                    try {
+                        const mediaId = await this.uploadFeaturedImage(article.featuredImage, publishedPost.id, session);
+                        if (mediaId) {
+                            publishedPost = await this.updatePostFeaturedImage(publishedPost.id, mediaId, session) || publishedPost;
+                            article.wordpressMediaId = mediaId;
+                            article.wordpressMediaSource = article.featuredImage.url;
+                        }
+                    } catch (error) {
+                        console.error('Failed to upload featured image:', error);
+                        // Continue without featured image
                     }
-                } catch (error) {
-                    console.error('Failed to upload featured image:', error);
-                    // Continue without featured image
                 }
+            } else if (isUpdate && article.wordpressMediaId) {
+                publishedPost = await this.updatePostFeaturedImage(publishedPost.id, 0, session) || publishedPost;
+                article.wordpressMediaId = null;
+                article.wordpressMediaSource = null;
             }
 
             // Update article status in database
-            article.status = 'published';
-            article.publishedAt = new Date().toISOString();
+            article.status = publishedPost.status === 'future' ? 'scheduled' : 'published';
+            article.publishedAt = isUpdate && article.publishedAt ? article.publishedAt : new Date().toISOString();
             article.wordpressId = publishedPost.id;
             article.wordpressUrl = publishedPost.link;
+            article.wordpressSiteId = siteId;
+            article.wordpressStatus = publishedPost.status;
+            article.wordpressModifiedGmt = publishedPost.modified_gmt;
+            article.syncedAt = new Date().toISOString();
             await dbManager.saveArticle(article);
 
             return {
                 success: true,
+                siteId: siteId,
+                updated: isUpdate,
                 wordpressId: publishedPost.id,
                 url: publishedPost.link,
                 article: article
@@ -228,20 +436,119 @@ class WordPressConnector {
         }
     }
 
+    /**
+     * Fetch a post with raw fields (null if it no longer exists)
+     */
+    async getRemotePost(postId, session) {
+        const response = await fetch(`${session.config.url}/wp-json/wp/v2/posts/${postId}?context=edit`, {
+            headers: {
+                'Authorization': `Basic ${session.authToken}`,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (response.status === 404 || response.status === 410) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`WordPress post fetch failed: HTTP ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Check if the remote post was edited, trashed or deleted since the last sync.
+     * Returns { type: 'modified' | 'trashed' | 'deleted', remotePost } or null.
+     */
+    async checkRemoteConflict(article, session) {
+        const remotePost = await this.getRemotePost(article.wordpressId, session);
+
+        if (!remotePost) {
+            return { type: 'deleted', remotePost: null };
+        }
+        if (remotePost.status === 'trash') {
+            return { type: 'trashed', remotePost };
+        }
+
+        if (article.wordpressModifiedGmt) {
+            if (remotePost.modified_gmt !== article.wordpressModifiedGmt) {
+                return { type: 'modified', remotePost };
+            }
+        } else if (article.publishedAt) {
+            // Articles published before sync tracking: compare with the publish time,
+            // allowing for the featured image update that follows the first publish
+            const remoteModified = new Date(`${remotePost.modified_gmt}Z`).getTime();
+            if (remoteModified - new Date(article.publishedAt).getTime() > this.syncTolerance) {
+                return { type: 'modified', remotePost };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Replace the local article with the remote post (conflict resolution)
+     */
+    async pullRemotePost(article, remotePost = null) {
+        const session = await this.getSession(article.wordpressSiteId || this.activeSiteId);
+        remotePost = remotePost || await this.getRemotePost(article.wordpressId, session);
+        if (!remotePost) {
+            throw new Error('WordPress post not found');
+        }
+
+        await articleHistory.ensureBaseline(article);
+
+        article.title = remotePost.title?.raw ?? article.title;
+        article.content = remotePost.content?.raw ?? article.content;
+        article.excerpt = remotePost.excerpt?.raw ?? article.excerpt;
+        article.seo = { ...(article.seo || {}), slug: remotePost.slug || article.seo?.slug };
+        article.wordCount = contentGenerator.countWords(article.content || '');
+        article.readingTime = contentGenerator.calculateReadingTime(article.content || '', article.language);
+        article.wordpressStatus = remotePost.status;
+        article.wordpressModifiedGmt = remotePost.modified_gmt;
+        article.syncedAt = new Date().toISOString();
+
+        await dbManager.saveArticle(article);
+        await articleHistory.recordRevision(article, 'remote');
+
+        return article;
+    }
+
+    /**
+     * Find the post an earlier publish attempt created before its response was lost
+     * (same slug and title), so a retry updates it instead of posting twice
+     */
+    async findCreatedPost(article, siteId) {
+        const session = await this.getSession(siteId);
+        const slug = article.seo?.slug || this.generateSlug(article.title, article.language);
+
+        const response = await fetch(
+            `${session.config.url}/wp-json/wp/v2/posts?slug=${encodeURIComponent(slug)}&status=${this.importStatuses.join(',')}&context=edit`,
+            { headers: { 'Authorization': `Basic ${session.authToken}` } }
+        );
+        if (!response.ok) {
+            throw new Error(`WordPress lookup failed: ${response.statusText}`);
+        }
+
+        const posts = await response.json();
+        return posts.find(post => (post.title?.raw ?? post.title?.rendered) === article.title) || null;
+    }
+
     /**
      * Prepare post data for WordPress
      */
-    async preparePostData(article, options = {}) {
+    async preparePostData(article, options = {}, session = this.getActiveSession()) {
         // Get or create categories
-        const categoryIds = await this.processCategoriesAndTags(article.categories || [], 'categories');
-        const tagIds = await this.processCategoriesAndTags(article.tags || [], 'tags');
+        const categoryIds = await this.processCategoriesAndTags(article.categories || [], 'categories', session);
+        const tagIds = await this.processCategoriesAndTags(article.tags || [], 'tags', session);
 
         const postData = {
             title: article.title,
             content: article.content,
             excerpt: article.excerpt || '',
-            status: options.status || 'draft', // draft, publish, private
-            slug: article.seo?.slug || this.generateSlug(article.title),
+            status: options.status || 'draft', // draft, publish, private, future
+            slug: article.seo?.slug || this.generateSlug(article.title, article.language),
             categories: categoryIds,
             tags: tagIds,
             meta: {
@@ -251,6 +558,14 @@ class WordPressConnector {
             }
         };
 
+        if (options.dateGmt) {
+            postData.date_gmt = options.dateGmt;
+        }
+
+        if (session.config.multilingual && article.language) {
+            Object.assign(postData, await this.getTranslationFields(article, session));
+        }
+
         // Add custom fields if needed
         if (article.generatedWith) {
             postData.meta.content_autopilot_generated = true;
@@ -261,21 +576,45 @@ class WordPressConnector {
         return postData;
     }
 
+    /**
+     * Language and translation links of an article for a multilingual site.
+     * Polylang: lang plus a language → post id map of the other variants.
+     * WPML: translation_of, the post of the source variant (language goes in the query string).
+     */
+    async getTranslationFields(article, session) {
+        const variants = article.translationGroup ?
+            await dbManager.getArticlesByTranslationGroup(article.translationGroup) : [];
+        const published = variants.filter(variant =>
+            variant.id !== article.id && variant.wordpressId && variant.language &&
+            (variant.wordpressSiteId || this.activeSiteId) === session.config.id
+        );
+
+        if (session.config.multilingual === 'polylang') {
+            return {
+                lang: article.language,
+                translations: Object.fromEntries(published.map(variant => [variant.language, variant.wordpressId]))
+            };
+        }
+
+        const original = published.find(variant => variant.id === article.translationOf) || published[0];
+        return original ? { translation_of: original.wordpressId } : {};
+    }
+
     /**
      * Process categories and tags
      */
-    async processCategoriesAndTags(items, type) {
+    async processCategoriesAndTags(items, type, session) {
         const ids = [];
         const endpoint = type === 'categories' ? 'categories' : 'tags';
         
         for (const item of items) {
             try {
                 // Check if category/tag exists
-                let existingItem = await this.findCategoryOrTag(item, type);
+                let existingItem = await this.findCategoryOrTag(item, type, session);
                 
                 if (!existingItem) {
                     // Create new category/tag
-                    existingItem = await this.createCategoryOrTag(item, type);
+                    existingItem = await this.createCategoryOrTag(item, type, session);
                 }
                 
                 if (existingItem && existingItem.id) {
@@ -290,22 +629,32 @@ class WordPressConnector {
     }
 
     /**
-     * Find existing category or tag
+     * Find existing category or tag, in the site cache first
      */
-    async findCategoryOrTag(name, type) {
+    async findCategoryOrTag(name, type, session) {
         const endpoint = type === 'categories' ? 'categories' : 'tags';
+        const matches = item => item.name.toLowerCase() === name.toLowerCase();
+
+        const cached = session[endpoint].find(matches);
+        if (cached) {
+            return cached;
+        }
         
         try {
-            const response = await fetch(`${this.config.url}/wp-json/wp/v2/${endpoint}?search=${encodeURIComponent(name)}`, {
+            const response = await fetch(`${session.config.url}/wp-json/wp/v2/${endpoint}?search=${encodeURIComponent(name)}`, {
                 headers: {
-                    'Authorization': `Basic ${this.authToken}`,
+                    'Authorization': `Basic ${session.authToken}`,
                     'Content-Type': 'application/json'
                 }
             });
 
             if (response.ok) {
                 const items = await response.json();
-                return items.find(item => item.name.toLowerCase() === name.toLowerCase());
+                const found = items.find(matches);
+                if (found) {
+                    session[endpoint].push(found);
+                }
+                return found;
             }
         } catch (error) {
             console.error(`Failed to search ${type}:`, error);
@@ -317,14 +666,14 @@ class WordPressConnector {
     /**
      * Create new category or tag
      */
-    async createCategoryOrTag(name, type) {
+    async createCategoryOrTag(name, type, session) {
         const endpoint = type === 'categories' ? 'categories' : 'tags';
         
         try {
-            const response = await fetch(`${this.config.url}/wp-json/wp/v2/${endpoint}`, {
+            const response = await fetch(`${session.config.url}/wp-json/wp/v2/${endpoint}`, {
                 method: 'POST',
                 headers: {
-                    'Authorization': `Basic ${this.authToken}`,
+                    'Authorization': `Basic ${session.authToken}`,
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
@@ -334,7 +683,9 @@ class WordPressConnector {
             });
 
             if (response.ok) {
-                return await response.json();
+                const created = await response.json();
+                session[endpoint].push(created);
+                return created;
             }
         } catch (error) {
             console.error(`Failed to create ${type}:`, error);
@@ -346,7 +697,7 @@ class WordPressConnector {
     /**
      * Upload featured image
      */
-    async uploadFeaturedImage(featuredImage, postId) {
+    async uploadFeaturedImage(featuredImage, postId, session) {
         try {
             // If it's a blob URL, fetch the blob first
             let blob;
@@ -366,10 +717,10 @@ class WordPressConnector {
             formData.append('alt_text', featuredImage.alt || '');
             formData.append('post', postId);
 
-            const response = await fetch(`${this.config.url}/wp-json/wp/v2/media`, {
+            const response = await fetch(`${session.config.url}/wp-json/wp/v2/media`, {
                 method: 'POST',
                 headers: {
-                    'Authorization': `Basic ${this.authToken}`
+                    'Authorization': `Basic ${session.authToken}`
                 },
                 body: formData
             });
@@ -388,14 +739,14 @@ class WordPressConnector {
     }
 
     /**
-     * Update post featured image
+     * Update post featured image (returns the updated post)
      */
-    async updatePostFeaturedImage(postId, mediaId) {
+    async updatePostFeaturedImage(postId, mediaId, session) {
         try {
-            const response = await fetch(`${this.config.url}/wp-json/wp/v2/posts/${postId}`, {
+            const response = await fetch(`${session.config.url}/wp-json/wp/v2/posts/${postId}`, {
                 method: 'POST',
                 headers: {
-                    'Authorization': `Basic ${this.authToken}`,
+                    'Authorization': `Basic ${session.authToken}`,
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
@@ -403,42 +754,42 @@ class WordPressConnector {
                 })
             });
 
-            return response.ok;
+            return response.ok ? await response.json() : null;
         } catch (error) {
             console.error('Failed to update featured image:', error);
-            return false;
+            return null;
         }
     }
 
     /**
-     * Load categories and tags from WordPress
+     * Load categories and tags of a site into its cache
      */
-    async loadCategoriesAndTags() {
-        if (!this.isConnected) return;
+    async loadCategoriesAndTags(session = this.getActiveSession()) {
+        if (!session || !session.isConnected) return;
 
         try {
             // Load categories
-            const categoriesResponse = await fetch(`${this.config.url}/wp-json/wp/v2/categories?per_page=100`, {
+            const categoriesResponse = await fetch(`${session.config.url}/wp-json/wp/v2/categories?per_page=100`, {
                 headers: {
-                    'Authorization': `Basic ${this.authToken}`,
+                    'Authorization': `Basic ${session.authToken}`,
                     'Content-Type': 'application/json'
                 }
             });
 
             if (categoriesResponse.ok) {
-                this.categories = await categoriesResponse.json();
+                session.categories = await categoriesResponse.json();
             }
 
             // Load tags
-            const tagsResponse = await fetch(`${this.config.url}/wp-json/wp/v2/tags?per_page=100`, {
+            const tagsResponse = await fetch(`${session.config.url}/wp-json/wp/v2/tags?per_page=100`, {
                 headers: {
-                    'Authorization': `Basic ${this.authToken}`,
+                    'Authorization': `Basic ${session.authToken}`,
                     'Content-Type': 'application/json'
                 }
             });
 
             if (tagsResponse.ok) {
-                this.tags = await tagsResponse.json();
+                session.tags = await tagsResponse.json();
             }
 
         } catch (error) {
@@ -447,7 +798,7 @@ class WordPressConnector {
     }
 
     /**
-     * Batch publish articles
+     * Batch publish articles (each one goes to its own target site)
      */
     async batchPublishArticles(articleIds, options = {}) {
         const results = [];
@@ -465,6 +816,9 @@ class WordPressConnector {
                     }
 
                     const result = await this.publishArticle(article, options);
+                    if (result.conflict) {
+                        return { id: articleId, success: false, error: `WordPress conflict: ${result.conflict.type}`, result };
+                    }
                     return { id: articleId, success: true, result };
                 } catch (error) {
                     return { id: articleId, success: false, error: error.message };
@@ -484,7 +838,9 @@ class WordPressConnector {
     }
 
     /**
-     * Schedule article publication
+     * Schedule article publication.
+     * options.mode 'native' sends the post to WordPress now as status 'future' (WordPress
+     * publishes it on time); 'local' creates a publish_article task run by the app scheduler.
      */
     async scheduleArticle(articleId, publishDate, options = {}) {
         try {
@@ -493,27 +849,41 @@ class WordPressConnector {
                 throw new Error('Article not found');
             }
 
+            const { mode = 'local', ...publishOptions } = options;
+
+            if (mode === 'native') {
+                const result = await this.publishArticle(article, {
+                    ...publishOptions,
+                    status: 'future',
+                    dateGmt: this.formatDateGmt(publishDate)
+                });
+                if (result.conflict) {
+                    return result;
+                }
+
+                // Dates in the past are published right away by WordPress
+                article.status = result.article.wordpressStatus === 'future' ? 'scheduled' : 'published';
+                article.scheduledFor = publishDate;
+                article.scheduleMode = 'native';
+                await dbManager.saveArticle(article);
+
+                return { success: true, article };
+            }
+
             // Create scheduled task
-            const scheduledTask = {
-                id: dbManager.generateId(),
-                type: 'publish_article',
+            const scheduledTask = await scheduler.scheduleTask('publish_article', publishDate, {
                 articleId: articleId,
-                scheduledFor: publishDate,
-                options: options,
-                status: 'pending',
-                isActive: true,
-                nextRun: publishDate,
-                createdAt: new Date().toISOString()
-            };
-
-            await dbManager.saveScheduledTask(scheduledTask);
+                taskOptions: publishOptions
+            });
 
             // Update article status
             article.status = 'scheduled';
             article.scheduledFor = publishDate;
+            article.scheduleMode = 'local';
+            article.scheduledTaskId = scheduledTask.id;
             await dbManager.saveArticle(article);
 
-            return { success: true, scheduledTask };
+            return { success: true, scheduledTask, article };
 
         } catch (error) {
             console.error('Article scheduling failed:', error);
@@ -521,11 +891,378 @@ class WordPressConnector {
         }
     }
 
+    /**
+     * Move a scheduled article to a new date
+     */
+    async rescheduleArticle(articleId, publishDate) {
+        const article = await dbManager.getArticle(articleId);
+        if (!article || article.status !== 'scheduled') {
+            throw new Error('Article not scheduled');
+        }
+
+        if (article.scheduleMode === 'native') {
+            await this.updateRemoteSchedule(article, { status: 'future', date_gmt: this.formatDateGmt(publishDate) });
+        } else {
+            await this.cancelScheduledTask(article);
+            const scheduledTask = await scheduler.scheduleTask('publish_article', publishDate, {
+                articleId: articleId,
+                taskOptions: {}
+            });
+            article.scheduledTaskId = scheduledTask.id;
+        }
+
+        article.scheduledFor = publishDate;
+        await dbManager.saveArticle(article);
+        return article;
+    }
+
+    /**
+     * Cancel the schedule of an article. Native schedules are turned back into WordPress drafts.
+     */
+    async unscheduleArticle(articleId) {
+        const article = await dbManager.getArticle(articleId);
+        if (!article || article.status !== 'scheduled') {
+            throw new Error('Article not scheduled');
+        }
+
+        if (article.scheduleMode === 'native') {
+            await this.updateRemoteSchedule(article, { status: 'draft' });
+        } else {
+            await this.cancelScheduledTask(article);
+        }
+
+        article.status = 'draft';
+        article.scheduledFor = null;
+        article.scheduleMode = null;
+        article.scheduledTaskId = null;
+        await dbManager.saveArticle(article);
+        return article;
+    }
+
+    /**
+     * Change status/date of a scheduled post without touching its content
+     */
+    async updateRemoteSchedule(article, data) {
+        const session = await this.getSession(article.wordpressSiteId || this.activeSiteId);
+
+        const conflict = await this.checkRemoteConflict(article, session);
+        if (conflict && conflict.type !== 'modified') {
+            throw new Error(`WordPress post ${conflict.type === 'trashed' ? 'is in the trash' : 'no longer exists'}`);
+        }
+
+        const response = await fetch(`${session.config.url}/wp-json/wp/v2/posts/${article.wordpressId}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Basic ${session.authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(data)
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(`WordPress schedule update failed: ${errorData.message || response.statusText}`);
+        }
+
+        const post = await response.json();
+        article.wordpressStatus = post.status;
+
+        // Remote edits made before this change must still be detected on the next publish
+        if (!conflict) {
+            article.wordpressModifiedGmt = post.modified_gmt;
+        }
+
+        return post;
+    }
+
+    /**
+     * Cancel the local publish task of an article
+     */
+    async cancelScheduledTask(article) {
+        const tasks = await scheduler.getTasksByType('publish_article');
+        for (const task of tasks) {
+            if (task.id === article.scheduledTaskId || (!task.recurring && task.articleId === article.id)) {
+                await scheduler.cancelTask(task.id);
+            }
+        }
+    }
+
+    /**
+     * Reconcile natively scheduled articles with WordPress:
+     * published, rescheduled, unscheduled or deleted posts update the local status.
+     */
+    async reconcileScheduledArticles() {
+        const scheduled = (await dbManager.getAllArticles())
+            .filter(article => article.status === 'scheduled' && article.scheduleMode === 'native' && article.wordpressId);
+
+        const bySite = new Map();
+        scheduled.forEach(article => {
+            const siteId = article.wordpressSiteId || this.activeSiteId;
+            if (!bySite.has(siteId)) bySite.set(siteId, []);
+            bySite.get(siteId).push(article);
+        });
+
+        let changed = 0;
+
+        for (const [siteId, articles] of bySite) {
+            let session;
+            try {
+                session = await this.getSession(siteId);
+            } catch (error) {
+                console.warn(`Schedule reconcile skipped for ${siteId}:`, error.message);
+                continue;
+            }
+
+            for (let i = 0; i < articles.length; i += 100) {
+                const batch = articles.slice(i, i + 100);
+                const params = new URLSearchParams({
+                    include: batch.map(article => article.wordpressId).join(','),
+                    status: 'publish,future,draft,pending,private,trash',
+                    context: 'edit',
+                    per_page: 100
+                });
+
+                const response = await fetch(`${session.config.url}/wp-json/wp/v2/posts?${params}`, {
+                    headers: {
+                        'Authorization': `Basic ${session.authToken}`,
+                        'Content-Type': 'application/json'
+                    }
+                });
+                if (!response.ok) {
+                    console.error(`Schedule reconcile failed for ${siteId}: HTTP ${response.status}`);
+                    continue;
+                }
+
+                const posts = new Map((await response.json()).map(post => [post.id, post]));
+
+                for (const article of batch) {
+                    if (this.reconcileArticle(article, posts.get(article.wordpressId))) {
+                        await dbManager.saveArticle(article);
+                        changed++;
+                    }
+                }
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * Apply the remote state of a scheduled post to its article (returns true if changed)
+     */
+    reconcileArticle(article, post) {
+        if (post && post.status === 'future') {
+            const scheduledFor = `${post.date_gmt}Z`;
+            if (new Date(scheduledFor).getTime() === new Date(article.scheduledFor).getTime()) {
+                return false;
+            }
+            article.scheduledFor = new Date(scheduledFor).toISOString();
+            return true;
+        }
+
+        if (post && (post.status === 'publish' || post.status === 'private')) {
+            article.status = 'published';
+            article.publishedAt = new Date(`${post.date_gmt}Z`).toISOString();
+            article.wordpressUrl = post.link;
+        } else {
+            // Unscheduled, trashed or deleted on WordPress
+            article.status = 'draft';
+        }
+
+        article.wordpressStatus = post ? post.status : null;
+        article.scheduledFor = null;
+        article.scheduleMode = null;
+        return true;
+    }
+
+    /**
+     * Import posts and drafts of a site into the local articles store.
+     * Incremental by default (modified_after the last import); options.full re-reads everything.
+     * Local articles edited since their last sync are left untouched.
+     */
+    async importPosts(siteId = null, options = {}) {
+        const session = await this.getSession(siteId);
+        siteId = session.config.id;
+
+        const settingKey = `wp_import_${siteId}`;
+        const lastImport = options.full ? null : await dbManager.getSetting(settingKey);
+        const project = await this.getImportProject(session);
+        const stats = { created: 0, updated: 0, unchanged: 0, skipped: 0, total: 0 };
+
+        // Index local articles linked to this site by WordPress id
+        const localArticles = new Map();
+        (await dbManager.getAllArticles())
+            .filter(article => article.wordpressId && (article.wordpressSiteId || this.activeSiteId) === siteId)
+            .forEach(article => localArticles.set(article.wordpressId, article));
+
+        let latestModified = lastImport;
+        let page = 1;
+        let totalPages = 1;
+
+        do {
+            const params = new URLSearchParams({
+                context: 'edit',
+                status: this.importStatuses.join(','),
+                per_page: 100,
+                page: page,
+                orderby: 'modified',
+                order: 'asc',
+                _embed: 'wp:term,wp:featuredmedia'
+            });
+            if (lastImport) {
+                // WordPress compares modified_after with the site local time: overlap by a day
+                // to cover any timezone offset, unchanged posts are skipped below
+                params.set('modified_after', new Date(new Date(lastImport).getTime() - 24 * 60 * 60 * 1000).toISOString());
+            }
+
+            const response = await fetch(`${session.config.url}/wp-json/wp/v2/posts?${params}`, {
+                headers: {
+                    'Authorization': `Basic ${session.authToken}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(`WordPress import failed: ${errorData.message || response.statusText}`);
+            }
+
+            totalPages = parseInt(response.headers.get('X-WP-TotalPages') || '1');
+            const posts = await response.json();
+
+            for (const post of posts) {
+                const result = await this.importPost(post, localArticles.get(post.id), project, siteId);
+                stats[result]++;
+                stats.total++;
+
+                const modified = `${post.modified_gmt}Z`;
+                if (!latestModified || modified > latestModified) {
+                    latestModified = modified;
+                }
+            }
+
+            if (options.onProgress) {
+                options.onProgress({ page, totalPages, ...stats });
+            }
+
+            page++;
+        } while (page <= totalPages);
+
+        if (latestModified) {
+            await dbManager.saveSetting(settingKey, latestModified);
+        }
+
+        console.log(`WordPress import (${siteId}):`, stats);
+        return stats;
+    }
+
+    /**
+     * Create or update a local article from a WordPress post.
+     * Returns 'created', 'updated', 'unchanged' or 'skipped'.
+     */
+    async importPost(post, article, project, siteId) {
+        if (article && article.wordpressModifiedGmt === post.modified_gmt) {
+            return 'unchanged';
+        }
+
+        // Local edits win until the user publishes or resolves the conflict
+        if (article && article.editedAt && article.syncedAt && article.editedAt > article.syncedAt) {
+            return 'skipped';
+        }
+
+        const isNew = !article;
+        if (isNew) {
+            article = {
+                id: dbManager.generateId(),
+                projectId: project.id,
+                importedAt: new Date().toISOString()
+            };
+        } else {
+            await articleHistory.ensureBaseline(article);
+        }
+
+        const terms = (post._embedded?.['wp:term'] || []).flat();
+        const media = post._embedded?.['wp:featuredmedia']?.[0];
+        const yoast = post.yoast_head_json || {};
+
+        Object.assign(article, {
+            title: post.title?.raw || '',
+            content: post.content?.raw || '',
+            excerpt: post.excerpt?.raw || contentGenerator.generateExcerpt(post.content?.raw || ''),
+            featuredImage: media?.source_url ? { url: media.source_url, alt: media.alt_text || '' } : null,
+            seo: {
+                ...(article.seo || {}),
+                metaTitle: yoast.title || article.seo?.metaTitle || post.title?.raw || '',
+                metaDescription: yoast.description || article.seo?.metaDescription || '',
+                slug: post.slug || article.seo?.slug || ''
+            },
+            categories: terms.filter(term => term.taxonomy === 'category').map(term => term.name),
+            tags: terms.filter(term => term.taxonomy === 'post_tag').map(term => term.name),
+            status: this.mapPostStatus(post.status),
+            scheduledFor: post.status === 'future' ? `${post.date_gmt}Z` : null,
+            scheduleMode: post.status === 'future' ? 'native' : null,
+            wordCount: contentGenerator.countWords(post.content?.raw || ''),
+            readingTime: contentGenerator.calculateReadingTime(post.content?.raw || '', article.language),
+            publishedAt: post.status === 'publish' ? `${post.date_gmt}Z` : article.publishedAt || null,
+            wordpressId: post.id,
+            wordpressUrl: post.link,
+            wordpressSiteId: siteId,
+            wordpressStatus: post.status,
+            wordpressModifiedGmt: post.modified_gmt,
+            wordpressMediaId: post.featured_media || null,
+            wordpressMediaSource: media?.source_url || null,
+            syncedAt: new Date().toISOString()
+        });
+
+        await dbManager.saveArticle(article);
+        await articleHistory.recordRevision(article, 'remote');
+
+        return isNew ? 'created' : 'updated';
+    }
+
+    /**
+     * Get (or create) the project that holds the posts imported from a site
+     */
+    async getImportProject(session) {
+        const id = `wp_import_${session.config.id}`;
+        const existing = await dbManager.getProject(id);
+        if (existing) {
+            return existing;
+        }
+
+        const name = session.config.name || session.siteInfo?.title || session.config.url;
+        return dbManager.saveProject({
+            id: id,
+            name: `WordPress: ${name}`,
+            topic: name,
+            keywords: '',
+            articleCount: 0,
+            targetSiteId: session.config.id,
+            source: 'wordpress',
+            status: 'imported'
+        });
+    }
+
+    /**
+     * Map a WordPress post status to a local article status
+     */
+    mapPostStatus(status) {
+        const statuses = {
+            publish: 'published',
+            private: 'published',
+            future: 'scheduled',
+            draft: 'draft',
+            pending: 'draft'
+        };
+        return statuses[status] || 'draft';
+    }
+
     /**
      * Get WordPress site statistics
      */
-    async getSiteStats() {
-        if (!this.isConnected) {
+    async getSiteStats(siteId = null) {
+        const session = this.sites.get(siteId || this.activeSiteId);
+        if (!session || !session.isConnected) {
             return null;
         }
 
@@ -533,9 +1270,9 @@ class WordPressConnector {
             const stats = {};
 
             // Get posts count
-            const postsResponse = await fetch(`${this.config.url}/wp-json/wp/v2/posts?per_page=1`, {
+            const postsResponse = await fetch(`${session.config.url}/wp-json/wp/v2/posts?per_page=1`, {
                 headers: {
-                    'Authorization': `Basic ${this.authToken}`,
+                    'Authorization': `Basic ${session.authToken}`,
                     'Content-Type': 'application/json'
                 }
             });
@@ -545,8 +1282,8 @@ class WordPressConnector {
             }
 
             // Get categories count
-            stats.totalCategories = this.categories.length;
-            stats.totalTags = this.tags.length;
+            stats.totalCategories = session.categories.length;
+            stats.totalTags = session.tags.length;
 
             return stats;
 
@@ -571,20 +1308,15 @@ class WordPressConnector {
         return url;
     }
 
-    generateSlug(text) {
-        return text
-            .toLowerCase()
-            .replace(/[àáâãäå]/g, 'a')
-            .replace(/[èéêë]/g, 'e')
-            .replace(/[ìíîï]/g, 'i')
-            .replace(/[òóôõö]/g, 'o')
-            .replace(/[ùúûü]/g, 'u')
-            .replace(/[ñ]/g, 'n')
-            .replace(/[ç]/g, 'c')
-            .replace(/[^a-z0-9\s-]/g, '')
-            .replace(/\s+/g, '-')
-            .replace(/-+/g, '-')
-            .replace(/^-|-$/g, '');
+    /**
+     * Format a date for the WordPress date_gmt field
+     */
+    formatDateGmt(date) {
+        return new Date(date).toISOString().slice(0, 19);
+    }
+
+    generateSlug(text, language = null) {
+        return languages.slugify(text, language);
     }
 
     /**
@@ -600,7 +1332,9 @@ class WordPressConnector {
             } : null,
             siteInfo: this.siteInfo,
             categoriesCount: this.categories.length,
-            tagsCount: this.tags.length
+            tagsCount: this.tags.length,
+            activeSiteId: this.activeSiteId,
+            sites: this.getSites()
         };
     }
 
@@ -608,21 +1342,27 @@ class WordPressConnector {
      * Disconnect from WordPress
      */
     disconnect() {
-        this.config = null;
-        this.isConnected = false;
-        this.authToken = null;
-        this.siteInfo = null;
-        this.categories = [];
-        this.tags = [];
+        this.sites.clear();
+        this.activeSiteId = null;
     }
 
     /**
-     * Delete WordPress configuration
+     * Delete a WordPress site configuration (defaults to the active site)
      */
-    async deleteConfig() {
-        if (this.config) {
-            await dbManager.delete('wpConfigs', this.config.id);
-            this.disconnect();
+    async deleteConfig(siteId = null) {
+        const id = siteId || this.activeSiteId;
+        if (!id || !this.sites.has(id)) return;
+
+        await dbManager.delete('wpConfigs', id);
+        this.sites.delete(id);
+
+        // Promote another site to default
+        if (id === this.activeSiteId) {
+            const next = this.sites.keys().next().value;
+            this.activeSiteId = null;
+            if (next) {
+                await this.setActiveSite(next);
+            }
         }
     }
 }
@@ -1,6 +1,9 @@
+importScripts('/js/languages.js', '/js/background-tasks.js');
+
 const CACHE_NAME = 'content-autopilot-v1.0.0';
 const STATIC_CACHE = 'static-v1.0.0';
 const DYNAMIC_CACHE = 'dynamic-v1.0.0';
+const BACKGROUND_SYNC_TAG = 'background-publish';
 
 // Files to cache immediately
 const STATIC_FILES = [
@@ -9,11 +12,25 @@ const STATIC_FILES = [
     '/manifest.json',
     '/css/styles.css',
     '/js/app.js',
+    '/js/languages.js',
+    '/js/html-utils.js',
     '/js/db-manager.js',
+    '/js/credential-vault.js',
+    '/js/api-provider.js',
+    '/js/text-providers.js',
+    '/js/search-providers.js',
     '/js/api-manager.js',
+    '/js/page-extractor.js',
+    '/js/prompt-library.js',
     '/js/content-generator.js',
     '/js/wp-connector.js',
+    '/js/operation-outbox.js',
+    '/js/cron-expression.js',
+    '/js/publication-queue.js',
+    '/js/project-pipeline.js',
     '/js/scheduler.js',
+    '/js/article-history.js',
+    '/js/article-editor.js',
     '/assets/icons/icon-192.png',
     '/assets/icons/icon-512.png'
 ];
@@ -22,6 +39,7 @@ const STATIC_FILES = [
 const API_CACHE_PATTERNS = [
     /\/api\//,
     /api\.search\.brave\.com/,
+    /api\.bing\.microsoft\.com/,
     /api-inference\.huggingface\.co/
 ];
 
@@ -95,10 +113,17 @@ self.addEventListener('fetch', event => {
 self.addEventListener('sync', event => {
     console.log('Service Worker: Background sync triggered:', event.tag);
     
-    if (event.tag === 'background-publish') {
+    if (event.tag === BACKGROUND_SYNC_TAG) {
+        event.waitUntil(handleBackgroundPublish());
+    }
+});
+
+// Periodic sync: publish scheduled posts while no tab is open
+self.addEventListener('periodicsync', event => {
+    console.log('Service Worker: Periodic sync triggered:', event.tag);
+
+    if (event.tag === BACKGROUND_SYNC_TAG) {
         event.waitUntil(handleBackgroundPublish());
-    } else if (event.tag === 'background-generate') {
-        event.waitUntil(handleBackgroundGenerate());
     }
 });
 
@@ -137,7 +162,7 @@ self.addEventListener('notificationclick', event => {
     
     event.notification.close();
 
-    if (event.action === 'view') {
+    if (event.action !== 'dismiss') {
         event.waitUntil(
             clients.openWindow('/')
         );
@@ -227,51 +252,17 @@ async function networkFirst(request) {
 async function handleBackgroundPublish() {
     try {
         console.log('Service Worker: Handling background publish');
-        
-        // Get pending publications from IndexedDB
-        const db = await openDB();
-        const pendingPubs = await getAllFromStore(db, 'pendingPublications');
-        
-        for (const pub of pendingPubs) {
-            try {
-                await publishToWordPress(pub);
-                await removeFromStore(db, 'pendingPublications', pub.id);
-                console.log('Service Worker: Published:', pub.title);
-            } catch (error) {
-                console.error('Service Worker: Publish failed:', pub.title, error);
-            }
-        }
+        await self.backgroundTasks.run();
     } catch (error) {
         console.error('Service Worker: Background publish failed:', error);
     }
 }
 
-async function handleBackgroundGenerate() {
-    try {
-        console.log('Service Worker: Handling background generate');
-        
-        // Get pending generations from IndexedDB
-        const db = await openDB();
-        const pendingGens = await getAllFromStore(db, 'pendingGenerations');
-        
-        for (const gen of pendingGens) {
-            try {
-                await generateContent(gen);
-                await removeFromStore(db, 'pendingGenerations', gen.id);
-                console.log('Service Worker: Generated:', gen.topic);
-            } catch (error) {
-                console.error('Service Worker: Generation failed:', gen.topic, error);
-            }
-        }
-    } catch (error) {
-        console.error('Service Worker: Background generation failed:', error);
-    }
-}
-
 // IndexedDB helpers for service worker
 function openDB() {
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open('ContentAutopilotDB', 1);
+        // Open without a version: the app owns schema migrations
+        const request = indexedDB.open('ContentAutopilotDB');
         request.onerror = () => reject(request.error);
         request.onsuccess = () => resolve(request.result);
     });
@@ -287,23 +278,32 @@ function getAllFromStore(db, storeName) {
     });
 }
 
-function removeFromStore(db, storeName, id) {
+function getFromStore(db, storeName, key) {
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction([storeName], 'readwrite');
+        const transaction = db.transaction([storeName], 'readonly');
         const store = transaction.objectStore(storeName);
-        const request = store.delete(id);
+        const request = store.get(key);
         request.onerror = () => reject(request.error);
-        request.onsuccess = () => resolve();
+        request.onsuccess = () => resolve(request.result);
     });
 }
 
-// Placeholder functions for actual implementations
-async function publishToWordPress(publication) {
-    // Implementation will be in wp-connector.js
-    console.log('Service Worker: Publishing to WordPress:', publication.title);
+function putInStore(db, storeName, record) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const request = store.put(record);
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(record);
+    });
 }
 
-async function generateContent(generation) {
-    // Implementation will be in content-generator.js
-    console.log('Service Worker: Generating content for:', generation.topic);
+function removeFromStore(db, storeName, id) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const request = store.delete(id);
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve();
+    });
 }
\ No newline at end of file
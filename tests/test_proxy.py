@@ -0,0 +1,191 @@
+"""Tests for the page proxy SSRF and origin checks in backend/server.py"""
+import os
+import socket
+import sys
+from pathlib import Path
+
+import pytest
+from fastapi import HTTPException
+
+os.environ.setdefault('MONGO_URL', 'mongodb://localhost:27017')
+os.environ.setdefault('DB_NAME', 'test_database')
+sys.path.insert(0, str(Path(__file__).resolve().parent.parent / 'backend'))
+
+import server  # noqa: E402
+
+PUBLIC_ADDRESS = '93.184.216.34'
+
+
+def fake_dns(answers):
+    """getaddrinfo returning the given addresses per host, in call order.
+    Literal addresses resolve to themselves."""
+    calls = []
+
+    def getaddrinfo(host, port, *args, **kwargs):
+        calls.append(host)
+        values = answers.setdefault(host, [host])
+        family = socket.AF_INET6 if ':' in values[0] else socket.AF_INET
+        address = values.pop(0) if len(values) > 1 else values[0]
+        return [(family, socket.SOCK_STREAM, socket.IPPROTO_TCP, '', (address, port or 0))]
+
+    getaddrinfo.calls = calls
+    return getaddrinfo
+
+
+class FakeResponse:
+    def __init__(self, status, headers=None, body=b''):
+        self.status = status
+        self.headers = headers or {}
+        self.body = body
+        self.released = False
+
+    def stream(self, size):
+        yield self.body
+
+    def release_conn(self):
+        self.released = True
+
+
+@pytest.mark.parametrize('address', [
+    '127.0.0.1',
+    '10.0.0.5',
+    '172.16.3.4',
+    '192.168.1.1',
+    '169.254.169.254',
+    '0.0.0.0',
+    '::1',
+    'fe80::1',
+    'fd00::1',
+    '::ffff:127.0.0.1',
+])
+def test_rejects_private_loopback_and_link_local_addresses(monkeypatch, address):
+    monkeypatch.setattr(socket, 'getaddrinfo', fake_dns({'internal.example': [address]}))
+
+    with pytest.raises(HTTPException) as error:
+        server.resolve_public_address('http://internal.example/')
+    assert error.value.status_code == 403
+
+
+@pytest.mark.parametrize('url', [
+    'http://127.0.0.1/',
+    'http://[::1]:8001/api/',
+    'http://169.254.169.254/latest/meta-data/',
+])
+def test_rejects_literal_private_addresses(url):
+    with pytest.raises(HTTPException) as error:
+        server.resolve_public_address(url)
+    assert error.value.status_code == 403
+
+
+def test_rejects_host_with_any_private_address(monkeypatch):
+    def getaddrinfo(host, port, *args, **kwargs):
+        return [
+            (socket.AF_INET, socket.SOCK_STREAM, socket.IPPROTO_TCP, '', (PUBLIC_ADDRESS, 80)),
+            (socket.AF_INET, socket.SOCK_STREAM, socket.IPPROTO_TCP, '', ('127.0.0.1', 80)),
+        ]
+    monkeypatch.setattr(socket, 'getaddrinfo', getaddrinfo)
+
+    with pytest.raises(HTTPException) as error:
+        server.resolve_public_address('http://mixed.example/')
+    assert error.value.status_code == 403
+
+
+@pytest.mark.parametrize('url', ['file:///etc/passwd', 'ftp://example.com/', 'gopher://example.com/', 'http:///path'])
+def test_rejects_other_schemes_and_missing_host(url):
+    with pytest.raises(HTTPException) as error:
+        server.resolve_public_address(url)
+    assert error.value.status_code == 400
+
+
+def test_accepts_public_address(monkeypatch):
+    monkeypatch.setattr(socket, 'getaddrinfo', fake_dns({'example.com': [PUBLIC_ADDRESS]}))
+
+    parsed, address = server.resolve_public_address('https://example.com/page')
+    assert parsed.hostname == 'example.com'
+    assert address == PUBLIC_ADDRESS
+
+
+def test_connects_to_the_checked_address(monkeypatch):
+    # A rebinding DNS server answers with a public address first, then loopback
+    dns = fake_dns({'rebind.example': [PUBLIC_ADDRESS, '127.0.0.1']})
+    monkeypatch.setattr(socket, 'getaddrinfo', dns)
+    opened = []
+
+    def open_pinned(parsed, address):
+        opened.append((parsed.hostname, address))
+        return FakeResponse(200, {'content-type': 'text/html; charset=utf-8'}, b'<p>ok</p>')
+    monkeypatch.setattr(server, 'open_pinned', open_pinned)
+
+    page = server.fetch_page('http://rebind.example/article')
+    assert page.html == '<p>ok</p>'
+    assert opened == [('rebind.example', PUBLIC_ADDRESS)]
+    assert dns.calls == ['rebind.example']
+
+
+def test_rejects_redirect_to_private_address(monkeypatch):
+    monkeypatch.setattr(socket, 'getaddrinfo', fake_dns({
+        'example.com': [PUBLIC_ADDRESS],
+        'internal.example': ['10.0.0.5'],
+    }))
+    opened = []
+
+    def open_pinned(parsed, address):
+        opened.append(address)
+        return FakeResponse(302, {'location': 'http://internal.example/admin'})
+    monkeypatch.setattr(server, 'open_pinned', open_pinned)
+
+    with pytest.raises(HTTPException) as error:
+        server.fetch_page('http://example.com/redirect')
+    assert error.value.status_code == 403
+    assert opened == [PUBLIC_ADDRESS]
+
+
+def test_rejects_redirect_to_literal_loopback(monkeypatch):
+    monkeypatch.setattr(socket, 'getaddrinfo', fake_dns({'example.com': [PUBLIC_ADDRESS]}))
+    monkeypatch.setattr(server, 'open_pinned',
+                        lambda parsed, address: FakeResponse(301, {'location': 'http://127.0.0.1:8001/api/status'}))
+
+    with pytest.raises(HTTPException) as error:
+        server.fetch_page('http://example.com/')
+    assert error.value.status_code == 403
+
+
+def test_stops_after_too_many_redirects(monkeypatch):
+    monkeypatch.setattr(socket, 'getaddrinfo', fake_dns({'example.com': [PUBLIC_ADDRESS]}))
+    monkeypatch.setattr(server, 'open_pinned',
+                        lambda parsed, address: FakeResponse(302, {'location': '/again'}))
+
+    with pytest.raises(HTTPException) as error:
+        server.fetch_page('http://example.com/')
+    assert error.value.status_code == 502
+
+
+def test_rejects_non_html_content(monkeypatch):
+    monkeypatch.setattr(socket, 'getaddrinfo', fake_dns({'example.com': [PUBLIC_ADDRESS]}))
+    monkeypatch.setattr(server, 'open_pinned',
+                        lambda parsed, address: FakeResponse(200, {'content-type': 'application/pdf'}))
+
+    with pytest.raises(HTTPException) as error:
+        server.fetch_page('http://example.com/file.pdf')
+    assert error.value.status_code == 415
+
+
+def test_origin_check(monkeypatch):
+    monkeypatch.setattr(server, 'PROXY_ALLOWED_ORIGINS', {'https://app.example'})
+
+    server.check_proxy_origin({'sec-fetch-site': 'same-origin'})
+    server.check_proxy_origin({'origin': 'https://app.example'})
+
+    for headers in ({}, {'origin': 'https://evil.example'}, {'sec-fetch-site': 'cross-site', 'origin': 'null'}):
+        with pytest.raises(HTTPException) as error:
+            server.check_proxy_origin(headers)
+        assert error.value.status_code == 403
+
+
+def test_proxy_endpoint_rejects_other_origins(monkeypatch):
+    from fastapi.testclient import TestClient
+
+    monkeypatch.setattr(server, 'PROXY_ALLOWED_ORIGINS', {'https://app.example'})
+    response = TestClient(server.app).get('/api/proxy', params={'url': 'http://example.com/'},
+                                          headers={'Origin': 'https://evil.example'})
+    assert response.status_code == 403